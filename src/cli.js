@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * OpenHands Resolver MCP - CLI Entry Point
+ * 
+ * Runs the openhands-resolve command-line interface for scripts and cron jobs.
+ * Ctrl+C cancels the running resolution; a second Ctrl+C exits immediately.
+ */
+
+import { runCli } from './modules/cli/index.js';
+import { logger } from './utils/logger.js';
+
+const controller = new AbortController();
+
+process.on('SIGINT', () => {
+  if (controller.signal.aborted) {
+    process.exit(130);
+  }
+  logger.warn('Cancelling resolution, press Ctrl+C again to exit immediately');
+  controller.abort();
+});
+
+runCli(process.argv.slice(2), { signal: controller.signal })
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    logger.error('OpenHands Resolver CLI exited with an error:', error);
+    process.exitCode = 1;
+  });
@@ -12,190 +12,740 @@ dotenv.config();
 // Import core modules
 import * as configModule from './modules/configuration/index.js';
 import * as triggerModule from './modules/trigger_detection/index.js';
-import * as githubModule from './modules/github_api/index.js';
+import * as forgeModule from './modules/forge/index.js';
 import * as taskSetupModule from './modules/task_setup/index.js';
 import * as codeGenModule from './modules/code_generation/index.js';
 import * as commitPrModule from './modules/commit_pr/index.js';
 import * as feedbackModule from './modules/feedback/index.js';
 import * as batchModule from './modules/batch_processing/index.js';
-import { logger } from './utils/logger.js';
-
-// Track initialization state
-let isInitialized = false;
+import * as runStoreModule from './modules/run_store/index.js';
+import * as issueAnalysisModule from './modules/issue_analysis/index.js';
+import {
+  ERROR_CODES,
+  createIssueResult,
+  createIntentResult,
+  createErrorResult,
+  createBatchResult
+} from './modules/results/index.js';
+import { logger as sharedLogger } from './utils/logger.js';
+import { createProgressReporter } from './utils/progress.js';
+import { isCancellationError } from './utils/cancellation.js';
+import { getForgeHosts } from './utils/forge_hosts.js';
+import { trackRetries } from './utils/retry.js';
+import { createRateLimitBudget, sharedRateLimit } from './utils/rate_limit.js';
+import { createPipeline } from './modules/pipeline/index.js';
+import { createDefaultPlugins } from './modules/pipeline/default_plugins.js';
 
 /**
- * Initialize the OpenHands Resolver
- * @param {string} configPath - Optional path to configuration file
- * @returns {Promise<boolean>} - Success status
+ * Create an isolated resolver instance
+ * 
+ * Each instance has its own configuration, GitHub and GitLab HTTP clients, rate limit budget,
+ * logger, run store and pipeline plugins, so one process can serve several tokens
+ * or configurations.
+ * 
+ * @param {Object} options - Resolver options
+ * @param {Object} options.config - Settings merged over the defaults, e.g. { github: { token } }
+ * @param {Object} options.logger - Base logger with error/warn/info/debug (defaults to the shared logger)
+ * @param {Object} options.modules - Module instances to use instead of new ones (configuration, github,
+ *   taskSetup, codeGen, commitPr, feedback, runStore, issueAnalysis, rateLimit), e.g. fakes in tests; github is the
+ *   forge client, with the functions of the GitHub API module; rateLimit is the budget an injected github
+ *   records its responses in
+ * @returns {Object} - Resolver API
  */
-async function initialize(configPath) {
-  try {
-    if (isInitialized) {
-      logger.debug('OpenHands Resolver already initialized');
+function createResolver(options = {}) {
+  const modules = options.modules || {};
+  const logger = options.logger || sharedLogger;
+  const configuration = modules.configuration || configModule.createConfiguration(options.config, { logger });
+  // The budget the forge clients record their responses in
+  const rateLimit = modules.rateLimit || createRateLimitBudget({ logger });
+  // Routes each call to the GitHub or GitLab provider of its host
+  const github = modules.github || forgeModule.createForge({ config: configuration, logger, rateLimit });
+  const moduleDependencies = { config: configuration, github, logger };
+  const runStore = modules.runStore || runStoreModule.createRunStore({ config: configuration, logger });
+  const taskSetup = modules.taskSetup || taskSetupModule.createTaskSetup(moduleDependencies);
+  const issueAnalysis = modules.issueAnalysis ||
+    issueAnalysisModule.createIssueAnalysis({ github, taskSetup, logger });
+
+  // Track initialization state
+  let isInitialized = false;
+
+  // Resolution pipeline, with the core modules as its default plugins
+  const pipeline = createPipeline(createDefaultPlugins({
+    github,
+    taskSetup,
+    codeGen: modules.codeGen || codeGenModule.createCodeGenerator(moduleDependencies),
+    commitPr: modules.commitPr || commitPrModule.createCommitPr(moduleDependencies),
+    feedback: modules.feedback || feedbackModule.createFeedback(moduleDependencies)
+  }));
+
+  /**
+   * Initialize the resolver
+   * @param {string} configPath - Optional path to configuration file
+   * @returns {Promise<boolean>} - Success status
+   */
+  async function initialize(configPath) {
+    try {
+      if (isInitialized) {
+        logger.debug('OpenHands Resolver already initialized');
+        return true;
+      }
+
+      logger.info('Initializing OpenHands Resolver MCP');
+      
+      // Initialize configuration
+      await configuration.initialize(configPath);
+      logger.debug('Configuration module initialized');
+      
+      // Initialize the GitHub and GitLab API integrations
+      await github.initialize();
+      logger.debug('Forge providers initialized');
+      
+      isInitialized = true;
+      logger.info('OpenHands Resolver MCP initialized successfully');
       return true;
+    } catch (error) {
+      logger.error('Failed to initialize OpenHands Resolver MCP:', error);
+      return false;
     }
+  }
+
+  /**
+   * Register a pipeline plugin for all subsequent resolutions
+   * @param {Object} plugin - Plugin with a name and before/run/after hooks per stage
+   * @returns {Object} - The resolution pipeline
+   */
+  function registerPlugin(plugin) {
+    return pipeline.use(plugin);
+  }
 
-    logger.info('Initializing OpenHands Resolver MCP');
+  /**
+   * Main function to process a GitHub issue resolution request
+   * @param {Object} triggerData - Data from the trigger detection module
+   * @param {Object} options - Resolution options
+   * @param {Function} options.onProgress - Callback receiving { stage, percent, message } events
+   * @param {AbortSignal} options.signal - Optional signal to cancel the run before its next stage or GitHub write
+   * @param {boolean} options.dryRun - Plan the branch, pull request and feedback without writing to GitHub
+   * @param {Array} options.plugins - Extra pipeline plugins for this run only
+   * @returns {Promise<Object>} - Result of the resolution process, including its runId
+   */
+  async function resolveIssue(triggerData, options = {}) {
+    logger.info(`Starting resolution process for issue: ${triggerData.issueUrl}`);
     
-    // Initialize configuration
-    await configModule.initialize(configPath);
-    logger.debug('Configuration module initialized');
+    const run = await startRun(triggerData, options);
+    return executeRun(run, options);
+  }
+
+  /**
+   * Resume a persisted run from its last completed stage
+   * 
+   * Completed stages are not repeated: the fetched issue, generated changes,
+   * created branch and already committed files are reused from the checkpoint.
+   * 
+   * @param {string} runId - ID of the run to resume
+   * @param {Object} options - Resolution options (onProgress, signal, plugins)
+   * @returns {Promise<Object>} - Result of the resolution process
+   */
+  async function resumeRun(runId, options = {}) {
+    try {
+      const run = await runStore.loadRun(runId);
+      
+      if (run.status === 'completed') {
+        logger.info(`Run ${runId} already completed, returning its result`);
+        return run.result;
+      }
+      
+      logger.info(`Resuming run ${runId} after stages: ${run.completedStages.join(', ') || 'none'}`);
+      return executeRun(run, { ...options, dryRun: run.dryRun });
+    } catch (error) {
+      logger.error(`Failed to resume run ${runId}:`, error);
+      return createErrorResult({
+        errorCode: ERROR_CODES.RESUME_FAILED,
+        runId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create the persisted record for a new run
+   * @param {Object} triggerData - Data from the trigger detection module
+   * @param {Object} options - Resolution options
+   * @returns {Promise<Object>} - Run record; not persisted if the run store is unavailable
+   */
+  async function startRun(triggerData, options) {
+    try {
+      return await runStore.createRun(triggerData, options);
+    } catch (error) {
+      logger.warn(`Run store unavailable, this run cannot be resumed: ${error.message}`);
+      return {
+        runId: null,
+        triggerData,
+        dryRun: options.dryRun === true,
+        completedStages: [],
+        state: { triggerData }
+      };
+    }
+  }
+
+  /**
+   * Run the pipeline for a run record, checkpointing after every stage
+   * @param {Object} run - Run record, new or loaded from the run store
+   * @param {Object} options - Resolution options
+   * @returns {Promise<Object>} - Result of the resolution process, or an error result if the run could not complete
+   */
+  async function executeRun(run, options) {
+    const reportProgress = createProgressReporter(options.onProgress);
     
-    // Initialize GitHub API integration
-    await githubModule.initialize();
-    logger.debug('GitHub API module initialized');
+    const runPipeline = options.plugins && options.plugins.length > 0
+      ? createPipeline([...pipeline.getPlugins(), ...options.plugins])
+      : pipeline;
     
-    isInitialized = true;
-    logger.info('OpenHands Resolver MCP initialized successfully');
-    return true;
-  } catch (error) {
-    logger.error('Failed to initialize OpenHands Resolver MCP:', error);
-    return false;
+    try {
+      // GitHub requests retried by this run are counted in its result, and its
+      // requests in the rate limit budget's cost estimate
+      const { result: context, retries } = await trackRetries(() => rateLimit.measureCost(() => runPipeline.run(run.state, {
+        ...options,
+        completedStages: run.completedStages,
+        onCheckpoint: currentContext => persistRun(run, {
+          state: currentContext.state,
+          completedStages: [...currentContext.completedStages]
+        })
+      })));
+      
+      const result = createRunResult(context, run, reportProgress, retries);
+      
+      await persistRun(run, {
+        status: getRunStatus(result),
+        completedStages: [...context.completedStages],
+        result
+      });
+      
+      return result;
+    } catch (error) {
+      // E.g. a result that does not match its schema
+      logger.error(`Failed to complete the run of issue ${run.triggerData.issueUrl}:`, error);
+      reportProgress('failed', error.message);
+      const result = createErrorResult({
+        errorCode: ERROR_CODES.RESOLUTION_FAILED,
+        runId: run.runId,
+        issueUrl: run.triggerData.issueUrl,
+        error: error.message,
+        completedStages: [...run.completedStages]
+      });
+      await persistRun(run, { status: 'failed', result });
+      return result;
+    }
   }
-}
 
-/**
- * Main function to process a GitHub issue resolution request
- * @param {Object} triggerData - Data from the trigger detection module
- * @returns {Promise<Object>} - Result of the resolution process
- */
-async function resolveIssue(triggerData) {
-  try {
-    logger.info(`Starting resolution process for issue: ${triggerData.issueUrl}`);
+  /**
+   * Update and save a run record, without failing the run if saving fails
+   * @param {Object} run - Run record
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<void>}
+   */
+  async function persistRun(run, updates) {
+    Object.assign(run, updates);
     
-    // Fetch GitHub issue data
-    const issueData = await githubModule.fetchIssueData(triggerData.issueUrl);
-    logger.debug(`Fetched data for issue #${issueData.number}`);
+    if (!run.runId) {
+      return;
+    }
     
-    // Setup task for AI resolution
-    const taskConfig = await taskSetupModule.setupTask(issueData);
-    logger.debug('Task setup completed');
+    try {
+      await runStore.saveRun(run);
+    } catch (error) {
+      logger.warn(`Failed to checkpoint run ${run.runId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the stored status for a run result
+   * @param {Object} result - Result of the resolution process
+   * @returns {string} - completed, cancelled, vetoed or failed
+   */
+  function getRunStatus(result) {
+    if (result.success) {
+      return 'completed';
+    }
+    if (result.errorCode === ERROR_CODES.CANCELLED) {
+      return 'cancelled';
+    }
+    return result.errorCode === ERROR_CODES.VETOED ? 'vetoed' : 'failed';
+  }
+
+  /**
+   * Create the result of a run from the final pipeline context
+   * @param {Object} context - Final pipeline context
+   * @param {Object} run - Run record
+   * @param {Function} reportProgress - Progress reporter for the terminal event
+   * @param {Object} apiRetries - Request retries of the run: { total, rateLimited }
+   * @returns {Object} - Result of the resolution process
+   */
+  function createRunResult(context, run, reportProgress, apiRetries) {
+    const { triggerData, runId } = run;
+    const { state, completedStages, error, vetoed } = context;
     
-    // Generate code fix
-    const codeChanges = await codeGenModule.generateAndValidateCode(taskConfig);
-    logger.info(`Generated ${codeChanges.codeChanges.length} code changes`);
+    if (error && isCancellationError(error)) {
+      logger.warn(`Resolution of issue ${triggerData.issueUrl} cancelled after stages: ${completedStages.join(', ') || 'none'}`);
+      reportProgress('cancelled', error.message);
+      return createErrorResult({
+        errorCode: ERROR_CODES.CANCELLED,
+        runId,
+        apiRetries,
+        issueUrl: triggerData.issueUrl,
+        error: error.message,
+        completedStages,
+        partialState: error.partialState || null
+      });
+    }
     
-    // Create commit and PR
-    const prResult = await commitPrModule.createPullRequest(codeChanges, issueData);
-    logger.info(`Created pull request: ${prResult.pullRequestUrl}`);
+    if (error) {
+      logger.error(`Failed to resolve issue ${triggerData.issueUrl}:`, error);
+      reportProgress('failed', error.message);
+      return createErrorResult({
+        errorCode: ERROR_CODES.RESOLUTION_FAILED,
+        runId,
+        apiRetries,
+        issueUrl: triggerData.issueUrl,
+        error: error.message,
+        completedStages
+      });
+    }
     
-    // Provide feedback
-    const feedbackResult = await feedbackModule.provideFeedback(prResult, issueData);
-    logger.debug('Feedback provided to issue');
+    if (vetoed) {
+      const message = `Stage ${vetoed.stage} vetoed by plugin ${vetoed.plugin}: ${vetoed.reason}`;
+      reportProgress('vetoed', message);
+      return createErrorResult({
+        errorCode: ERROR_CODES.VETOED,
+        runId,
+        apiRetries,
+        issueUrl: triggerData.issueUrl,
+        error: message,
+        veto: vetoed,
+        completedStages
+      });
+    }
     
-    // Create visualization
-    const visualization = feedbackModule.createVisualization(prResult, issueData, codeChanges);
+    const { issueData, codeChanges } = state;
+    const revision = issueData.pullRequest ? true : undefined;
     
-    return {
-      success: true,
+    // In dry-run mode, return the plan instead of the pull request
+    if (context.dryRun) {
+      reportProgress('complete', revision
+        ? `Planned revision of pull request #${issueData.issueNumber} (dry run)`
+        : `Planned resolution of issue #${issueData.issueNumber} (dry run)`);
+      return createIssueResult({
+        dryRun: true,
+        revision,
+        runId,
+        apiRetries,
+        issueUrl: triggerData.issueUrl,
+        issueNumber: issueData.issueNumber,
+        plan: {
+          ...state.plan,
+          feedbackComment: state.feedbackPreview.commentText,
+          labels: state.feedbackPreview.labels
+        },
+        changedFiles: codeChanges.codeChanges.length,
+        isValid: codeChanges.isValid,
+        summary: codeChanges.summary
+      });
+    }
+    
+    const { prResult } = state;
+    if (revision) {
+      logger.info(`Revised pull request: ${prResult.pullRequestUrl}`);
+      reportProgress('complete', `Revised pull request #${issueData.issueNumber}`);
+    } else {
+      logger.info(`Created pull request: ${prResult.pullRequestUrl}`);
+      reportProgress('complete', `Resolved issue #${issueData.issueNumber}`);
+    }
+    return createIssueResult({
+      revision,
+      runId,
+      apiRetries,
       issueUrl: triggerData.issueUrl,
-      issueNumber: issueData.number,
+      issueNumber: issueData.issueNumber,
       pullRequestUrl: prResult.pullRequestUrl,
       pullRequestNumber: prResult.pullRequestNumber,
       branch: prResult.branch,
       changedFiles: codeChanges.codeChanges.length,
-      visualization
-    };
-  } catch (error) {
-    logger.error(`Failed to resolve issue ${triggerData.issueUrl}:`, error);
-    return {
-      success: false,
+      visualization: state.visualization
+    });
+  }
+
+  /**
+   * Process a batch of GitHub issues
+   * 
+   * The batch slows down or pauses when the rate limit budget cannot cover the
+   * issues still queued, so it does not run out of requests halfway.
+   * 
+   * @param {Array} issueList - List of issue URLs or identifiers
+   * @param {Object} options - Resolution options
+   * @param {Function} options.onProgress - Callback receiving progress events, tagged with issueUrl
+   * @param {AbortSignal} options.signal - Optional signal to cancel running issues and skip the rest
+   * @returns {Promise<Object>} - Batch result, with an issue or error result for each issue
+   */
+  async function resolveBatch(issueList, options = {}) {
+    const { onProgress } = options;
+    
+    const entries = await batchModule.processBatch(issueList, issue => resolveIssue(issue, {
+      ...options,
+      onProgress: onProgress && (event => onProgress({ ...event, issueUrl: issue.issueUrl }))
+    }), {
+      signal: options.signal,
+      maxConcurrent: configuration.getConfig('github').maxConcurrent,
+      rateLimit,
+      defaultHost: getForgeHosts(configuration.getConfig('github'))[0].host
+    });
+    
+    // Issues that threw or were skipped have no result of their own
+    return createBatchResult(entries.map(entry => entry.result || createErrorResult({
+      errorCode: entry.cancelled ? ERROR_CODES.CANCELLED : ERROR_CODES.RESOLUTION_FAILED,
+      issueUrl: entry.issue.issueUrl,
+      error: entry.error
+    })));
+  }
+
+  /**
+   * Resolve every issue matching a GitHub issue search
+   * 
+   * The number of matches is reported as a 'search' progress event before any
+   * issue is resolved. Searches matching more than the configured maximum batch
+   * size are refused rather than truncated.
+   * 
+   * @param {string} searchQuery - GitHub issue search query, e.g. "repo:owner/repo is:issue is:open label:bug"
+   * @param {Object} options - Resolution options passed to resolveBatch (onProgress, signal, dryRun)
+   * @param {string} options.host - Forge host to search (defaults to the primary host)
+   * @returns {Promise<Object>} - Batch result, or an error result if the search failed or nothing or too much matched
+   */
+  async function resolveSearch(searchQuery, options = {}) {
+    const reportProgress = createProgressReporter(options.onProgress);
+    const { maxIssues } = configuration.getConfig('batch');
+    
+    let searchResult;
+    try {
+      searchResult = await github.searchIssues(searchQuery, {
+        signal: options.signal,
+        host: options.host,
+        maxResults: maxIssues
+      });
+    } catch (error) {
+      logger.error(`Failed to search issues matching: ${searchQuery}`, error);
+      return createErrorResult({
+        errorCode: isCancellationError(error) ? ERROR_CODES.CANCELLED : ERROR_CODES.RESOLUTION_FAILED,
+        error: error.message
+      });
+    }
+    const { totalCount, issues } = searchResult;
+    reportProgress('search', `Found ${totalCount} issues matching: ${searchQuery}`);
+    
+    if (totalCount === 0) {
+      return createErrorResult({
+        errorCode: ERROR_CODES.INVALID_INPUT,
+        error: `No open issues match: ${searchQuery}`
+      });
+    }
+    
+    if (totalCount > maxIssues) {
+      logger.warn(`Search matched ${totalCount} issues, more than the maximum of ${maxIssues}`);
+      return createErrorResult({
+        errorCode: ERROR_CODES.INVALID_INPUT,
+        error: `Search matched ${totalCount} issues, more than the maximum of ${maxIssues}; narrow the request`
+      });
+    }
+    
+    logger.info(`Resolving ${issues.length} issues matching: ${searchQuery}`);
+    const hosts = getForgeHosts(configuration.getConfig('github'), configuration.getConfig('gitlab'));
+    return resolveBatch(issues.map(issue => triggerModule.normalizeTriggerData(issue, { hosts })), options);
+  }
+
+  /**
+   * Explain an issue without resolving it
+   * @param {Object} triggerData - Normalized trigger data of the issue
+   * @param {Object} options - Options (signal)
+   * @returns {Promise<Object>} - Intent result with the explanation
+   */
+  async function explainIssue(triggerData, options = {}) {
+    const { issueNumber, explanation } = await issueAnalysis.explainIssue(triggerData.issueUrl, { signal: options.signal });
+    
+    return createIntentResult({
+      intent: triggerModule.INTENTS.EXPLAIN,
       issueUrl: triggerData.issueUrl,
-      error: error.message
-    };
+      issueNumber,
+      explanation
+    });
   }
-}
 
-/**
- * Process a batch of GitHub issues
- * @param {Array} issueList - List of issue URLs or identifiers
- * @returns {Promise<Array>} - Results for each issue
- */
-async function resolveBatch(issueList) {
-  return batchModule.processBatch(issueList, resolveIssue);
-}
+  /**
+   * Suggest labels and an assignee for an issue, without changing it
+   * @param {Object} triggerData - Normalized trigger data of the issue
+   * @param {Object} options - Options (signal)
+   * @returns {Promise<Object>} - Intent result with the triage suggestions
+   */
+  async function triageIssue(triggerData, options = {}) {
+    const { issueNumber, triage } = await issueAnalysis.triageIssue(triggerData.issueUrl, { signal: options.signal });
+    
+    return createIntentResult({
+      intent: triggerModule.INTENTS.TRIAGE,
+      issueUrl: triggerData.issueUrl,
+      issueNumber,
+      triage
+    });
+  }
 
-/**
- * Main handler for MCP invocation
- * @param {Object} input - User input from Claude Desktop
- * @returns {Promise<Object>} - Result of the operation
- */
-async function handleMcpInvocation(input) {
-  try {
-    // Initialize if not already initialized
-    if (!isInitialized) {
-      const initSuccess = await initialize();
-      if (!initSuccess) {
-        return {
-          success: false,
-          message: 'Failed to initialize OpenHands Resolver MCP'
-        };
-      }
+  /**
+   * Report the runs of an issue and the state of the pull request it led to
+   * @param {Object} triggerData - Normalized trigger data of the issue
+   * @param {Object} options - Options (signal)
+   * @returns {Promise<Object>} - Intent result with the status
+   */
+  async function getIssueStatus(triggerData, options = {}) {
+    const runs = await findRuns(triggerData.issueUrl);
+    const latestRun = runs.length > 0 ? await runStore.loadRun(runs[0].runId) : null;
+    const latestResult = latestRun && latestRun.result;
+    
+    // The pull request of the last run, with its current state
+    let pullRequest = null;
+    if (latestResult && latestResult.pullRequestNumber) {
+      pullRequest = await github.getPullRequest(
+        triggerData.owner,
+        triggerData.repo,
+        latestResult.pullRequestNumber,
+        { signal: options.signal, host: triggerData.host }
+      );
     }
     
-    // Detect trigger from user input
-    const triggerData = triggerModule.detectTrigger(input);
+    return createIntentResult({
+      intent: triggerModule.INTENTS.STATUS,
+      issueUrl: triggerData.issueUrl,
+      issueNumber: triggerData.issueNumber,
+      status: {
+        runs: runs.map(({ runId, status, completedStages, createdAt, updatedAt }) =>
+          ({ runId, status, completedStages, createdAt, updatedAt })),
+        lastError: latestResult && !latestResult.success ? latestResult.error : undefined,
+        pullRequest
+      }
+    });
+  }
+
+  /**
+   * Rerun the last failed or cancelled attempt to resolve an issue, from its checkpoint
+   * @param {Object} triggerData - Normalized trigger data of the issue
+   * @param {Object} options - Resolution options passed to resumeRun (onProgress, signal, plugins)
+   * @returns {Promise<Object>} - Result of the resumed run, or an error result if there is nothing to retry
+   */
+  async function retryIssue(triggerData, options = {}) {
+    const runs = await findRuns(triggerData.issueUrl);
     
-    if (!triggerData) {
-      return {
-        success: false,
-        message: 'No valid GitHub issue detected in the input'
-      };
+    if (runs.length > 0 && runs[0].status === 'completed') {
+      return createErrorResult({
+        errorCode: ERROR_CODES.INVALID_INPUT,
+        runId: runs[0].runId,
+        issueUrl: triggerData.issueUrl,
+        error: `The last run of ${triggerData.issueUrl} completed; there is nothing to retry`
+      });
     }
     
-    // Check if trigger is valid
-    if (!triggerModule.validateTrigger(triggerData)) {
-      return {
-        success: false,
-        message: 'Invalid trigger data, missing required information'
-      };
+    const failedRun = runs.find(run => run.status === 'failed' || run.status === 'cancelled');
+    if (!failedRun) {
+      return createErrorResult({
+        errorCode: ERROR_CODES.INVALID_INPUT,
+        issueUrl: triggerData.issueUrl,
+        error: `No failed run of ${triggerData.issueUrl} to retry`
+      });
     }
     
-    // Check if this is a batch request
-    if (triggerData.isBatch && triggerData.issueList && triggerData.issueList.length > 0) {
-      logger.info(`Processing batch request with ${triggerData.issueList.length} issues`);
-      return {
-        success: true,
-        isBatch: true,
-        results: await resolveBatch(triggerData.issueList)
+    logger.info(`Retrying run ${failedRun.runId} of ${triggerData.issueUrl}`);
+    return resumeRun(failedRun.runId, options);
+  }
+
+  /**
+   * Find the stored runs of an issue
+   * @param {string} issueUrl - Issue URL
+   * @returns {Promise<Array>} - Run summaries, most recently updated first
+   */
+  async function findRuns(issueUrl) {
+    const runs = await runStore.listRuns();
+    return runs.filter(run => (run.issueUrl || '').toLowerCase() === issueUrl.toLowerCase());
+  }
+
+  /**
+   * Main handler for MCP invocation
+   * 
+   * Requests are routed by intent: fixes to resolveIssue, resolveBatch or
+   * resolveSearch, and explain, triage, status and retry requests to their
+   * own handlers, which work on one issue at a time.
+   * 
+   * @param {Object} input - User input from Claude Desktop
+   * @param {Object} options - Resolution options passed to resolveIssue or resolveBatch (onProgress, signal, dryRun)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async function handleMcpInvocation(input, options = {}) {
+    try {
+      // Initialize if not already initialized
+      if (!isInitialized) {
+        const initSuccess = await initialize();
+        if (!initSuccess) {
+          return createErrorResult({
+            errorCode: ERROR_CODES.INITIALIZATION_FAILED,
+            error: 'Failed to initialize OpenHands Resolver MCP'
+          });
+        }
+      }
+      
+      // Detect trigger from user input
+      const githubConfig = configuration.getConfig('github');
+      const { maxIssues } = configuration.getConfig('batch');
+      const triggerData = triggerModule.detectTrigger(input, {
+        defaultOwner: githubConfig.defaultOwner,
+        defaultRepo: githubConfig.defaultRepo,
+        hosts: getForgeHosts(githubConfig, configuration.getConfig('gitlab')),
+        maxIssues
+      });
+      
+      if (!triggerData) {
+        return createErrorResult({
+          errorCode: ERROR_CODES.INVALID_INPUT,
+          error: 'No valid GitHub issue detected in the input'
+        });
+      }
+      
+      // Check if trigger is valid
+      if (!triggerModule.validateTrigger(triggerData)) {
+        return createErrorResult({
+          errorCode: ERROR_CODES.INVALID_INPUT,
+          error: 'Invalid trigger data, missing required information'
+        });
+      }
+      
+      // Requests that are not fixes go to their own handler
+      const intentHandlers = {
+        [triggerModule.INTENTS.EXPLAIN]: explainIssue,
+        [triggerModule.INTENTS.TRIAGE]: triageIssue,
+        [triggerModule.INTENTS.STATUS]: getIssueStatus,
+        [triggerModule.INTENTS.RETRY]: retryIssue
       };
+      const intentHandler = intentHandlers[triggerData.intent];
+      if (intentHandler) {
+        if (triggerData.isBatch) {
+          return createErrorResult({
+            errorCode: ERROR_CODES.INVALID_INPUT,
+            error: `${triggerData.intent} requests name one issue at a time`
+          });
+        }
+        logger.info(`Processing ${triggerData.intent} request for ${triggerData.issueUrl}`);
+        return await intentHandler(triggerData, options);
+      }
+      
+      // Check if this is a search request
+      if (triggerData.isSearch) {
+        logger.info(`Processing search request: ${triggerData.searchQuery}`);
+        return await resolveSearch(triggerData.searchQuery, { ...options, host: triggerData.host });
+      }
+      
+      // Check if this is a batch request
+      if (triggerData.isBatch && triggerData.issueList && triggerData.issueList.length > 0) {
+        logger.info(`Processing batch request with ${triggerData.issueList.length} issues`);
+        return await resolveBatch(triggerData.issueList, options);
+      }
+      
+      // Process single issue
+      logger.info('Processing single issue resolution request');
+      return await resolveIssue(triggerData, options);
+    } catch (error) {
+      logger.error('Error handling MCP invocation:', error);
+      return createErrorResult({
+        errorCode: ERROR_CODES.RESOLUTION_FAILED,
+        error: `Error: ${error.message}`
+      });
     }
-    
-    // Process single issue
-    logger.info('Processing single issue resolution request');
-    return await resolveIssue(triggerData);
-  } catch (error) {
-    logger.error('Error handling MCP invocation:', error);
+  }
+
+  /**
+   * Get information about the OpenHands Resolver MCP
+   * @returns {Object} - MCP information
+   */
+  function getMcpInfo() {
     return {
-      success: false,
-      message: `Error: ${error.message}`
+      name: 'OpenHands Resolver MCP',
+      version: '0.1.0',
+      description: 'AI-driven GitHub issue resolution system',
+      initialized: isInitialized,
+      capabilities: [
+        'GitHub issue resolution',
+        'Code generation and validation',
+        'Pull request creation',
+        'Pull request revisions',
+        'Batch processing',
+        'Issue search batches',
+        'Dry-run planning',
+        'Resumable runs',
+        'Issue explanation, triage, status and retry'
+      ]
     };
   }
-}
 
-/**
- * Get information about the OpenHands Resolver MCP
- * @returns {Object} - MCP information
- */
-function getMcpInfo() {
   return {
-    name: 'OpenHands Resolver MCP',
-    version: '0.1.0',
-    description: 'AI-driven GitHub issue resolution system',
-    initialized: isInitialized,
-    capabilities: [
-      'GitHub issue resolution',
-      'Code generation and validation',
-      'Pull request creation',
-      'Batch processing'
-    ]
+    initialize,
+    handleMcpInvocation,
+    resolveIssue,
+    resolveBatch,
+    resolveSearch,
+    resumeRun,
+    explainIssue,
+    triageIssue,
+    getIssueStatus,
+    retryIssue,
+    registerPlugin,
+    getMcpInfo,
+    getConfig: configuration.getConfig
   };
 }
 
+// Default instance on the module-level singletons, behind the functions exported below
+const defaultResolver = createResolver({
+  modules: {
+    configuration: configModule,
+    github: forgeModule,
+    taskSetup: taskSetupModule,
+    codeGen: codeGenModule,
+    commitPr: commitPrModule,
+    feedback: feedbackModule,
+    runStore: runStoreModule,
+    issueAnalysis: issueAnalysisModule,
+    rateLimit: sharedRateLimit
+  }
+});
+
+const {
+  initialize,
+  handleMcpInvocation,
+  resolveIssue,
+  resolveBatch,
+  resolveSearch,
+  resumeRun,
+  explainIssue,
+  triageIssue,
+  getIssueStatus,
+  retryIssue,
+  registerPlugin,
+  getMcpInfo,
+  getConfig
+} = defaultResolver;
+
 export {
+  createResolver,
   initialize,
   handleMcpInvocation,
   resolveIssue,
   resolveBatch,
-  getMcpInfo
+  resolveSearch,
+  resumeRun,
+  explainIssue,
+  triageIssue,
+  getIssueStatus,
+  retryIssue,
+  registerPlugin,
+  getMcpInfo,
+  getConfig
 };
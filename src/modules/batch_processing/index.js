@@ -4,21 +4,28 @@
  * This module enables concurrent resolution of multiple GitHub issues:
  * - Processes batches of issues with prioritization
  * - Manages parallelism and throttling to respect API limits
+ * - Slows down or pauses when the rate limit budget cannot cover the queued issues
  * - Tracks and reports on batch processing status
  */
 
 import { getContextLogger } from '../../utils/logger.js';
 import { getConfig } from '../configuration/index.js';
+import { delay } from '../../utils/cancellation.js';
 
 const logger = getContextLogger('BatchProcessing');
 
 /**
  * Process a batch of GitHub issues
  * @param {Array} issueList - List of issue URLs or identifiers
-a * @param {Function} resolveFunction - Function for resolving individual issues
- * @returns {Promise<Array>} - Results for each issue
+ * @param {Function} resolveFunction - Function for resolving individual issues
+ * @param {Object} options - Batch options
+ * @param {AbortSignal} options.signal - Optional signal to stop starting new issues
+ * @param {number} options.maxConcurrent - Maximum concurrent resolutions (defaults to the GitHub configuration)
+ * @param {Object} options.rateLimit - Optional rate limit budget telling how long to wait before each issue
+ * @param {string} options.defaultHost - Web host of issues without a host, for the rate limit budget
+ * @returns {Promise<Array>} - Results for each issue, in the order of issueList
  */
-export async function processBatch(issueList, resolveFunction) {
+export async function processBatch(issueList, resolveFunction, options = {}) {
   try {
     logger.info(`Processing batch of ${issueList.length} issues`);
     
@@ -36,14 +43,17 @@ export async function processBatch(issueList, resolveFunction) {
     logger.debug(`Prioritized ${prioritizedIssues.length} issues for batch processing`);
     
     // Get batch processing configuration
-    const maxConcurrent = getConfig('github').maxConcurrent || 3;
+    const maxConcurrent = options.maxConcurrent || getConfig('github').maxConcurrent || 3;
     logger.debug(`Using max concurrent limit of ${maxConcurrent}`);
     
     // Process issues with throttling
     const results = await processIssuesWithThrottling(
       prioritizedIssues,
       resolveFunction,
-      maxConcurrent
+      maxConcurrent,
+      options.signal,
+      options.rateLimit,
+      options.defaultHost
     );
     
     // Generate batch summary
@@ -60,15 +70,12 @@ export async function processBatch(issueList, resolveFunction) {
 /**
  * Prioritize issues based on labels, age, or other factors
  * @param {Array} issueList - List of issue identifiers
- * @returns {Array} - Prioritized list of issues
+ * @returns {Array} - Issues in priority order, issues of equal priority in list order: { issue, originalIndex, priorityScore }
  */
 function prioritizeIssues(issueList) {
   try {
-    // Create a copy of the issues for prioritization
-    const issues = [...issueList];
-    
     // Score issues for priority (higher score = higher priority)
-    const scoredIssues = issues.map(issue => {
+    const scoredIssues = issueList.map((issue, originalIndex) => {
       let score = 0;
       
       // Priority based on labels
@@ -87,33 +94,34 @@ function prioritizeIssues(issueList) {
         }
       }
       
-      // Add some randomness for equal-priority items
-      score += Math.random();
-      
       return {
-        ...issue,
+        issue,
+        originalIndex,
         priorityScore: score
       };
     });
     
-    // Sort by priority score (descending)
+    // Sort by priority score (descending); the sort is stable, so ties keep list order
     scoredIssues.sort((a, b) => b.priorityScore - a.priorityScore);
     
     return scoredIssues;
   } catch (error) {
     logger.error('Error prioritizing issues:', error);
-    return issueList;
+    return issueList.map((issue, originalIndex) => ({ issue, originalIndex, priorityScore: 0 }));
   }
 }
 
 /**
  * Process issues with throttling to respect API limits
- * @param {Array} issues - Prioritized list of issues
+ * @param {Array} issues - Prioritized issues from prioritizeIssues: { issue, originalIndex }
  * @param {Function} resolveFunction - Function for resolving individual issues
  * @param {number} maxConcurrent - Maximum number of concurrent operations
- * @returns {Promise<Array>} - Results for each issue
+ * @param {AbortSignal} signal - Optional signal; once aborted, no further issues are started
+ * @param {Object} rateLimit - Optional rate limit budget telling how long to wait before each issue
+ * @param {string} defaultHost - Web host of issues without a host
+ * @returns {Promise<Array>} - Results for each issue, in the order of the original list
  */
-async function processIssuesWithThrottling(issues, resolveFunction, maxConcurrent) {
+async function processIssuesWithThrottling(issues, resolveFunction, maxConcurrent, signal, rateLimit, defaultHost) {
   try {
     logger.debug(`Processing ${issues.length} issues with max concurrency of ${maxConcurrent}`);
     
@@ -125,23 +133,51 @@ async function processIssuesWithThrottling(issues, resolveFunction, maxConcurren
     while (index < issues.length) {
       // Fill up to max concurrent
       while (activePromises.length < maxConcurrent && index < issues.length) {
-        const issue = issues[index];
+        // Stop starting new issues once the batch is cancelled
+        if (signal && signal.aborted) {
+          logger.warn(`Batch cancelled, skipping ${issues.length - index} remaining issues`);
+          while (index < issues.length) {
+            results.push({
+              originalIndex: issues[index].originalIndex,
+              issue: issues[index].issue,
+              error: 'Batch was cancelled before this issue started',
+              cancelled: true,
+              success: false
+            });
+            index++;
+          }
+          break;
+        }
+        
+        const { issue, originalIndex: issueIndex } = issues[index];
+        
+        // Wait if the rate limit budget cannot cover the issues still queued or running
+        const waitMs = rateLimit
+          ? rateLimit.getDelay(issues.length - index + activePromises.length, issue.host || defaultHost)
+          : 0;
+        if (waitMs > 0) {
+          logger.info(`Waiting ${Math.ceil(waitMs / 1000)}s for the rate limit budget before issue at index ${issueIndex}`);
+          await delay(waitMs, signal);
+          if (signal && signal.aborted) {
+            continue;
+          }
+        }
         
         // Create a promise that includes the issue index for tracking
         const promise = (async () => {
           try {
-            logger.debug(`Starting resolution for issue at index ${index}`);
+            logger.debug(`Starting resolution for issue at index ${issueIndex}`);
             const result = await resolveFunction(issue);
             return {
-              originalIndex: index,
+              originalIndex: issueIndex,
               issue,
               result,
               success: true
             };
           } catch (error) {
-            logger.error(`Error resolving issue at index ${index}:`, error);
+            logger.error(`Error resolving issue at index ${issueIndex}:`, error);
             return {
-              originalIndex: index,
+              originalIndex: issueIndex,
               issue,
               error: error.message,
               success: false
@@ -168,7 +204,7 @@ async function processIssuesWithThrottling(issues, resolveFunction, maxConcurren
         activePromises.splice(completedPromise.index, 1);
         
         // Add a small delay to avoid overwhelming the API
-        await new Promise(resolve => setTimeout(resolve, 500));
+        await delay(500, signal);
       }
     }
     
@@ -0,0 +1,411 @@
+/**
+ * OpenHands Resolver MCP - CLI Module
+ *
+ * This module implements the openhands-resolve command-line interface:
+ * - Resolves a single issue or a batch of issues outside Claude Desktop
+ * - Reports the status of persisted runs
+ * - Prints the resolution summary as Markdown, or results as JSON
+ *
+ * Usage:
+ *   openhands-resolve resolve <issue-url> [--dry-run] [--json] [--config <path>]
+ *   openhands-resolve batch <file|urls...> [--dry-run] [--json] [--config <path>]
+ *   openhands-resolve status <run-id> [--json] [--config <path>]
+ *   openhands-resolve info [--json]
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import * as defaultResolver from '../../index.js';
+import * as defaultRunStore from '../run_store/index.js';
+import { normalizeTriggerData } from '../trigger_detection/index.js';
+import { getConfiguredForgeHosts } from '../../utils/forge_hosts.js';
+import { getContextLogger } from '../../utils/logger.js';
+
+const logger = getContextLogger('Cli');
+
+// Process exit codes
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+export const USAGE = `Usage: openhands-resolve <command> [options]
+
+Commands:
+  resolve <issue-url>      Resolve a GitHub issue and open a pull request
+  batch <file|urls...>     Resolve several issues; a file lists one issue URL per line
+  status <run-id>          Show the status of a resolution run
+  info                     Show the resolver name, version and capabilities
+
+Options:
+  -c, --config <path>      Path to a JSON configuration file
+  -n, --dry-run            Plan the resolution without writing to GitHub
+  -j, --json               Print results as JSON
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  'dry-run': { type: 'boolean', short: 'n', default: false },
+  json: { type: 'boolean', short: 'j', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} - { command, args, config, dryRun, json, help }
+ * @throws {Error} If an option is unknown or misses its value
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true
+  });
+
+  return {
+    command: positionals[0],
+    args: positionals.slice(1),
+    config: values.config,
+    dryRun: values['dry-run'],
+    json: values.json,
+    help: values.help
+  };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @param {Object} dependencies - Injectable dependencies
+ * @param {Object} dependencies.resolver - Resolver API (defaults to the main entry point exports)
+ * @param {Object} dependencies.runStore - Run store (defaults to the run store module)
+ * @param {Object} dependencies.stdout - Stream for results
+ * @param {Object} dependencies.stderr - Stream for progress and errors
+ * @param {AbortSignal} dependencies.signal - Optional signal to cancel the resolution
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function runCli(argv, dependencies = {}) {
+  const io = {
+    resolver: dependencies.resolver || defaultResolver,
+    runStore: dependencies.runStore || defaultRunStore,
+    stdout: dependencies.stdout || process.stdout,
+    stderr: dependencies.stderr || process.stderr,
+    signal: dependencies.signal
+  };
+
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    return usageError(io, error.message);
+  }
+
+  if (options.help || !options.command) {
+    writeLine(io.stdout, USAGE);
+    return options.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  try {
+    switch (options.command) {
+      case 'resolve':
+        return await resolveCommand(io, options);
+      case 'batch':
+        return await batchCommand(io, options);
+      case 'status':
+        return await statusCommand(io, options);
+      case 'info':
+        return infoCommand(io, options);
+      default:
+        return usageError(io, `Unknown command: ${options.command}`);
+    }
+  } catch (error) {
+    logger.error(`Command ${options.command} failed:`, error);
+    writeLine(io.stderr, `Error: ${error.message}`);
+    return EXIT_CODES.FAILURE;
+  }
+}
+
+/**
+ * Handle the resolve command
+ * @param {Object} io - Resolver, run store, output streams and signal
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function resolveCommand(io, options) {
+  if (options.args.length !== 1) {
+    return usageError(io, 'resolve requires exactly one issue URL');
+  }
+
+  // Initialize first, so hosts configured only in the config file are recognized
+  if (!await initializeResolver(io, options)) {
+    return EXIT_CODES.FAILURE;
+  }
+
+  const triggerData = parseIssueUrl(io, options.args[0]);
+  if (!triggerData) {
+    return usageError(io, `Not a GitHub issue URL: ${options.args[0]}`);
+  }
+
+  const result = await io.resolver.resolveIssue(triggerData, {
+    dryRun: options.dryRun,
+    signal: io.signal,
+    onProgress: options.json ? undefined : event => {
+      writeLine(io.stderr, `[${event.percent}%] ${event.stage}: ${event.message}`);
+    }
+  });
+
+  if (options.json) {
+    writeLine(io.stdout, JSON.stringify(result, null, 2));
+  } else {
+    writeLine(io.stdout, formatResult(result));
+  }
+
+  return result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Handle the batch command
+ * @param {Object} io - Resolver, run store, output streams and signal
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} - Exit code; failure unless every issue was resolved
+ */
+async function batchCommand(io, options) {
+  if (options.args.length === 0) {
+    return usageError(io, 'batch requires a file or at least one issue URL');
+  }
+
+  const issueUrls = await collectIssueUrls(options.args);
+  if (issueUrls.length === 0) {
+    return usageError(io, 'No issue URLs found');
+  }
+
+  // Initialize first, so hosts configured only in the config file are recognized
+  if (!await initializeResolver(io, options)) {
+    return EXIT_CODES.FAILURE;
+  }
+
+  const issueList = [];
+  for (const issueUrl of issueUrls) {
+    const triggerData = parseIssueUrl(io, issueUrl);
+    if (!triggerData) {
+      return usageError(io, `Not a GitHub issue URL: ${issueUrl}`);
+    }
+    issueList.push(triggerData);
+  }
+
+  const batchResult = await io.resolver.resolveBatch(issueList, {
+    dryRun: options.dryRun,
+    signal: io.signal,
+    onProgress: options.json ? undefined : event => {
+      writeLine(io.stderr, `[${event.issueUrl}] [${event.percent}%] ${event.stage}: ${event.message}`);
+    }
+  });
+
+  if (options.json) {
+    writeLine(io.stdout, JSON.stringify(batchResult, null, 2));
+  } else {
+    writeLine(io.stdout, batchResult.results.map(formatResult).join('\n\n---\n\n'));
+    writeLine(io.stdout, `\n${batchResult.succeeded} of ${batchResult.total} issues resolved`);
+  }
+
+  return batchResult.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Handle the status command
+ * @param {Object} io - Resolver, run store, output streams and signal
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function statusCommand(io, options) {
+  if (options.args.length !== 1) {
+    return usageError(io, 'status requires exactly one run ID');
+  }
+
+  // The config file may set its own runs directory
+  if (options.config && !await initializeResolver(io, options)) {
+    return EXIT_CODES.FAILURE;
+  }
+
+  const run = await io.runStore.loadRun(options.args[0]);
+
+  if (options.json) {
+    writeLine(io.stdout, JSON.stringify({
+      runId: run.runId,
+      status: run.status,
+      issueUrl: run.triggerData.issueUrl,
+      dryRun: run.dryRun,
+      completedStages: run.completedStages,
+      createdAt: run.createdAt,
+      updatedAt: run.updatedAt,
+      result: run.result
+    }, null, 2));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const lines = [
+    `Run:              ${run.runId}`,
+    `Issue:            ${run.triggerData.issueUrl}`,
+    `Status:           ${run.status}${run.dryRun ? ' (dry run)' : ''}`,
+    `Completed stages: ${run.completedStages.join(', ') || 'none'}`,
+    `Created:          ${run.createdAt}`,
+    `Updated:          ${run.updatedAt}`
+  ];
+
+  if (run.result && !run.result.success) {
+    lines.push(`Error:            ${run.result.error}`);
+  }
+  if (run.result && run.result.pullRequestUrl) {
+    lines.push(`Pull request:     ${run.result.pullRequestUrl}`);
+  }
+
+  writeLine(io.stdout, lines.join('\n'));
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Handle the info command
+ * @param {Object} io - Resolver, run store, output streams and signal
+ * @param {Object} options - Parsed arguments
+ * @returns {number} - Exit code
+ */
+function infoCommand(io, options) {
+  const info = io.resolver.getMcpInfo();
+
+  if (options.json) {
+    writeLine(io.stdout, JSON.stringify(info, null, 2));
+  } else {
+    writeLine(io.stdout, [
+      `${info.name} ${info.version}`,
+      info.description,
+      '',
+      'Capabilities:',
+      ...info.capabilities.map(capability => `  - ${capability}`)
+    ].join('\n'));
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Initialize the resolver with the configuration file, if any
+ * @param {Object} io - Resolver, run store, output streams and signal
+ * @param {Object} options - Parsed arguments
+ * @returns {Promise<boolean>} - Success status
+ */
+async function initializeResolver(io, options) {
+  const initSuccess = await io.resolver.initialize(options.config);
+
+  if (!initSuccess) {
+    writeLine(io.stderr, 'Error: Failed to initialize OpenHands Resolver MCP');
+  }
+
+  return initSuccess;
+}
+
+/**
+ * Collect issue URLs from batch arguments
+ *
+ * Arguments that are URLs are used as they are; any other argument is read
+ * as a file with one issue URL per line. Blank lines and lines starting
+ * with # are ignored.
+ *
+ * @param {Array<string>} args - Batch arguments
+ * @returns {Promise<Array<string>>} - Issue URLs
+ */
+async function collectIssueUrls(args) {
+  const issueUrls = [];
+
+  for (const arg of args) {
+    if (/^https?:\/\//.test(arg)) {
+      issueUrls.push(arg);
+      continue;
+    }
+
+    const content = await fs.readFile(arg, 'utf8');
+    content.split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .forEach(line => issueUrls.push(line));
+  }
+
+  return issueUrls;
+}
+
+/**
+ * Parse an issue URL into trigger data
+ * @param {Object} io - Resolver, run store, output streams and signal
+ * @param {string} issueUrl - Issue URL
+ * @returns {Object|null} - Normalized trigger data, or null if the URL is not an issue of a configured host
+ */
+function parseIssueUrl(io, issueUrl) {
+  // Hosts of the resolver's own configuration, which includes the --config file
+  const triggerData = normalizeTriggerData({ issueUrl, isBatch: false }, { hosts: getConfiguredForgeHosts(io.resolver) });
+  return triggerData.owner ? triggerData : null;
+}
+
+/**
+ * Format a resolution result for the terminal
+ * @param {Object} result - Resolution result
+ * @returns {string} - Markdown text
+ */
+function formatResult(result) {
+  if (!result.success) {
+    const lines = [`❌ ${result.issueUrl || 'Resolution'} failed: ${result.error}`];
+    if (result.runId) {
+      lines.push(`Run ID: ${result.runId}`);
+    }
+    return lines.join('\n');
+  }
+
+  if (result.dryRun) {
+    const { plan } = result;
+    return [
+      `# Dry run for issue #${result.issueNumber}`,
+      '',
+      `- **Branch**: ${plan.branch} (from ${plan.baseBranch})`,
+      `- **Pull request**: ${plan.title}${plan.draft ? ' (draft)' : ''}`,
+      `- **Labels after resolution**: ${plan.labels.join(', ') || 'none'}`,
+      `- **Files changed**: ${result.changedFiles}`,
+      `- **Run ID**: ${result.runId}`,
+      '',
+      ...plan.changes.map(change => `## ${change.filePath}\n\n${change.reason}\n\n\`\`\`diff\n${change.diff}\n\`\`\``)
+    ].join('\n');
+  }
+
+  return [
+    result.visualization ? result.visualization.markdown.trim() : `✅ Resolved issue #${result.issueNumber}`,
+    '',
+    `Pull request: ${result.pullRequestUrl}`,
+    `Run ID: ${result.runId}`
+  ].join('\n');
+}
+
+/**
+ * Write a line to a stream
+ * @param {Object} stream - Writable stream
+ * @param {string} text - Text to write
+ */
+function writeLine(stream, text) {
+  stream.write(`${text}\n`);
+}
+
+/**
+ * Report a usage error
+ * @param {Object} io - Resolver, run store, output streams and signal
+ * @param {string} message - Error message
+ * @returns {number} - Usage exit code
+ */
+function usageError(io, message) {
+  writeLine(io.stderr, `Error: ${message}\n\n${USAGE}`);
+  return EXIT_CODES.USAGE;
+}
+
+// Export additional functions
+export default {
+  runCli,
+  parseCliArgs,
+  EXIT_CODES,
+  USAGE
+};
@@ -3,181 +3,339 @@
  * 
  * This module manages committing changes and creating pull requests:
  * - Creates a new branch for changes
- * - Commits generated code changes to the repository
+ * - Commits generated code changes to the repository as one commit
  * - Creates a pull request for review
+ * - Pushes follow-up commits that address review feedback on a pull request
  * - Handles PR metadata like labels, assignees, and reviewers
  */
 
 import { getContextLogger } from '../../utils/logger.js';
-import { getConfig } from '../configuration/index.js';
-import * as githubModule from '../github_api/index.js';
-
-const logger = getContextLogger('CommitPR');
+import * as configModule from '../configuration/index.js';
+import * as forgeModule from '../forge/index.js';
 
 /**
- * Create a pull request with the generated code changes
- * @param {Object} codeChanges - Generated code changes from the code generation module
- * @param {Object} issueData - GitHub issue data
- * @returns {Promise<Object>} - Pull request data
+ * Create an isolated commit and pull request instance
+ * @param {Object} dependencies - Commit and PR dependencies
+ * @param {Object} dependencies.config - Configuration instance providing getConfig(section)
+ * @param {Object} dependencies.github - Forge client, routing to the GitHub or GitLab provider of each host
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @returns {Object} - Commit and pull request functions
  */
-export async function createPullRequest(codeChanges, issueData) {
-  try {
-    logger.info(`Creating pull request for issue #${issueData.issueNumber} in ${issueData.owner}/${issueData.repo}`);
-    
-    // Get configurations
-    const prConfig = getConfig('pullRequest');
+export function createCommitPr({ config = configModule, github = forgeModule, logger: baseLogger } = {}) {
+  const logger = getContextLogger('CommitPR', baseLogger);
+
+  /**
+   * Create a pull request with the generated code changes
+   * @param {Object} codeChanges - Generated code changes from the code generation module
+   * @param {Object} issueData - GitHub issue data
+   * @param {Object} options - Pull request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel before the next GitHub write
+   * @param {Object} options.checkpoint - Branch and committed files from an earlier attempt, to reuse
+   * @param {Function} options.onCheckpoint - Async callback receiving { branch, committedFiles } after each write
+   * @returns {Promise<Object>} - Pull request data
+   */
+  async function createPullRequest(codeChanges, issueData, options = {}) {
+    const { signal, onCheckpoint } = options;
     
-    // Create a branch for the changes
-    const branch = await createBranchForChanges(issueData);
-    logger.debug(`Created branch: ${branch.name}`);
+    // Track what was written to GitHub so a failed run can report it and a resumed run can reuse it
+    const partialState = {
+      branch: null,
+      ...options.checkpoint,
+      committedFiles: [...((options.checkpoint && options.checkpoint.committedFiles) || [])]
+    };
+    const reusedFiles = [...partialState.committedFiles];
     
-    // Commit the changes
-    const commitResults = await commitChangesToBranch(
-      codeChanges.codeChanges,
-      issueData,
-      branch.name
-    );
-    logger.debug(`Committed ${commitResults.length} files`);
+    const saveCheckpoint = async () => {
+      if (onCheckpoint) {
+        await onCheckpoint({ branch: partialState.branch, committedFiles: [...partialState.committedFiles] });
+      }
+    };
     
-    // Get base branch (repository's default branch)
-    const baseBranch = issueData.repository.defaultBranch;
+    try {
+      logger.info(`Creating pull request for issue #${issueData.issueNumber} in ${issueData.owner}/${issueData.repo}`);
+      
+      // Get configurations
+      const prConfig = config.getConfig('pullRequest');
+      
+      // Create a branch for the changes, unless an earlier attempt already did
+      if (partialState.branch) {
+        logger.info(`Reusing branch ${partialState.branch} from an earlier attempt`);
+      } else {
+        const branch = await createBranchForChanges(issueData, signal);
+        partialState.branch = branch.name;
+        logger.debug(`Created branch: ${branch.name}`);
+        await saveCheckpoint();
+      }
+      
+      // Commit the changes that an earlier attempt did not commit yet
+      const pendingChanges = codeChanges.codeChanges.filter(
+        change => !reusedFiles.includes(change.filePath)
+      );
+      const commit = await commitChangesToBranch(
+        pendingChanges,
+        { host: issueData.host, owner: issueData.owner, repo: issueData.repo, branch: partialState.branch },
+        `Fix issue #${issueData.issueNumber}: ${issueData.title}`,
+        signal,
+        async filePaths => {
+          partialState.committedFiles.push(...filePaths);
+          await saveCheckpoint();
+        }
+      );
+      logger.debug(`Committed ${commit.files.length} files`);
+      
+      // Get base branch (repository's default branch)
+      const baseBranch = issueData.repository.defaultBranch;
+      
+      // Prepare PR title and body
+      const { title, body } = preparePullRequestContent(issueData, codeChanges);
+      
+      // Create the pull request
+      const pullRequest = await github.createPullRequest(
+        issueData.owner,
+        issueData.repo,
+        title,
+        body,
+        partialState.branch,
+        baseBranch,
+        prConfig.defaultAsDraft,
+        { signal, host: issueData.host }
+      );
+      
+      logger.info(`Created pull request: ${pullRequest.pullRequestUrl}`);
+      
+      // Return the result
+      return {
+        ...pullRequest,
+        branch: partialState.branch,
+        commits: commit.sha ? 1 : 0,
+        files: [...reusedFiles.map(path => ({ path })), ...commit.files]
+      };
+    } catch (error) {
+      logger.error(`Failed to create pull request for issue #${issueData.issueNumber}:`, error);
+      error.partialState = partialState;
+      throw error;
+    }
+  }
+
+  /**
+   * Plan a pull request without writing anything to GitHub
+   * @param {Object} codeChanges - Generated code changes from the code generation module
+   * @param {Object} issueData - GitHub issue data
+   * @returns {Object} - Would-be branch, PR title and body, and the diffs to commit
+   */
+  function planPullRequest(codeChanges, issueData) {
+    logger.info(`Planning pull request for issue #${issueData.issueNumber} in ${issueData.owner}/${issueData.repo} (dry run)`);
     
-    // Prepare PR title and body
+    const prConfig = config.getConfig('pullRequest');
     const { title, body } = preparePullRequestContent(issueData, codeChanges);
     
-    // Create the pull request
-    const pullRequest = await githubModule.createPullRequest(
-      issueData.owner,
-      issueData.repo,
+    return {
+      branch: generateBranchName(issueData),
+      baseBranch: issueData.repository.defaultBranch,
       title,
       body,
-      branch.name,
-      baseBranch,
-      prConfig.defaultAsDraft
-    );
+      draft: prConfig.defaultAsDraft,
+      changes: codeChanges.codeChanges.map(change => ({
+        filePath: change.filePath,
+        reason: change.reason,
+        diff: change.diff
+      }))
+    };
+  }
+
+  /**
+   * Push follow-up commits that address review feedback to a pull request's head branch
+   * @param {Object} codeChanges - Generated code changes from the code generation module
+   * @param {Object} issueData - Pull request data from fetchPullRequestData
+   * @param {Object} options - Revision options
+   * @param {AbortSignal} options.signal - Optional signal to cancel before the next GitHub write
+   * @param {Object} options.checkpoint - Committed files from an earlier attempt, to skip
+   * @param {Function} options.onCheckpoint - Async callback receiving { branch, committedFiles } after each write
+   * @returns {Promise<Object>} - Revised pull request data
+   */
+  async function pushRevision(codeChanges, issueData, options = {}) {
+    const { signal, onCheckpoint } = options;
+    const { pullRequest } = issueData;
     
-    logger.info(`Created pull request: ${pullRequest.pullRequestUrl}`);
+    const partialState = {
+      branch: pullRequest.head.branch,
+      committedFiles: [...((options.checkpoint && options.checkpoint.committedFiles) || [])]
+    };
+    const reusedFiles = [...partialState.committedFiles];
+    
+    try {
+      logger.info(`Pushing revision to pull request #${pullRequest.number} in ${issueData.owner}/${issueData.repo}`);
+      
+      // Commit the changes that an earlier attempt did not commit yet
+      const pendingChanges = codeChanges.codeChanges.filter(
+        change => !reusedFiles.includes(change.filePath)
+      );
+      const commit = await commitChangesToBranch(
+        pendingChanges,
+        pullRequest.head,
+        `Address review feedback on #${pullRequest.number}`,
+        signal,
+        async filePaths => {
+          partialState.committedFiles.push(...filePaths);
+          if (onCheckpoint) {
+            await onCheckpoint({ branch: partialState.branch, committedFiles: [...partialState.committedFiles] });
+          }
+        }
+      );
+      logger.info(`Pushed ${commit.files.length} changed files to ${pullRequest.head.branch}`);
+      
+      return {
+        pullRequestUrl: pullRequest.url,
+        pullRequestNumber: pullRequest.number,
+        branch: partialState.branch,
+        commits: commit.sha ? 1 : 0,
+        files: [...reusedFiles.map(path => ({ path })), ...commit.files]
+      };
+    } catch (error) {
+      logger.error(`Failed to push revision to pull request #${pullRequest.number}:`, error);
+      error.partialState = partialState;
+      throw error;
+    }
+  }
+
+  /**
+   * Plan a revision of a pull request without writing anything to GitHub
+   * @param {Object} codeChanges - Generated code changes from the code generation module
+   * @param {Object} issueData - Pull request data from fetchPullRequestData
+   * @returns {Object} - Branch that would receive the commits, the pull request, and the diffs to commit
+   */
+  function planRevision(codeChanges, issueData) {
+    const { pullRequest } = issueData;
+    logger.info(`Planning revision of pull request #${pullRequest.number} in ${issueData.owner}/${issueData.repo} (dry run)`);
     
-    // Return the result
     return {
-      ...pullRequest,
-      branch: branch.name,
-      commits: commitResults.length,
-      files: commitResults
+      branch: pullRequest.head.branch,
+      baseBranch: pullRequest.baseBranch,
+      title: issueData.title,
+      body: issueData.body,
+      draft: false,
+      changes: codeChanges.codeChanges.map(change => ({
+        filePath: change.filePath,
+        reason: change.reason,
+        diff: change.diff
+      }))
     };
-  } catch (error) {
-    logger.error(`Failed to create pull request for issue #${issueData.issueNumber}:`, error);
-    throw error;
   }
-}
 
-/**
- * Create a branch for the code changes
- * @param {Object} issueData - GitHub issue data
- * @returns {Promise<Object>} - Branch data
- */
-async function createBranchForChanges(issueData) {
-  try {
-    // Generate a branch name based on the issue
-    const branchName = generateBranchName(issueData);
-    
-    // Create the branch
-    return await githubModule.createBranch(
-      issueData.owner,
-      issueData.repo,
-      branchName
-    );
-  } catch (error) {
-    logger.error(`Failed to create branch for issue #${issueData.issueNumber}:`, error);
-    throw error;
+  /**
+   * Create a branch for the code changes
+   * @param {Object} issueData - GitHub issue data
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Object>} - Branch data
+   */
+  async function createBranchForChanges(issueData, signal) {
+    try {
+      // Generate a branch name based on the issue
+      const branchName = generateBranchName(issueData);
+      
+      // Create the branch
+      return await github.createBranch(
+        issueData.owner,
+        issueData.repo,
+        branchName,
+        null,
+        { signal, host: issueData.host }
+      );
+    } catch (error) {
+      logger.error(`Failed to create branch for issue #${issueData.issueNumber}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Generate a branch name based on the issue data
- * @param {Object} issueData - GitHub issue data
- * @returns {string} - Generated branch name
- */
-function generateBranchName(issueData) {
-  try {
-    // Extract keywords from issue title
-    const titleWords = issueData.title
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 2)
-      .slice(0, 3);
-    
-    // Create slug from keywords
-    const titleSlug = titleWords.join('-');
-    
-    // Generate branch name with issue number and timestamp
-    const timestamp = Date.now().toString().slice(-6);
-    return `fix-issue-${issueData.issueNumber}-${titleSlug}-${timestamp}`;
-  } catch (error) {
-    logger.warn('Error generating branch name:', error);
-    // Fallback to a simpler name
-    return `fix-issue-${issueData.issueNumber}-${Date.now().toString().slice(-6)}`;
+  /**
+   * Generate a branch name based on the issue data
+   * @param {Object} issueData - GitHub issue data
+   * @returns {string} - Generated branch name
+   */
+  function generateBranchName(issueData) {
+    try {
+      // Extract keywords from issue title
+      const titleWords = issueData.title
+        .toLowerCase()
+        .replace(/[^\w\s-]/g, '')
+        .split(/\s+/)
+        .filter(word => word.length > 2)
+        .slice(0, 3);
+      
+      // Create slug from keywords
+      const titleSlug = titleWords.join('-');
+      
+      // Generate branch name with issue number and timestamp
+      const timestamp = Date.now().toString().slice(-6);
+      return `fix-issue-${issueData.issueNumber}-${titleSlug}-${timestamp}`;
+    } catch (error) {
+      logger.warn('Error generating branch name:', error);
+      // Fallback to a simpler name
+      return `fix-issue-${issueData.issueNumber}-${Date.now().toString().slice(-6)}`;
+    }
   }
-}
 
-/**
- * Commit code changes to the branch
- * @param {Array} changes - Code changes to commit
- * @param {Object} issueData - GitHub issue data
- * @param {string} branch - Branch name
- * @returns {Promise<Array>} - Commit results
- */
-async function commitChangesToBranch(changes, issueData, branch) {
-  try {
-    logger.debug(`Committing ${changes.length} files to branch ${branch}`);
-    
-    // Commit each file
-    const commitResults = await Promise.all(
-      changes.map(async change => {
-        try {
-          // Create a commit message for the change
-          const message = `Fix issue #${issueData.issueNumber}: ${change.reason}`;
-          
-          // Commit the file
-          return await githubModule.commitFile(
-            issueData.owner,
-            issueData.repo,
-            change.filePath,
-            change.modifiedContent,
-            message,
-            branch
-          );
-        } catch (error) {
-          logger.error(`Failed to commit file ${change.filePath}:`, error);
-          throw error;
-        }
-      })
-    );
+  /**
+   * Commit code changes to the branch as one commit
+   * @param {Array} changes - Code changes to commit; deleted removes a file and previousPath renames one
+   * @param {Object} target - Repository and branch to commit to: { host, owner, repo, branch }
+   * @param {string} summary - First line of the commit message; the reason of every change follows
+   * @param {AbortSignal} signal - Optional abort signal
+   * @param {Function} onFilesCommitted - Optional async callback receiving the committed file paths
+   * @returns {Promise<Object>} - Commit result: { sha, url, files }, sha null if nothing was committed
+   */
+  async function commitChangesToBranch(changes, target, summary, signal, onFilesCommitted) {
+    const { host, owner, repo, branch } = target;
     
-    return commitResults;
-  } catch (error) {
-    logger.error(`Failed to commit changes to branch ${branch}:`, error);
-    throw error;
+    try {
+      if (changes.length === 0) {
+        return { branch, sha: null, url: null, files: [] };
+      }
+      
+      logger.debug(`Committing ${changes.length} files to branch ${branch}`);
+      
+      const message = `${summary}\n\n${changes.map(change => `- ${change.filePath}: ${change.reason}`).join('\n')}`;
+      const commit = await github.commitChanges(
+        owner,
+        repo,
+        branch,
+        changes.map(change => ({
+          path: change.filePath,
+          content: change.modifiedContent,
+          mode: change.mode,
+          previousPath: change.previousPath,
+          deleted: change.deleted === true
+        })),
+        message,
+        { signal, host }
+      );
+      
+      if (onFilesCommitted) {
+        await onFilesCommitted(changes.map(change => change.filePath));
+      }
+      return commit;
+    } catch (error) {
+      logger.error(`Failed to commit changes to branch ${branch}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Prepare the pull request title and body
- * @param {Object} issueData - GitHub issue data
- * @param {Object} codeChanges - Generated code changes
- * @returns {Object} - PR title and body
- */
-function preparePullRequestContent(issueData, codeChanges) {
-  try {
-    // Get PR configurations
-    const prConfig = getConfig('pullRequest');
-    
-    // Prepare PR title
-    const title = `${prConfig.titlePrefix}Fix #${issueData.issueNumber}: ${issueData.title}`;
-    
-    // Prepare PR body
-    const body = `
+  /**
+   * Prepare the pull request title and body
+   * @param {Object} issueData - GitHub issue data
+   * @param {Object} codeChanges - Generated code changes
+   * @returns {Object} - PR title and body
+   */
+  function preparePullRequestContent(issueData, codeChanges) {
+    try {
+      // Get PR configurations
+      const prConfig = config.getConfig('pullRequest');
+      
+      // Prepare PR title
+      const title = `${prConfig.titlePrefix}Fix #${issueData.issueNumber}: ${issueData.title}`;
+      
+      // Prepare PR body
+      const body = `
 ## Issue
 Fixes #${issueData.issueNumber}
 
@@ -188,141 +346,184 @@ ${codeChanges.summary}
 
 ## Changes Made
 ${codeChanges.codeChanges.map(change => 
-  `- Modified \`${change.filePath}\`: ${change.reason}`
-).join('\n')}
+    `- ${describeChange(change)}: ${change.reason}`
+  ).join('\n')}
 
 ## Validation
 ${codeChanges.isValid ? 
-  '✅ All changes have been validated.' : 
-  '⚠️ Some changes have validation issues. Please review carefully.'}
+    '✅ All changes have been validated.' : 
+    '⚠️ Some changes have validation issues. Please review carefully.'}
 
 ---
 > This PR was automatically generated by OpenHands Resolver
 `;
-    
-    return { title, body };
-  } catch (error) {
-    logger.error('Error preparing pull request content:', error);
-    
-    // Fallback to a simple title and body
-    return {
-      title: `Fix issue #${issueData.issueNumber}`,
-      body: `This pull request fixes issue #${issueData.issueNumber}.`
-    };
+      
+      return { title, body };
+    } catch (error) {
+      logger.error('Error preparing pull request content:', error);
+      
+      // Fallback to a simple title and body
+      return {
+        title: `Fix issue #${issueData.issueNumber}`,
+        body: `This pull request fixes issue #${issueData.issueNumber}.`
+      };
+    }
   }
-}
 
-/**
- * Get the status of a pull request
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {number} pullNumber - Pull request number
- * @returns {Promise<Object>} - Pull request status
- */
-export async function getPullRequestStatus(owner, repo, pullNumber) {
-  try {
-    // This would call the GitHub API to get the PR status
-    // Placeholder implementation
-    return {
-      state: 'open', 
-      merged: false,
-      reviewStatus: 'pending'
-    };
-  } catch (error) {
-    logger.error(`Failed to get status for PR #${pullNumber}:`, error);
-    throw error;
+  /**
+   * Describe what a code change does to its file, for the pull request body
+   * @param {Object} change - Code change
+   * @returns {string} - e.g. Modified `src/app.js`
+   */
+  function describeChange(change) {
+    if (change.deleted) {
+      return `Deleted \`${change.filePath}\``;
+    }
+    if (change.previousPath && change.previousPath !== change.filePath) {
+      return `Renamed \`${change.previousPath}\` to \`${change.filePath}\``;
+    }
+    return `Modified \`${change.filePath}\``;
   }
-}
 
-/**
- * Update pull request metadata (labels, assignees)
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {number} pullNumber - Pull request number
- * @param {Object} metadata - Metadata to update
- * @returns {Promise<Object>} - Updated pull request
- */
-export async function updatePullRequestMetadata(owner, repo, pullNumber, metadata) {
-  try {
-    logger.debug(`Updating metadata for PR #${pullNumber}`);
-    
-    // This would call the GitHub API to update PR metadata
-    // Placeholder implementation
-    return {
-      pullRequestNumber: pullNumber,
-      updated: true
-    };
-  } catch (error) {
-    logger.error(`Failed to update metadata for PR #${pullNumber}:`, error);
-    throw error;
+  /**
+   * Get the status of a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @returns {Promise<Object>} - Pull request status
+   */
+  async function getPullRequestStatus(owner, repo, pullNumber) {
+    try {
+      // This would call the GitHub API to get the PR status
+      // Placeholder implementation
+      return {
+        state: 'open', 
+        merged: false,
+        reviewStatus: 'pending'
+      };
+    } catch (error) {
+      logger.error(`Failed to get status for PR #${pullNumber}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Create a checklist in the pull request body
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {number} pullNumber - Pull request number
- * @param {Object} codeChanges - Generated code changes
- * @returns {Promise<boolean>} - Success status
- */
-export async function createPullRequestChecklist(owner, repo, pullNumber, codeChanges) {
-  try {
-    logger.debug(`Creating checklist for PR #${pullNumber}`);
-    
-    // Get current PR details
-    // Placeholder implementation
-    const prDetails = {
-      body: 'Existing PR body'
-    };
-    
-    // Append checklist to PR body
-    const checklist = generateChecklist(codeChanges);
-    const updatedBody = `${prDetails.body}\n\n## Review Checklist\n${checklist}`;
-    
-    // Update PR with new body
-    // Placeholder implementation
-    return true;
-  } catch (error) {
-    logger.error(`Failed to create checklist for PR #${pullNumber}:`, error);
-    return false;
+  /**
+   * Update pull request metadata (labels, assignees)
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {Object} metadata - Metadata to update
+   * @returns {Promise<Object>} - Updated pull request
+   */
+  async function updatePullRequestMetadata(owner, repo, pullNumber, metadata) {
+    try {
+      logger.debug(`Updating metadata for PR #${pullNumber}`);
+      
+      // This would call the GitHub API to update PR metadata
+      // Placeholder implementation
+      return {
+        pullRequestNumber: pullNumber,
+        updated: true
+      };
+    } catch (error) {
+      logger.error(`Failed to update metadata for PR #${pullNumber}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Generate a checklist based on code changes
- * @param {Object} codeChanges - Generated code changes
- * @returns {string} - Markdown checklist
- */
-function generateChecklist(codeChanges) {
-  try {
-    const items = [
-      'Code compiles without errors',
-      'Tests pass',
-      'Issue is resolved',
-      'No new warnings introduced',
-      'Code follows repository standards'
-    ];
-    
-    // Add file-specific checks if there are validation issues
-    if (!codeChanges.isValid) {
-      codeChanges.validationResults
-        .filter(result => !result.valid)
-        .forEach(result => {
-          items.push(`Fix validation issues in \`${result.filePath}\``);
-        });
+  /**
+   * Create a checklist in the pull request body
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {Object} codeChanges - Generated code changes
+   * @returns {Promise<boolean>} - Success status
+   */
+  async function createPullRequestChecklist(owner, repo, pullNumber, codeChanges) {
+    try {
+      logger.debug(`Creating checklist for PR #${pullNumber}`);
+      
+      // Get current PR details
+      // Placeholder implementation
+      const prDetails = {
+        body: 'Existing PR body'
+      };
+      
+      // Append checklist to PR body
+      const checklist = generateChecklist(codeChanges);
+      const updatedBody = `${prDetails.body}\n\n## Review Checklist\n${checklist}`;
+      
+      // Update PR with new body
+      // Placeholder implementation
+      return true;
+    } catch (error) {
+      logger.error(`Failed to create checklist for PR #${pullNumber}:`, error);
+      return false;
     }
-    
-    return items.map(item => `- [ ] ${item}`).join('\n');
-  } catch (error) {
-    logger.error('Error generating checklist:', error);
-    return '- [ ] Review the changes';
   }
+
+  /**
+   * Generate a checklist based on code changes
+   * @param {Object} codeChanges - Generated code changes
+   * @returns {string} - Markdown checklist
+   */
+  function generateChecklist(codeChanges) {
+    try {
+      const items = [
+        'Code compiles without errors',
+        'Tests pass',
+        'Issue is resolved',
+        'No new warnings introduced',
+        'Code follows repository standards'
+      ];
+      
+      // Add file-specific checks if there are validation issues
+      if (!codeChanges.isValid) {
+        codeChanges.validationResults
+          .filter(result => !result.valid)
+          .forEach(result => {
+            items.push(`Fix validation issues in \`${result.filePath}\``);
+          });
+      }
+      
+      return items.map(item => `- [ ] ${item}`).join('\n');
+    } catch (error) {
+      logger.error('Error generating checklist:', error);
+      return '- [ ] Review the changes';
+    }
+  }
+
+  return {
+    createPullRequest,
+    planPullRequest,
+    pushRevision,
+    planRevision,
+    getPullRequestStatus,
+    updatePullRequestMetadata,
+    createPullRequestChecklist
+  };
 }
 
+// Default instance, used by the module-level functions
+const defaultCommitPr = createCommitPr();
+
+export const {
+  createPullRequest,
+  planPullRequest,
+  pushRevision,
+  planRevision,
+  getPullRequestStatus,
+  updatePullRequestMetadata,
+  createPullRequestChecklist
+} = defaultCommitPr;
+
 // Export additional functions
 export default {
+  createCommitPr,
   createPullRequest,
+  planPullRequest,
+  pushRevision,
+  planRevision,
   getPullRequestStatus,
   updatePullRequestMetadata,
   createPullRequestChecklist
@@ -11,16 +11,46 @@ import fs from 'fs/promises';
 import path from 'path';
 import { getContextLogger } from '../../utils/logger.js';
 
-const logger = getContextLogger('Configuration');
-
 // Default configuration
 const DEFAULT_CONFIG = {
   github: {
     token: process.env.GITHUB_TOKEN,
+    // GitHub App credentials, used instead of token; the key may be given with \n escapes
+    appId: process.env.GITHUB_APP_ID,
+    privateKey: process.env.GITHUB_APP_PRIVATE_KEY && process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n'),
+    installationId: parseInt(process.env.GITHUB_APP_INSTALLATION_ID) || undefined,
     apiBaseUrl: process.env.GITHUB_API_BASE_URL || 'https://api.github.com',
+    // Web host of apiBaseUrl, derived from it when unset (api.github.com serves github.com)
+    host: process.env.GITHUB_HOST,
     timeout: parseInt(process.env.GITHUB_API_TIMEOUT) || 10000,
     maxRetries: parseInt(process.env.GITHUB_API_MAX_RETRIES) || 3,
-    maxConcurrent: parseInt(process.env.GITHUB_API_MAX_CONCURRENT) || 5
+    // Backoff of retried requests, in milliseconds; longer waits asked by the API fail instead
+    retryBaseDelay: parseInt(process.env.GITHUB_API_RETRY_BASE_DELAY) || 1000,
+    maxRetryDelay: parseInt(process.env.GITHUB_API_MAX_RETRY_DELAY) || 60000,
+    maxConcurrent: parseInt(process.env.GITHUB_API_MAX_CONCURRENT) || 5,
+    // Most pages of 100 items read from a list endpoint, e.g. the comments of an issue
+    maxPages: parseInt(process.env.GITHUB_API_MAX_PAGES) || 10,
+    // Load issues with one GraphQL query instead of several REST requests
+    graphql: process.env.GITHUB_API_GRAPHQL === 'true',
+    // Cache GET responses and revalidate them with ETags; persisted when a directory is set
+    cache: process.env.GITHUB_API_CACHE !== 'false',
+    cacheDirectory: process.env.GITHUB_API_CACHE_DIR,
+    defaultOwner: process.env.GITHUB_DEFAULT_OWNER,
+    defaultRepo: process.env.GITHUB_DEFAULT_REPO,
+    // Further forge hosts, e.g. GitHub Enterprise Server: [{ host, apiBaseUrl, token }]
+    hosts: parseJsonEnv(process.env.GITHUB_HOSTS, [])
+  },
+  gitlab: {
+    // Enables gitlab.com, or the GitLab instance of host, for issue and merge request URLs
+    token: process.env.GITLAB_TOKEN,
+    host: process.env.GITLAB_HOST || 'gitlab.com',
+    // Derived from host when unset: https://<host>/api/v4
+    apiBaseUrl: process.env.GITLAB_API_BASE_URL,
+    timeout: parseInt(process.env.GITLAB_API_TIMEOUT) || 10000,
+    maxRetries: parseInt(process.env.GITLAB_API_MAX_RETRIES) || 3,
+    maxPages: parseInt(process.env.GITLAB_API_MAX_PAGES) || 10,
+    // Further GitLab instances: [{ host, apiBaseUrl, token }]
+    hosts: parseJsonEnv(process.env.GITLAB_HOSTS, [])
   },
   ai: {
     model: process.env.AI_MODEL || 'claude-3-opus-20240229',
@@ -34,106 +64,154 @@ const DEFAULT_CONFIG = {
     addLabels: process.env.PR_ADD_LABELS ? process.env.PR_ADD_LABELS.split(',').map(l => l.trim()) : ['ai-assisted'],
     createCheckList: process.env.PR_CREATE_CHECK_LIST === 'true'
   },
+  batch: {
+    maxIssues: parseInt(process.env.BATCH_MAX_ISSUES) || 50
+  },
+  runs: {
+    directory: process.env.OPENHANDS_RUNS_DIR || '.openhands/runs'
+  },
+  webhook: {
+    port: parseInt(process.env.WEBHOOK_PORT) || 3000,
+    host: process.env.WEBHOOK_HOST || '0.0.0.0',
+    path: process.env.WEBHOOK_PATH || '/webhook',
+    secret: process.env.WEBHOOK_SECRET,
+    commentCommand: process.env.WEBHOOK_COMMENT_COMMAND || '/openhands'
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info'
   }
 };
 
-// Config storage
-let configuration = { ...DEFAULT_CONFIG };
-
 /**
- * Initialize the configuration module
- * @param {string} configPath - Optional path to configuration file
- * @returns {Promise<Object>} - The loaded configuration
+ * Create an isolated configuration instance
+ * @param {Object} overrides - Settings merged over the defaults, e.g. { github: { token } }
+ * @param {Object} options - Instance options
+ * @param {Object} options.logger - Base logger for this instance (defaults to the shared logger)
+ * @returns {Object} - Configuration with initialize(configPath), getConfig(section) and loadRepositoryInstructions(repoPath)
  */
-export async function initialize(configPath) {
-  try {
-    logger.info('Initializing configuration module');
-    
-    // Load from configuration file if provided
-    if (configPath) {
-      logger.debug(`Loading configuration from file: ${configPath}`);
-      await loadConfigFile(configPath);
+export function createConfiguration(overrides = {}, options = {}) {
+  const logger = getContextLogger('Configuration', options.logger);
+  
+  // Config storage
+  let configuration = deepMerge(structuredClone(DEFAULT_CONFIG), overrides);
+  
+  /**
+   * Initialize the configuration
+   * @param {string} configPath - Optional path to configuration file
+   * @returns {Promise<Object>} - The loaded configuration
+   */
+  async function initialize(configPath) {
+    try {
+      logger.info('Initializing configuration module');
+      
+      // Load from configuration file if provided
+      if (configPath) {
+        logger.debug(`Loading configuration from file: ${configPath}`);
+        await loadConfigFile(configPath);
+      }
+      
+      // Validate configuration
+      validateConfiguration();
+      
+      return configuration;
+    } catch (error) {
+      logger.error('Failed to initialize configuration:', error);
+      throw error;
     }
-    
-    // Validate configuration
-    validateConfiguration();
-    
-    return configuration;
-  } catch (error) {
-    logger.error('Failed to initialize configuration:', error);
-    throw error;
   }
-}
-
-/**
- * Load configuration from a file
- * @param {string} configPath - Path to the configuration file
- * @returns {Promise<Object>} - The loaded configuration
- */
-async function loadConfigFile(configPath) {
-  try {
-    const fileContent = await fs.readFile(configPath, 'utf8');
-    const fileConfig = JSON.parse(fileContent);
+  
+  /**
+   * Load configuration from a file
+   * @param {string} configPath - Path to the configuration file
+   * @returns {Promise<Object>} - The loaded configuration
+   */
+  async function loadConfigFile(configPath) {
+    try {
+      const fileContent = await fs.readFile(configPath, 'utf8');
+      const fileConfig = JSON.parse(fileContent);
+      
+      // Deep merge with default configuration
+      configuration = deepMerge(configuration, fileConfig);
+      
+      logger.debug('Configuration loaded from file successfully');
+      return configuration;
+    } catch (error) {
+      logger.error(`Failed to load configuration file ${configPath}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Load repository-specific instructions
+   * @param {string} repoPath - Path to the repository
+   * @returns {Promise<Object|null>} - The loaded instructions or null if not found
+   */
+  async function loadRepositoryInstructions(repoPath) {
+    try {
+      const instructionsPath = path.join(repoPath, '.openhands_instructions');
+      const fileContent = await fs.readFile(instructionsPath, 'utf8');
+      const instructions = JSON.parse(fileContent);
+      
+      logger.info('Repository-specific instructions loaded successfully');
+      return instructions;
+    } catch (error) {
+      logger.debug('No repository-specific instructions found or error loading them:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Validate the configuration
+   * @throws {Error} If configuration is invalid
+   */
+  function validateConfiguration() {
+    // Check for a required GitHub token or GitHub App, unless only GitLab is used
+    const { gitlab } = configuration;
+    const usesGitLab = !!gitlab.token || (Array.isArray(gitlab.hosts) && gitlab.hosts.length > 0);
+    if (!hasCredentials(configuration.github) && !usesGitLab) {
+      throw new Error('GitHub token is required. Set GITHUB_TOKEN, or GITHUB_APP_ID and GITHUB_APP_PRIVATE_KEY for a GitHub App, or GITLAB_TOKEN for GitLab.');
+    }
     
-    // Deep merge with default configuration
-    configuration = deepMerge(configuration, fileConfig);
+    // Every further forge host needs a web host and its own token or GitHub App
+    const { hosts } = configuration.github;
+    if (!Array.isArray(hosts) || hosts.some(entry => !entry || !entry.host || !hasCredentials(entry))) {
+      throw new Error('github.hosts must be a list of { host, apiBaseUrl, token } or { host, apiBaseUrl, appId, privateKey }. Check the GITHUB_HOSTS environment variable.');
+    }
     
-    logger.debug('Configuration loaded from file successfully');
-    return configuration;
-  } catch (error) {
-    logger.error(`Failed to load configuration file ${configPath}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Load repository-specific instructions
- * @param {string} repoPath - Path to the repository
- * @returns {Promise<Object|null>} - The loaded instructions or null if not found
- */
-export async function loadRepositoryInstructions(repoPath) {
-  try {
-    const instructionsPath = path.join(repoPath, '.openhands_instructions');
-    const fileContent = await fs.readFile(instructionsPath, 'utf8');
-    const instructions = JSON.parse(fileContent);
+    // Every further GitLab instance needs a web host and its own token
+    if (!Array.isArray(gitlab.hosts) || gitlab.hosts.some(entry => !entry || !entry.host || !entry.token)) {
+      throw new Error('gitlab.hosts must be a list of { host, apiBaseUrl, token }. Check the GITLAB_HOSTS environment variable.');
+    }
     
-    logger.info('Repository-specific instructions loaded successfully');
-    return instructions;
-  } catch (error) {
-    logger.debug('No repository-specific instructions found or error loading them:', error);
-    return null;
-  }
-}
-
-/**
- * Validate the configuration
- * @throws {Error} If configuration is invalid
- */
-function validateConfiguration() {
-  // Check for required GitHub token
-  if (!configuration.github.token) {
-    throw new Error('GitHub token is required. Set GITHUB_TOKEN environment variable.');
+    // Validate other critical settings
+    if (configuration.ai.temperature < 0 || configuration.ai.temperature > 1) {
+      logger.warn('Invalid AI temperature. Must be between 0 and 1. Using default: 0.2');
+      configuration.ai.temperature = 0.2;
+    }
+    
+    logger.debug('Configuration validated successfully');
   }
   
-  // Validate other critical settings
-  if (configuration.ai.temperature < 0 || configuration.ai.temperature > 1) {
-    logger.warn('Invalid AI temperature. Must be between 0 and 1. Using default: 0.2');
-    configuration.ai.temperature = 0.2;
+  /**
+   * Get the current configuration
+   * @param {string} section - Optional section to retrieve
+   * @returns {Object} - The current configuration or section
+   */
+  function getConfig(section) {
+    return section ? configuration[section] : configuration;
   }
   
-  logger.debug('Configuration validated successfully');
+  return {
+    initialize,
+    getConfig,
+    loadRepositoryInstructions
+  };
 }
 
-/**
- * Get the current configuration
- * @param {string} section - Optional section to retrieve
- * @returns {Object} - The current configuration or section
- */
-export function getConfig(section) {
-  return section ? configuration[section] : configuration;
-}
+// Default instance, used by the module-level functions
+const defaultConfiguration = createConfiguration();
+
+export const { initialize, getConfig, loadRepositoryInstructions } = defaultConfiguration;
 
 /**
  * Deep merge two objects
@@ -161,6 +239,33 @@ function deepMerge(target, source) {
   return output;
 }
 
+/**
+ * Parse a JSON environment variable
+ * @param {string} value - Raw value of the variable
+ * @param {*} fallback - Value used when the variable is not set
+ * @returns {*} - Parsed value, or the raw string if it is not valid JSON, so validation can report it
+ */
+function parseJsonEnv(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Check whether GitHub settings carry credentials
+ * @param {Object} settings - GitHub configuration or a github.hosts entry
+ * @returns {boolean} - True with a token, or with a GitHub App ID and private key
+ */
+function hasCredentials(settings) {
+  return !!(settings.token || (settings.appId && settings.privateKey));
+}
+
 /**
  * Check if a value is an object
  * @param {*} item - The value to check
@@ -8,75 +8,124 @@
  */
 
 import { getContextLogger } from '../../utils/logger.js';
-import { getConfig } from '../configuration/index.js';
-import * as githubModule from '../github_api/index.js';
+import * as configModule from '../configuration/index.js';
+import * as forgeModule from '../forge/index.js';
+import { isCancellationError } from '../../utils/cancellation.js';
 
-const logger = getContextLogger('Feedback');
+// Issue labels that request a resolution; they are removed once it is done
+export const RESOLUTION_LABELS = ['fix-me', 'ai-resolve', 'auto-resolve', 'openhands'];
 
 /**
- * Provide feedback on issue resolution
- * @param {Object} prResult - Pull request creation result
- * @param {Object} issueData - GitHub issue data
- * @returns {Promise<Object>} - Feedback result
+ * Create an isolated feedback instance
+ * @param {Object} dependencies - Feedback dependencies
+ * @param {Object} dependencies.config - Configuration instance providing getConfig(section)
+ * @param {Object} dependencies.github - Forge client, routing to the GitHub or GitLab provider of each host
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @returns {Object} - Feedback and visualization functions
  */
-export async function provideFeedback(prResult, issueData) {
-  try {
-    logger.info(`Providing feedback for issue #${issueData.issueNumber} in ${issueData.owner}/${issueData.repo}`);
-    
-    // Create success feedback comment
-    const commentText = createSuccessFeedbackComment(prResult, issueData);
-    
-    // Add comment to issue
-    const commentResult = await githubModule.addIssueComment(
-      issueData.owner,
-      issueData.repo,
-      issueData.issueNumber,
-      commentText
-    );
-    
-    logger.debug(`Added feedback comment to issue #${issueData.issueNumber}`);
-    
-    // Remove resolution labels if configured to do so
-    const labelsResult = await handleResolutionLabels(issueData);
-    
-    return {
-      commentId: commentResult.id,
-      commentUrl: commentResult.url,
-      labelsUpdated: labelsResult.updated,
-      updatedLabels: labelsResult.labels,
-      status: 'success'
-    };
-  } catch (error) {
-    logger.error(`Failed to provide feedback for issue #${issueData.issueNumber}:`, error);
+export function createFeedback({ config = configModule, github = forgeModule, logger: baseLogger } = {}) {
+  const logger = getContextLogger('Feedback', baseLogger);
+
+  /**
+   * Provide feedback on issue resolution
+   * @param {Object} prResult - Pull request creation result
+   * @param {Object} issueData - GitHub issue data
+   * @param {Object} options - Feedback options
+   * @param {AbortSignal} options.signal - Optional signal to cancel before the next GitHub write
+   * @returns {Promise<Object>} - Feedback result
+   */
+  async function provideFeedback(prResult, issueData, options = {}) {
+    const { signal } = options;
     
-    // Try to add error comment on failure
     try {
-      const errorComment = createErrorFeedbackComment(error, issueData);
-      await githubModule.addIssueComment(
+      logger.info(`Providing feedback for issue #${issueData.issueNumber} in ${issueData.owner}/${issueData.repo}`);
+      
+      // Create success feedback comment
+      const commentText = createSuccessFeedbackComment(prResult, issueData);
+      
+      // Add comment to issue
+      const commentResult = await github.addIssueComment(
         issueData.owner,
         issueData.repo,
         issueData.issueNumber,
-        errorComment
+        commentText,
+        { signal, host: issueData.host, isPullRequest: Boolean(issueData.pullRequest) }
       );
-    } catch (commentError) {
-      logger.error('Failed to add error comment:', commentError);
+      
+      logger.debug(`Added feedback comment to issue #${issueData.issueNumber}`);
+      
+      // Remove resolution labels if configured to do so
+      const labelsResult = await handleResolutionLabels(issueData, signal);
+      
+      return {
+        commentId: commentResult.id,
+        commentUrl: commentResult.url,
+        labelsUpdated: labelsResult.updated,
+        updatedLabels: labelsResult.labels,
+        status: 'success'
+      };
+    } catch (error) {
+      // A cancelled run must not write anything else to the issue
+      if (isCancellationError(error)) {
+        throw error;
+      }
+      
+      logger.error(`Failed to provide feedback for issue #${issueData.issueNumber}:`, error);
+      
+      // Try to add error comment on failure
+      try {
+        const errorComment = createErrorFeedbackComment(error, issueData);
+        await github.addIssueComment(
+          issueData.owner,
+          issueData.repo,
+          issueData.issueNumber,
+          errorComment,
+          { host: issueData.host, isPullRequest: Boolean(issueData.pullRequest) }
+        );
+      } catch (commentError) {
+        logger.error('Failed to add error comment:', commentError);
+      }
+      
+      return {
+        error: error.message,
+        status: 'error'
+      };
     }
+  }
+
+  /**
+   * Preview the feedback that would be posted for a planned pull request
+   * @param {Object} plan - Pull request plan from the commit and PR module
+   * @param {Object} issueData - GitHub issue data
+   * @returns {Object} - Would-be comment text and issue labels
+   */
+  function previewFeedback(plan, issueData) {
+    // The pull request does not exist yet, so its number and URL are placeholders
+    const commentText = createSuccessFeedbackComment({
+      pullRequestNumber: '<number>',
+      pullRequestUrl: '<pull request URL>',
+      branch: plan.branch,
+      files: plan.changes
+    }, issueData);
     
     return {
-      error: error.message,
-      status: 'error'
+      commentText,
+      labels: getLabelsAfterResolution(issueData)
     };
   }
-}
 
-/**
- * Create a success feedback comment
- * @param {Object} prResult - Pull request creation result
- * @param {Object} issueData - GitHub issue data
- * @returns {string} - Comment text
- */
-function createSuccessFeedbackComment(prResult, issueData) {
-  return `
+  /**
+   * Create a success feedback comment
+   * @param {Object} prResult - Pull request creation result
+   * @param {Object} issueData - GitHub issue data
+   * @returns {string} - Comment text
+   */
+  function createSuccessFeedbackComment(prResult, issueData) {
+    if (issueData.pullRequest) {
+      return createRevisionFeedbackComment(prResult);
+    }
+    
+    return `
 ## 🤖 OpenHands Resolver Action
 
 I've created a pull request to resolve this issue:
@@ -93,16 +142,37 @@ Please review the changes and provide feedback. You can merge the pull request i
 ---
 > *This comment was automatically generated by OpenHands Resolver*
 `;
-}
+  }
 
-/**
- * Create an error feedback comment
- * @param {Error} error - Error that occurred
- * @param {Object} issueData - GitHub issue data
- * @returns {string} - Comment text
- */
-function createErrorFeedbackComment(error, issueData) {
-  return `
+  /**
+   * Create a feedback comment for follow-up commits pushed to a pull request
+   * @param {Object} prResult - Revision result from the commit and PR module
+   * @returns {string} - Comment text
+   */
+  function createRevisionFeedbackComment(prResult) {
+    return `
+## 🤖 OpenHands Resolver Action
+
+I've pushed follow-up commits to address the review feedback on this pull request.
+
+### Details
+- **Branch**: \`${prResult.branch}\`
+- **Files Modified**: ${prResult.files.length}
+- **Status**: Ready for another review
+
+---
+> *This comment was automatically generated by OpenHands Resolver*
+`;
+  }
+
+  /**
+   * Create an error feedback comment
+   * @param {Error} error - Error that occurred
+   * @param {Object} issueData - GitHub issue data
+   * @returns {string} - Comment text
+   */
+  function createErrorFeedbackComment(error, issueData) {
+    return `
 ## ⚠️ OpenHands Resolver Action
 
 I encountered an error while trying to resolve this issue:
@@ -116,135 +186,147 @@ This may require manual intervention. Please check the error message and reposit
 ---
 > *This comment was automatically generated by OpenHands Resolver*
 `;
-}
+  }
 
-/**
- * Handle resolution labels on the issue
- * @param {Object} issueData - GitHub issue data
- * @returns {Promise<Object>} - Label update result
- */
-async function handleResolutionLabels(issueData) {
-  try {
-    logger.debug(`Handling resolution labels for issue #${issueData.issueNumber}`);
-    
-    // Get current labels
-    const currentLabels = issueData.labels || [];
-    
-    // Define labels to remove
-    const labelsToRemove = ['fix-me', 'ai-resolve', 'auto-resolve', 'openhands'];
-    
-    // Filter out labels to remove
-    const updatedLabels = currentLabels.filter(
-      label => !labelsToRemove.includes(label)
-    );
-    
-    // If labels changed, update them
-    if (updatedLabels.length !== currentLabels.length) {
-      logger.debug(`Removing resolution labels from issue #${issueData.issueNumber}`);
+  /**
+   * Handle resolution labels on the issue
+   * @param {Object} issueData - GitHub issue data
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<Object>} - Label update result
+   */
+  async function handleResolutionLabels(issueData, signal) {
+    try {
+      logger.debug(`Handling resolution labels for issue #${issueData.issueNumber}`);
       
-      // Update labels
-      const result = await githubModule.updateIssueLabels(
-        issueData.owner,
-        issueData.repo,
-        issueData.issueNumber,
-        updatedLabels
-      );
+      // Get current labels
+      const currentLabels = issueData.labels || [];
+      
+      // Filter out labels to remove
+      const updatedLabels = getLabelsAfterResolution(issueData);
+      
+      // If labels changed, update them
+      if (updatedLabels.length !== currentLabels.length) {
+        logger.debug(`Removing resolution labels from issue #${issueData.issueNumber}`);
+        
+        // Update labels
+        const result = await github.updateIssueLabels(
+          issueData.owner,
+          issueData.repo,
+          issueData.issueNumber,
+          updatedLabels,
+          { signal, host: issueData.host, isPullRequest: Boolean(issueData.pullRequest) }
+        );
+        
+        return {
+          updated: true,
+          labels: result.labels
+        };
+      }
       
       return {
-        updated: true,
-        labels: result.labels
+        updated: false,
+        labels: currentLabels
+      };
+    } catch (error) {
+      if (isCancellationError(error)) {
+        throw error;
+      }
+      
+      logger.error(`Failed to handle resolution labels for issue #${issueData.issueNumber}:`, error);
+      
+      return {
+        updated: false,
+        labels: issueData.labels || [],
+        error: error.message
       };
     }
-    
-    return {
-      updated: false,
-      labels: currentLabels
-    };
-  } catch (error) {
-    logger.error(`Failed to handle resolution labels for issue #${issueData.issueNumber}:`, error);
-    
-    return {
-      updated: false,
-      labels: issueData.labels || [],
-      error: error.message
-    };
   }
-}
 
-/**
- * Create a visualization of the resolution process
- * @param {Object} prResult - Pull request creation result
- * @param {Object} issueData - GitHub issue data
- * @param {Object} codeChanges - Code changes data
- * @returns {Object} - Visualization data
- */
-export function createVisualization(prResult, issueData, codeChanges) {
-  try {
-    logger.debug('Creating resolution visualization');
-    
-    // Create JSON visualization
-    const jsonVisualization = {
-      issue: {
-        number: issueData.issueNumber,
-        title: issueData.title,
-        url: issueData.issueUrl,
-        repository: `${issueData.owner}/${issueData.repo}`
-      },
-      pullRequest: {
-        number: prResult.pullRequestNumber,
-        url: prResult.pullRequestUrl,
-        branch: prResult.branch,
-        filesChanged: prResult.files.length
-      },
-      codeChanges: {
-        files: codeChanges.codeChanges.map(change => ({
-          path: change.filePath,
-          reason: change.reason
-        })),
-        validation: {
-          valid: codeChanges.isValid,
-          details: codeChanges.validationResults.map(result => ({
-            file: result.filePath,
-            valid: result.valid,
-            messages: result.messages
-          }))
+  /**
+   * Get the issue labels with the resolution trigger labels removed
+   * @param {Object} issueData - GitHub issue data
+   * @returns {Array} - Remaining label names
+   */
+  function getLabelsAfterResolution(issueData) {
+    return (issueData.labels || []).filter(
+      label => !RESOLUTION_LABELS.includes(label)
+    );
+  }
+
+  /**
+   * Create a visualization of the resolution process
+   * @param {Object} prResult - Pull request creation result
+   * @param {Object} issueData - GitHub issue data
+   * @param {Object} codeChanges - Code changes data
+   * @returns {Object} - Visualization data
+   */
+  function createVisualization(prResult, issueData, codeChanges) {
+    try {
+      logger.debug('Creating resolution visualization');
+      
+      // Create JSON visualization
+      const jsonVisualization = {
+        issue: {
+          number: issueData.issueNumber,
+          title: issueData.title,
+          url: issueData.issueUrl,
+          repository: `${issueData.owner}/${issueData.repo}`
+        },
+        pullRequest: {
+          number: prResult.pullRequestNumber,
+          url: prResult.pullRequestUrl,
+          branch: prResult.branch,
+          filesChanged: prResult.files.length
+        },
+        codeChanges: {
+          files: codeChanges.codeChanges.map(change => ({
+            path: change.filePath,
+            reason: change.reason
+          })),
+          validation: {
+            valid: codeChanges.isValid,
+            details: codeChanges.validationResults.map(result => ({
+              file: result.filePath,
+              valid: result.valid,
+              messages: result.messages
+            }))
+          }
+        },
+        timing: {
+          timestamp: new Date().toISOString(),
+          elapsed: `${Math.floor(Math.random() * 30) + 10} seconds` // Placeholder
         }
-      },
-      timing: {
-        timestamp: new Date().toISOString(),
-        elapsed: `${Math.floor(Math.random() * 30) + 10} seconds` // Placeholder
-      }
-    };
-    
-    // Create Markdown visualization
-    const markdownVisualization = createMarkdownVisualization(jsonVisualization);
-    
-    return {
-      json: jsonVisualization,
-      markdown: markdownVisualization
-    };
-  } catch (error) {
-    logger.error('Failed to create visualization:', error);
-    
-    // Return minimal visualization on error
-    return {
-      json: {
-        error: error.message,
-        issue: { number: issueData.issueNumber },
-        pullRequest: { number: prResult.pullRequestNumber, url: prResult.pullRequestUrl }
-      },
-      markdown: `## ⚠️ Error creating visualization\n\n${error.message}`
-    };
+      };
+      
+      // Create Markdown visualization
+      const markdownVisualization = createMarkdownVisualization(jsonVisualization);
+      
+      return {
+        json: jsonVisualization,
+        markdown: markdownVisualization
+      };
+    } catch (error) {
+      logger.error('Failed to create visualization:', error);
+      
+      // Return minimal visualization on error
+      return {
+        json: {
+          error: error.message,
+          issue: { number: issueData.issueNumber },
+          pullRequest: { number: prResult.pullRequestNumber, url: prResult.pullRequestUrl }
+        },
+        markdown: `## ⚠️ Error creating visualization\n\n${error.message}`
+      };
+    }
   }
-}
 
-/**
- * Create a Markdown visualization
- * @param {Object} data - Visualization data
- * @returns {string} - Markdown text
- */
-function createMarkdownVisualization(data) {
-  return `
+  /**
+   * Create a Markdown visualization
+   * @param {Object} data - Visualization data
+   * @returns {string} - Markdown text
+   */
+  function createMarkdownVisualization(data) {
+    return `
 # 🤖 OpenHands Resolver Summary
 
 ## Issue Details
@@ -258,15 +340,15 @@ function createMarkdownVisualization(data) {
 
 ## Code Changes
 ${data.codeChanges.files.map(file => 
-  `- \`${file.path}\`: ${file.reason}`
-).join('\n')}
+    `- \`${file.path}\`: ${file.reason}`
+  ).join('\n')}
 
 ## Validation
 Status: ${data.codeChanges.validation.valid ? '✅ Valid' : '⚠️ Issues detected'}
 
 ${data.codeChanges.validation.details
-  .filter(detail => !detail.valid)
-  .map(detail => `
+    .filter(detail => !detail.valid)
+    .map(detail => `
 ### Issues in \`${detail.file}\`
 ${detail.messages.map(msg => `- ${msg}`).join('\n')}
 `).join('\n')}
@@ -274,47 +356,69 @@ ${detail.messages.map(msg => `- ${msg}`).join('\n')}
 ---
 Generated at ${data.timing.timestamp} (took ${data.timing.elapsed})
 `;
-}
+  }
 
-/**
- * Handle error feedback
- * @param {Error} error - Error that occurred
- * @param {Object} issueData - GitHub issue data
- * @returns {Promise<Object>} - Error feedback result
- */
-export async function handleErrorFeedback(error, issueData) {
-  try {
-    logger.info(`Providing error feedback for issue #${issueData.issueNumber}`);
-    
-    // Create error feedback comment
-    const commentText = createErrorFeedbackComment(error, issueData);
-    
-    // Add comment to issue
-    const commentResult = await githubModule.addIssueComment(
-      issueData.owner,
-      issueData.repo,
-      issueData.issueNumber,
-      commentText
-    );
-    
-    return {
-      commentId: commentResult.id,
-      commentUrl: commentResult.url,
-      status: 'error'
-    };
-  } catch (commentError) {
-    logger.error('Failed to add error comment:', commentError);
-    
-    return {
-      error: `Original error: ${error.message}, Comment error: ${commentError.message}`,
-      status: 'error'
-    };
+  /**
+   * Handle error feedback
+   * @param {Error} error - Error that occurred
+   * @param {Object} issueData - GitHub issue data
+   * @returns {Promise<Object>} - Error feedback result
+   */
+  async function handleErrorFeedback(error, issueData) {
+    try {
+      logger.info(`Providing error feedback for issue #${issueData.issueNumber}`);
+      
+      // Create error feedback comment
+      const commentText = createErrorFeedbackComment(error, issueData);
+      
+      // Add comment to issue
+      const commentResult = await github.addIssueComment(
+        issueData.owner,
+        issueData.repo,
+        issueData.issueNumber,
+        commentText,
+        { host: issueData.host, isPullRequest: Boolean(issueData.pullRequest) }
+      );
+      
+      return {
+        commentId: commentResult.id,
+        commentUrl: commentResult.url,
+        status: 'error'
+      };
+    } catch (commentError) {
+      logger.error('Failed to add error comment:', commentError);
+      
+      return {
+        error: `Original error: ${error.message}, Comment error: ${commentError.message}`,
+        status: 'error'
+      };
+    }
   }
+
+  return {
+    provideFeedback,
+    previewFeedback,
+    createVisualization,
+    handleErrorFeedback
+  };
 }
 
+// Default instance, used by the module-level functions
+const defaultFeedback = createFeedback();
+
+export const {
+  provideFeedback,
+  previewFeedback,
+  createVisualization,
+  handleErrorFeedback
+} = defaultFeedback;
+
 // Export additional functions
 export default {
+  createFeedback,
   provideFeedback,
+  previewFeedback,
   createVisualization,
-  handleErrorFeedback
+  handleErrorFeedback,
+  RESOLUTION_LABELS
 };
@@ -0,0 +1,203 @@
+/**
+ * OpenHands Resolver MCP - Forge Module
+ *
+ * This module routes every repository call to the forge provider of its host:
+ * - GitHub: github.com and GitHub Enterprise Server, through the GitHub API module
+ * - GitLab: gitlab.com and GitLab instances, through the GitLab API module
+ *
+ * A provider implements the functions of the GitHub API module with the same
+ * signatures and result shapes: issue and pull request fetch, repository
+ * context and tree, branch, commit, pull (merge) request, comment and label
+ * functions. Calls taking an issue or pull request URL go to the provider of
+ * the URL's host; all others to the provider of options.host, defaulting to
+ * the primary GitHub host. Calls a provider does not implement fail.
+ */
+
+import { getContextLogger } from '../../utils/logger.js';
+import * as configModule from '../configuration/index.js';
+import * as githubModule from '../github_api/index.js';
+import * as gitlabModule from '../gitlab_api/index.js';
+import { getForgeHosts, findForgeHost, parseForgeUrl } from '../../utils/forge_hosts.js';
+import { createRateLimitBudget, sharedRateLimit } from '../../utils/rate_limit.js';
+
+// Display names of the providers, for errors
+const PROVIDER_NAMES = {
+  github: 'GitHub',
+  gitlab: 'GitLab'
+};
+
+/**
+ * Create a forge client routing calls to the GitHub and GitLab providers
+ * @param {Object} dependencies - Forge dependencies
+ * @param {Object} dependencies.config - Configuration instance providing getConfig(section)
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @param {Object} dependencies.rateLimit - Rate limit budget shared by the providers (defaults to a new one)
+ * @param {Object} dependencies.providers - Provider instances to use instead of new ones: { github, gitlab }
+ * @returns {Object} - Forge functions, named like the GitHub API functions
+ */
+export function createForge({
+  config = configModule,
+  logger: baseLogger,
+  rateLimit = createRateLimitBudget({ logger: baseLogger }),
+  providers = {}
+} = {}) {
+  const logger = getContextLogger('Forge', baseLogger);
+  const forgeProviders = {
+    github: providers.github || githubModule.createGitHubClient({ config, logger: baseLogger, rateLimit }),
+    gitlab: providers.gitlab || gitlabModule.createGitLabClient({ config, logger: baseLogger, rateLimit })
+  };
+
+  // Names of the providers initialized for the configured hosts
+  const initializedProviders = new Set();
+
+  /**
+   * Initialize the providers of the configured hosts
+   *
+   * GitHub is initialized unless only GitLab has credentials, so that a
+   * missing GitHub token is still reported.
+   *
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    try {
+      const hosts = getHosts();
+      const githubConfig = config.getConfig('github');
+      const usesGitLab = hosts.some(forgeHost => forgeHost.provider === 'gitlab');
+      const hasGitHubCredentials = !!(githubConfig.token || (githubConfig.appId && githubConfig.privateKey));
+
+      initializedProviders.clear();
+
+      if (hasGitHubCredentials || !usesGitLab) {
+        await forgeProviders.github.initialize();
+        initializedProviders.add('github');
+      }
+
+      if (usesGitLab) {
+        await forgeProviders.gitlab.initialize();
+        initializedProviders.add('gitlab');
+      }
+
+      logger.debug(`Initialized forge providers: ${[...initializedProviders].join(', ')}`);
+    } catch (error) {
+      logger.error('Failed to initialize forge providers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the configured forge hosts
+   * @returns {Array} - Hosts from getForgeHosts
+   */
+  function getHosts() {
+    return getForgeHosts(config.getConfig('github'), config.getConfig('gitlab'));
+  }
+
+  /**
+   * Get the provider of a host
+   * @param {string} host - Web host (defaults to the primary GitHub host)
+   * @param {string} name - Function to call, to check that the provider implements it
+   * @returns {Object} - Provider instance
+   * @throws {Error} If the provider is not initialized or lacks the function
+   */
+  function getProvider(host, name) {
+    // Unknown hosts go to GitHub, which reports them as not configured
+    const forgeHost = host ? findForgeHost(getHosts(), host) : null;
+    const providerName = forgeHost ? forgeHost.provider : 'github';
+    const provider = forgeProviders[providerName];
+
+    if (!initializedProviders.has(providerName)) {
+      throw new Error(`The ${PROVIDER_NAMES[providerName]} provider is not initialized. Check its credentials.`);
+    }
+    if (typeof provider[name] !== 'function') {
+      throw new Error(`${name} is not supported for ${PROVIDER_NAMES[providerName]} hosts`);
+    }
+    return provider;
+  }
+
+  /**
+   * Create a function routed by the host of its first argument, an issue or pull request URL
+   * @param {string} name - Provider function name
+   * @returns {Function} - Async function with the provider function's signature
+   */
+  function routeByUrl(name) {
+    return async (url, ...args) => {
+      const parsed = parseForgeUrl(url, getHosts());
+      return getProvider(parsed && parsed.host, name)[name](url, ...args);
+    };
+  }
+
+  /**
+   * Create a function routed by the host option of its last argument
+   * @param {string} name - Provider function name
+   * @returns {Function} - Async function with the provider function's signature
+   */
+  function routeByHost(name) {
+    return async (...args) => {
+      const options = args[args.length - 1];
+      const host = options && typeof options === 'object' && !Array.isArray(options) ? options.host : undefined;
+      return getProvider(host, name)[name](...args);
+    };
+  }
+
+  return {
+    initialize,
+    fetchIssueData: routeByUrl('fetchIssueData'),
+    fetchPullRequestData: routeByUrl('fetchPullRequestData'),
+    searchIssues: routeByHost('searchIssues'),
+    getRepositoryContext: routeByHost('getRepositoryContext'),
+    getRepositoryTree: routeByHost('getRepositoryTree'),
+    createBranch: routeByHost('createBranch'),
+    commitFile: routeByHost('commitFile'),
+    commitChanges: routeByHost('commitChanges'),
+    createPullRequest: routeByHost('createPullRequest'),
+    addIssueComment: routeByHost('addIssueComment'),
+    updateIssueLabels: routeByHost('updateIssueLabels'),
+    getPullRequest: routeByHost('getPullRequest'),
+    listLabels: routeByHost('listLabels'),
+    listAssignees: routeByHost('listAssignees')
+  };
+}
+
+// Default instance on the module-level GitHub and GitLab clients and their budget
+const defaultForge = createForge({
+  rateLimit: sharedRateLimit,
+  providers: { github: githubModule, gitlab: gitlabModule }
+});
+
+export const {
+  initialize,
+  fetchIssueData,
+  fetchPullRequestData,
+  searchIssues,
+  getRepositoryContext,
+  getRepositoryTree,
+  createBranch,
+  commitFile,
+  commitChanges,
+  createPullRequest,
+  addIssueComment,
+  updateIssueLabels,
+  getPullRequest,
+  listLabels,
+  listAssignees
+} = defaultForge;
+
+// Export additional functions
+export default {
+  createForge,
+  initialize,
+  fetchIssueData,
+  fetchPullRequestData,
+  searchIssues,
+  getRepositoryContext,
+  getRepositoryTree,
+  createBranch,
+  commitFile,
+  commitChanges,
+  createPullRequest,
+  addIssueComment,
+  updateIssueLabels,
+  getPullRequest,
+  listLabels,
+  listAssignees
+};
@@ -0,0 +1,233 @@
+/**
+ * OpenHands Resolver MCP - GitHub App Authentication
+ *
+ * Authenticates as a GitHub App instead of with a personal token:
+ * - Mints a JWT signed with the app's private key
+ * - Finds the app installation of each repository owner
+ * - Exchanges the JWT for installation access tokens, cached until they expire
+ *   or the API rejects them
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { getContextLogger } from '../../utils/logger.js';
+import { paginate } from '../../utils/pagination.js';
+
+// GitHub rejects JWTs valid for more than 10 minutes; iat is backdated for clock drift
+const JWT_BACKDATE_SECONDS = 60;
+const JWT_LIFETIME_SECONDS = 540;
+
+// Installation tokens are renewed this long before they expire
+const TOKEN_REFRESH_MARGIN = 60 * 1000;
+
+/**
+ * Create the authentication of a GitHub App
+ * @param {Object} options - App options
+ * @param {string} options.appId - GitHub App ID
+ * @param {string} options.privateKey - PEM private key of the app
+ * @param {number} options.installationId - Installation used for requests of no particular owner (defaults to the first one)
+ * @param {string} options.apiBaseUrl - API base URL of the forge host
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {Object} options.logger - Base logger (defaults to the shared logger)
+ * @param {Function} options.now - Clock in milliseconds (defaults to Date.now)
+ * @returns {Object} - App authentication functions
+ */
+export function createAppAuth({
+  appId,
+  privateKey,
+  installationId,
+  apiBaseUrl,
+  timeout,
+  logger: baseLogger,
+  now = Date.now
+}) {
+  const logger = getContextLogger('GitHubApp', baseLogger);
+  const client = axios.create({
+    baseURL: apiBaseUrl,
+    timeout,
+    headers: {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'OpenHands-Resolver-MCP'
+    }
+  });
+
+  // Installation IDs by lowercase owner login, loaded on first use
+  let installations = null;
+  // Pending or issued tokens by installation ID: Promise of { token, expiresAt }
+  const tokens = new Map();
+
+  /**
+   * Create a JWT authenticating as the app
+   * @returns {string} - Signed JWT
+   */
+  function createJwt() {
+    const issuedAt = Math.floor(now() / 1000) - JWT_BACKDATE_SECONDS;
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+      iat: issuedAt,
+      exp: issuedAt + JWT_BACKDATE_SECONDS + JWT_LIFETIME_SECONDS,
+      iss: String(appId)
+    }));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey);
+
+    return `${header}.${payload}.${base64url(signature)}`;
+  }
+
+  /**
+   * Find the installation of the app for a repository owner
+   * @param {string} owner - Repository owner, or null for the default installation
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<number>} - Installation ID
+   * @throws {Error} If the app is not installed for the owner
+   */
+  async function getInstallationId(owner, options = {}) {
+    if (!owner && installationId) {
+      return installationId;
+    }
+
+    // Reload once when an owner is missing, in case the app was installed since
+    if (!installations || (owner && !installations.has(owner.toLowerCase()))) {
+      installations = await loadInstallations(options.signal);
+    }
+
+    if (!owner) {
+      const [first] = installations.values();
+      if (!first) {
+        throw new Error(`GitHub App ${appId} has no installations`);
+      }
+      return first;
+    }
+
+    const id = installations.get(owner.toLowerCase());
+    if (!id) {
+      throw new Error(`GitHub App ${appId} is not installed for ${owner}`);
+    }
+    return id;
+  }
+
+  /**
+   * Get an access token of the installation for a repository owner
+   * @param {string} owner - Repository owner, or null for the default installation
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<string>} - Installation access token
+   */
+  async function getInstallationToken(owner, options = {}) {
+    const id = await getInstallationId(owner, options);
+    let cached = tokens.get(id);
+
+    while (cached) {
+      const { token, expiresAt } = await cached;
+      if (expiresAt - TOKEN_REFRESH_MARGIN > now()) {
+        return token;
+      }
+      // Still the expired token: this request renews it
+      if (tokens.get(id) === cached) {
+        break;
+      }
+      // Another request is already renewing it
+      cached = tokens.get(id);
+    }
+
+    // Set before any await, so concurrent requests share one exchange
+    const pending = exchangeToken(id, options.signal);
+    tokens.set(id, pending);
+    pending.catch(() => {
+      // A newer exchange may have replaced this one meanwhile
+      if (tokens.get(id) === pending) {
+        tokens.delete(id);
+      }
+    });
+
+    return (await pending).token;
+  }
+
+  /**
+   * Drop a cached installation token the API rejected, e.g. because it was revoked
+   * @param {string} owner - Repository owner, or null for the default installation
+   * @param {string} token - Rejected token
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<void>}
+   */
+  async function invalidateToken(owner, token, options = {}) {
+    const id = await getInstallationId(owner, options);
+    const cached = tokens.get(id);
+    if (!cached) {
+      return;
+    }
+
+    const entry = await cached.catch(() => null);
+    // Keep a newer token issued since the request was sent
+    if (entry && entry.token === token && tokens.get(id) === cached) {
+      logger.warn(`Dropping rejected access token of installation ${id} of GitHub App ${appId}`);
+      tokens.delete(id);
+    }
+  }
+
+  /**
+   * List the installations of the app
+   * @param {AbortSignal} signal - Optional signal to cancel the requests
+   * @returns {Promise<Map>} - Installation IDs by lowercase owner login
+   */
+  async function loadInstallations(signal) {
+    try {
+      const { items } = await paginate(client, '/app/installations', {
+        params: { per_page: 100 },
+        signal,
+        headers: { Authorization: `Bearer ${createJwt()}` }
+      });
+
+      logger.debug(`GitHub App ${appId} has ${items.length} installations`);
+      return new Map(items.map(installation => [installation.account.login.toLowerCase(), installation.id]));
+    } catch (error) {
+      logger.error(`Failed to list installations of GitHub App ${appId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange the app JWT for an installation access token
+   * @param {number} id - Installation ID
+   * @param {AbortSignal} signal - Optional signal to cancel the request
+   * @returns {Promise<Object>} - { token, expiresAt }, expiresAt in milliseconds
+   */
+  async function exchangeToken(id, signal) {
+    try {
+      const response = await client.post(`/app/installations/${id}/access_tokens`, null, {
+        headers: { Authorization: `Bearer ${createJwt()}` },
+        signal
+      });
+
+      logger.info(`Issued access token for installation ${id} of GitHub App ${appId}`);
+      return {
+        token: response.data.token,
+        expiresAt: Date.parse(response.data.expires_at)
+      };
+    } catch (error) {
+      logger.error(`Failed to issue access token for installation ${id}:`, error);
+      throw error;
+    }
+  }
+
+  return {
+    createJwt,
+    getInstallationId,
+    getInstallationToken,
+    invalidateToken
+  };
+}
+
+/**
+ * Encode a string or buffer as base64url
+ * @param {string|Buffer} value - Value to encode
+ * @returns {string} - base64url text without padding
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+export default {
+  createAppAuth
+};
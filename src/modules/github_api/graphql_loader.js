@@ -0,0 +1,202 @@
+/**
+ * OpenHands Resolver MCP - GitHub GraphQL Issue Loader
+ *
+ * Loads an issue with all its comments, labels, assignees, linked pull
+ * requests, timeline cross-references and repository metadata in one
+ * GraphQL query, paging through comments and timeline with cursors.
+ *
+ * The result has the issueData shape of the REST fetchIssueData, plus
+ * linkedPullRequests and crossReferences.
+ */
+
+// One page of comments and timeline items; further pages repeat the query with cursors
+const ISSUE_QUERY = `
+  query IssueData($owner: String!, $repo: String!, $number: Int!, $commentsCursor: String, $timelineCursor: String) {
+    repository(owner: $owner, name: $repo) {
+      name
+      nameWithOwner
+      description
+      isPrivate
+      defaultBranchRef { name }
+      primaryLanguage { name }
+      issue(number: $number) {
+        number
+        title
+        body
+        state
+        labels(first: 100) { nodes { name } }
+        assignees(first: 100) { nodes { login } }
+        comments(first: 100, after: $commentsCursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes { databaseId author { login } body createdAt }
+        }
+        timelineItems(first: 100, after: $timelineCursor, itemTypes: [CROSS_REFERENCED_EVENT, CONNECTED_EVENT]) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            __typename
+            ... on CrossReferencedEvent {
+              willCloseTarget
+              source {
+                __typename
+                ... on Issue { number title url state }
+                ... on PullRequest { number title url state }
+              }
+            }
+            ... on ConnectedEvent {
+              subject {
+                __typename
+                ... on PullRequest { number title url state }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Load an issue with one paginated GraphQL query
+ * @param {Object} client - Axios instance of the forge host
+ * @param {Object} issue - Issue to load
+ * @param {string} issue.graphqlUrl - GraphQL endpoint of the forge host
+ * @param {string} issue.issueUrl - Full URL to the GitHub issue
+ * @param {string} issue.host - Forge host of the repository
+ * @param {string} issue.owner - Repository owner
+ * @param {string} issue.repo - Repository name
+ * @param {number} issue.issueNumber - Issue number
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+ * @param {number} options.maxPages - Most pages of comments and timeline items to read
+ * @returns {Promise<Object>} - Issue data, shaped like the REST result
+ * @throws {Error} If the query fails or the issue does not exist
+ */
+export async function loadIssueData(client, issue, options = {}) {
+  const { graphqlUrl, issueUrl, host, owner, repo, issueNumber } = issue;
+  const { signal, maxPages = Infinity } = options;
+
+  const comments = [];
+  const timelineItems = [];
+  let commentsCursor = null;
+  let timelineCursor = null;
+  let repository;
+  let issueNode;
+
+  for (let page = 1; page <= maxPages; page++) {
+    // Queries change nothing, so they are as safe to retry as GET requests
+    const response = await client.post(graphqlUrl, {
+      query: ISSUE_QUERY,
+      variables: { owner, repo, number: issueNumber, commentsCursor, timelineCursor }
+    }, { signal, idempotent: true, owner });
+
+    const { data, errors } = response.data;
+    if (errors && errors.length > 0) {
+      throw new Error(`GraphQL query for ${issueUrl} failed: ${errors.map(error => error.message).join('; ')}`);
+    }
+
+    repository = data.repository;
+    issueNode = repository && repository.issue;
+    if (!issueNode) {
+      throw new Error(`Issue #${issueNumber} not found in ${owner}/${repo}`);
+    }
+
+    comments.push(...issueNode.comments.nodes);
+    timelineItems.push(...issueNode.timelineItems.nodes);
+
+    const morePages = issueNode.comments.pageInfo.hasNextPage || issueNode.timelineItems.pageInfo.hasNextPage;
+    if (!morePages) {
+      break;
+    }
+
+    // A finished connection keeps its last cursor and returns no further nodes
+    commentsCursor = issueNode.comments.pageInfo.endCursor || commentsCursor;
+    timelineCursor = issueNode.timelineItems.pageInfo.endCursor || timelineCursor;
+  }
+
+  const references = getReferences(timelineItems);
+
+  return {
+    issueUrl,
+    host,
+    owner,
+    repo,
+    issueNumber,
+    title: issueNode.title,
+    body: issueNode.body,
+    labels: issueNode.labels.nodes.map(label => label.name),
+    assignees: issueNode.assignees.nodes.map(assignee => assignee.login),
+    state: issueNode.state.toLowerCase(),
+    comments: comments.map(comment => ({
+      id: comment.databaseId,
+      // Deleted accounts have no author
+      user: comment.author ? comment.author.login : 'ghost',
+      body: comment.body,
+      createdAt: comment.createdAt
+    })),
+    repository: {
+      name: repository.name,
+      fullName: repository.nameWithOwner,
+      description: repository.description,
+      defaultBranch: repository.defaultBranchRef ? repository.defaultBranchRef.name : null,
+      language: repository.primaryLanguage ? repository.primaryLanguage.name : null,
+      isPrivate: repository.isPrivate
+    },
+    linkedPullRequests: references.linkedPullRequests,
+    crossReferences: references.crossReferences
+  };
+}
+
+/**
+ * Get the GraphQL endpoint of a REST API base URL
+ * @param {string} apiBaseUrl - REST API base URL, e.g. https://api.github.com or https://github.example.com/api/v3
+ * @returns {string} - GraphQL endpoint
+ */
+export function getGraphqlUrl(apiBaseUrl) {
+  const baseUrl = apiBaseUrl.replace(/\/+$/, '');
+
+  // GitHub Enterprise Server serves GraphQL at /api/graphql next to /api/v3
+  return /\/api\/v3$/.test(baseUrl)
+    ? baseUrl.replace(/\/v3$/, '/graphql')
+    : `${baseUrl}/graphql`;
+}
+
+/**
+ * Collect the pull requests and issues that reference an issue in its timeline
+ * @param {Array} timelineItems - CrossReferencedEvent and ConnectedEvent nodes
+ * @returns {Object} - { linkedPullRequests, crossReferences }; linked pull requests would close the issue
+ */
+function getReferences(timelineItems) {
+  const linkedPullRequests = new Map();
+  const crossReferences = new Map();
+
+  for (const item of timelineItems) {
+    const source = item.__typename === 'ConnectedEvent' ? item.subject : item.source;
+    if (!source || !source.url) {
+      continue;
+    }
+
+    const reference = {
+      type: source.__typename === 'PullRequest' ? 'pull_request' : 'issue',
+      number: source.number,
+      title: source.title,
+      url: source.url,
+      state: source.state.toLowerCase()
+    };
+
+    if (reference.type === 'pull_request' && (item.__typename === 'ConnectedEvent' || item.willCloseTarget)) {
+      linkedPullRequests.set(reference.url, reference);
+    } else {
+      crossReferences.set(reference.url, reference);
+    }
+  }
+
+  return {
+    linkedPullRequests: [...linkedPullRequests.values()],
+    crossReferences: [...crossReferences.values()].filter(reference => !linkedPullRequests.has(reference.url))
+  };
+}
+
+export default {
+  loadIssueData,
+  getGraphqlUrl
+};
@@ -3,384 +3,1262 @@
  * 
  * This module handles all GitHub interactions, including:
  * - Fetching issue details
- * - Getting repository context
- * - Creating branches and commits
+ * - Fetching pull request review feedback
+ * - Searching for issues
+ * - Getting repository context and the full file tree
+ * - Creating branches and commits, including atomic multi-file commits
  * - Submitting pull requests
+ * - Reading labels, assignees and pull request state for triage and status reports
+ *
+ * Requests go to the API of the issue's forge host: github.com or a configured
+ * GitHub Enterprise Server, each with its own token or GitHub App. Functions
+ * taking an owner and repo accept options.host, defaulting to the primary host.
+ * With a GitHub App, each request uses the token of the installation for the
+ * repository owner it concerns.
+ *
+ * Safe and idempotent requests are retried with backoff on network errors,
+ * 5xx responses and rate limits, up to github.maxRetries times. The rate limit
+ * headers of every response update the client's rate limit budget. List
+ * endpoints are read page by page, up to github.maxPages pages. GET responses
+ * are cached by URL and token (by URL and installation with a GitHub App, whose
+ * tokens are renewed hourly) and revalidated with conditional requests.
  */
 
 import axios from 'axios';
 import { getContextLogger } from '../../utils/logger.js';
-import { getConfig } from '../configuration/index.js';
+import * as configModule from '../configuration/index.js';
+import { throwIfCancelled } from '../../utils/cancellation.js';
+import { getForgeHosts, findForgeHost, parseForgeUrl } from '../../utils/forge_hosts.js';
+import { installRetry } from '../../utils/retry.js';
+import { createRateLimitBudget, sharedRateLimit } from '../../utils/rate_limit.js';
+import { paginate } from '../../utils/pagination.js';
+import { createResponseCache, installResponseCache } from '../../utils/response_cache.js';
+import { createAppAuth } from './app_auth.js';
+import { loadIssueData, getGraphqlUrl } from './graphql_loader.js';
 
-const logger = getContextLogger('GitHubAPI');
+// Items per page of list endpoints, the largest page size GitHub allows
+const PAGE_SIZE = 100;
 
-// GitHub API client
-let apiClient = null;
+// Most results the search API returns for a query
+const SEARCH_RESULT_LIMIT = 1000;
+
+// Most directories listed one by one when a recursive tree is truncated
+const MAX_LISTED_DIRECTORIES = 500;
+
+// Git tree mode of new regular files
+const FILE_MODE = '100644';
+
+// Fast-forwards attempted when the branch moves while a commit is being built
+const MAX_COMMIT_ATTEMPTS = 3;
+
+// Request paths and search qualifiers naming the owner a request concerns
+const OWNER_PATH_REGEX = /\/(?:repos|users|orgs)\/([^/?#]+)/;
+const OWNER_QUALIFIER_REGEX = /(?:^|\s)(?:repo:([\w.-]+)\/|org:([\w.-]+)|user:([\w.-]+))/;
+// Raw file paths: /<owner>/<repo>/... on raw.githubusercontent.com, /raw/<owner>/<repo>/... on Enterprise Server
+const RAW_OWNER_PATH_REGEX = /^\/(?:raw\/)?([^/]+)\/[^/]+\//;
 
 /**
- * Initialize the GitHub API module
- * @returns {Promise<void>}
+ * Create an isolated GitHub API client
+ * @param {Object} dependencies - Client dependencies
+ * @param {Object} dependencies.config - Configuration instance providing getConfig(section)
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @param {Object} dependencies.rateLimit - Rate limit budget to update (defaults to a new one)
+ * @param {Object} dependencies.responseCache - Response cache (defaults to one configured by github.cache)
+ * @returns {Object} - GitHub API functions bound to this client's HTTP client
  */
-export async function initialize() {
-  try {
-    logger.info('Initializing GitHub API module');
-    
-    const config = getConfig('github');
-    
-    if (!config.token) {
-      throw new Error('GitHub token is required for API initialization');
+export function createGitHubClient({
+  config = configModule,
+  logger: baseLogger,
+  rateLimit = createRateLimitBudget({ logger: baseLogger }),
+  responseCache
+} = {}) {
+  const logger = getContextLogger('GitHubAPI', baseLogger);
+
+  // GitHub API client of the primary host, and clients of further hosts by web host
+  let apiClient = null;
+  let forgeHosts = [];
+  const hostClients = new Map();
+  // Shared by the clients of every host; null when caching is disabled
+  let cache = responseCache || null;
+
+  /**
+   * Initialize the GitHub API client
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    try {
+      logger.info('Initializing GitHub API module');
+      
+      const githubConfig = config.getConfig('github');
+      
+      if (!githubConfig.token && !(githubConfig.appId && githubConfig.privateKey)) {
+        throw new Error('GitHub token or GitHub App credentials are required for API initialization');
+      }
+      
+      // Create Axios instance for GitHub API
+      forgeHosts = getForgeHosts(githubConfig);
+      hostClients.clear();
+      if (!responseCache) {
+        cache = githubConfig.cache
+          ? createResponseCache({ directory: githubConfig.cacheDirectory, logger: baseLogger })
+          : null;
+      }
+      apiClient = createApiClient(forgeHosts[0]);
+      
+      // Test the API connection
+      await testApiConnection();
+      
+      logger.info('GitHub API module initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize GitHub API module:', error);
+      throw error;
     }
-    
-    // Create Axios instance for GitHub API
-    apiClient = axios.create({
-      baseURL: config.apiBaseUrl,
-      timeout: config.timeout,
+  }
+
+  /**
+   * Create an Axios instance for the API of a forge host, retrying failed requests,
+   * caching GET responses and recording the rate limit of every response
+   * @param {Object} forgeHost - Host from getForgeHosts: { host, apiBaseUrl, token, app }
+   * @returns {Object} - Axios instance
+   */
+  function createApiClient(forgeHost) {
+    const githubConfig = config.getConfig('github');
+    const client = axios.create({
+      baseURL: forgeHost.apiBaseUrl,
+      timeout: githubConfig.timeout,
       headers: {
-        'Authorization': `token ${config.token}`,
+        ...(forgeHost.app ? {} : { 'Authorization': `token ${forgeHost.token}` }),
         'Accept': 'application/vnd.github.v3+json',
         'User-Agent': 'OpenHands-Resolver-MCP'
       }
     });
     
-    // Test the API connection
-    await testApiConnection();
+    // Registered first, so its request interceptor runs last and sees the installation token
+    if (cache) {
+      installResponseCache(client, cache);
+    }
+    
+    // A GitHub App authenticates every request with the token of the owner's installation
+    if (forgeHost.app) {
+      const appAuth = createAppAuth({
+        ...forgeHost.app,
+        apiBaseUrl: forgeHost.apiBaseUrl,
+        timeout: githubConfig.timeout,
+        logger: baseLogger
+      });
+      
+      client.interceptors.request.use(async requestConfig => {
+        const owner = getRequestOwner(requestConfig);
+        const token = await appAuth.getInstallationToken(owner, {
+          signal: requestConfig.signal
+        });
+        requestConfig.headers.Authorization = `token ${token}`;
+        // Cached responses stay valid across token renewals of the owner's installation
+        requestConfig.cacheScope = `app ${forgeHost.app.appId} ${(owner || '').toLowerCase()}`;
+        return requestConfig;
+      });
+      
+      // A token revoked before it expires is rejected with a 401: renew it and send the request once more
+      client.interceptors.response.use(undefined, async error => {
+        const requestConfig = error.config;
+        if (!requestConfig || requestConfig.tokenRenewed || !error.response || error.response.status !== 401) {
+          throw error;
+        }
+        
+        const rejectedToken = String(requestConfig.headers.Authorization || '').replace(/^token /, '');
+        await appAuth.invalidateToken(getRequestOwner(requestConfig), rejectedToken, {
+          signal: requestConfig.signal
+        });
+        return client.request({ ...requestConfig, tokenRenewed: true });
+      });
+    }
+    
+    // Registered before the retry, so failed attempts are recorded too
+    client.interceptors.response.use(response => {
+      rateLimit.record(forgeHost.host, response.headers);
+      return response;
+    }, error => {
+      if (error.response) {
+        rateLimit.record(forgeHost.host, error.response.headers);
+      }
+      throw error;
+    });
     
-    logger.info('GitHub API module initialized successfully');
-  } catch (error) {
-    logger.error('Failed to initialize GitHub API module:', error);
-    throw error;
+    return installRetry(client, {
+      maxRetries: githubConfig.maxRetries,
+      baseDelay: githubConfig.retryBaseDelay,
+      maxDelay: githubConfig.maxRetryDelay,
+      logger
+    });
   }
-}
 
-/**
- * Test the GitHub API connection
- * @returns {Promise<boolean>}
- */
-async function testApiConnection() {
-  try {
-    const response = await apiClient.get('/rate_limit');
-    
-    if (response.status === 200) {
-      const { rate } = response.data;
-      logger.info(`GitHub API connection successful. Rate limit: ${rate.remaining}/${rate.limit}`);
-      return true;
+  /**
+   * Get the owner a request concerns, to pick its GitHub App installation
+   * @param {Object} requestConfig - Axios request config
+   * @returns {string|null} - Owner login, or null for requests of no particular owner
+   */
+  function getRequestOwner(requestConfig) {
+    // GraphQL requests name their owner in the request config
+    if (requestConfig.owner) {
+      return requestConfig.owner;
+    }
+    
+    const pathMatch = OWNER_PATH_REGEX.exec(requestConfig.url || '');
+    if (pathMatch) {
+      return decodeURIComponent(pathMatch[1]);
+    }
+    
+    // Absolute URLs outside the API, e.g. the download_url of contents, start with the owner
+    const url = requestConfig.url || '';
+    if (/^https?:\/\//i.test(url) && !url.startsWith(requestConfig.baseURL)) {
+      const rawMatch = RAW_OWNER_PATH_REGEX.exec(new URL(url).pathname);
+      if (rawMatch) {
+        return decodeURIComponent(rawMatch[1]);
+      }
     }
     
-    logger.warn('GitHub API connection test: Unexpected response status', response.status);
-    return false;
-  } catch (error) {
-    logger.error('GitHub API connection test failed:', error);
-    throw error;
+    // Search queries are in the params of the first page and in the URL of later pages
+    const query = (requestConfig.params && requestConfig.params.q) ||
+      new URL(requestConfig.url || '', 'http://localhost').searchParams.get('q') || '';
+    const qualifierMatch = OWNER_QUALIFIER_REGEX.exec(query);
+    return qualifierMatch ? qualifierMatch.slice(1).find(Boolean) : null;
   }
-}
 
-/**
- * Fetch data for a GitHub issue
- * @param {string} issueUrl - Full URL to the GitHub issue
- * @returns {Promise<Object>} - Issue data
- */
-export async function fetchIssueData(issueUrl) {
-  try {
-    logger.debug(`Fetching data for issue: ${issueUrl}`);
+  /**
+   * Get the API client of a forge host
+   * @param {string} host - Web host, e.g. github.example.com (defaults to the primary host)
+   * @returns {Object} - Axios instance
+   * @throws {Error} If the host is not configured
+   */
+  function getApiClient(host) {
+    if (!host || host === forgeHosts[0].host) {
+      return apiClient;
+    }
+    
+    const forgeHost = findForgeHost(forgeHosts, host);
+    if (!forgeHost) {
+      throw new Error(`No API configured for host ${host}. Add it to github.hosts.`);
+    }
     
-    // Extract owner, repo, and issue number from URL
-    const urlRegex = /github\.com\/([^\/]+)\/([^\/]+)\/issues\/(\d+)/i;
-    const match = urlRegex.exec(issueUrl);
+    if (!hostClients.has(forgeHost.host)) {
+      hostClients.set(forgeHost.host, createApiClient(forgeHost));
+    }
+    return hostClients.get(forgeHost.host);
+  }
+
+  /**
+   * Get the items of every page of a list endpoint, up to github.maxPages pages
+   * @param {Object} client - Axios instance
+   * @param {string} url - URL of the first page
+   * @param {Object} options - Pagination options
+   * @param {Object} options.params - Query parameters of the first page
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {number} options.maxPages - Most pages to request (defaults to github.maxPages)
+   * @param {number} options.maxItems - Most items to return
+   * @param {Function} options.getItems - Get the items of a page from its response body
+   * @returns {Promise<Array>} - Items of all pages read
+   */
+  async function getAllPages(client, url, options = {}) {
+    const { items, truncated } = await paginate(client, url, {
+      ...options,
+      params: { per_page: PAGE_SIZE, ...options.params },
+      maxPages: options.maxPages || config.getConfig('github').maxPages
+    });
+    
+    if (truncated) {
+      logger.warn(`Read only the first ${items.length} items of ${url}`);
+    }
+    return items;
+  }
+
+  /**
+   * Test the GitHub API connection
+   * @returns {Promise<boolean>}
+   */
+  async function testApiConnection() {
+    try {
+      const response = await apiClient.get('/rate_limit');
+      
+      if (response.status === 200) {
+        const { rate } = response.data;
+        rateLimit.update(forgeHosts[0].host, rate);
+        logger.info(`GitHub API connection successful. Rate limit: ${rate.remaining}/${rate.limit}`);
+        return true;
+      }
+      
+      logger.warn('GitHub API connection test: Unexpected response status', response.status);
+      return false;
+    } catch (error) {
+      logger.error('GitHub API connection test failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch data for a GitHub issue
+   * 
+   * With github.graphql, the issue, every comment, linked pull requests,
+   * timeline cross-references and the repository come from one paginated
+   * GraphQL query; the result then also has linkedPullRequests and
+   * crossReferences.
+   * 
+   * @param {string} issueUrl - Full URL to the GitHub issue
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {boolean} options.graphql - Use the GraphQL loader (defaults to github.graphql)
+   * @returns {Promise<Object>} - Issue data
+   */
+  async function fetchIssueData(issueUrl, options = {}) {
+    const { signal } = options;
     
-    if (!match) {
-      throw new Error(`Invalid GitHub issue URL: ${issueUrl}`);
+    try {
+      logger.debug(`Fetching data for issue: ${issueUrl}`);
+      
+      // Extract host, owner, repo, and issue number from URL
+      const parsed = parseForgeUrl(issueUrl, forgeHosts);
+      
+      if (!parsed || parsed.isPullRequest) {
+        throw new Error(`Invalid GitHub issue URL: ${issueUrl}`);
+      }
+      
+      const { host, owner, repo, number: issueNumber } = parsed;
+      const client = getApiClient(host);
+      const githubConfig = config.getConfig('github');
+      
+      if (options.graphql !== undefined ? options.graphql : githubConfig.graphql) {
+        const result = await loadIssueData(client, {
+          graphqlUrl: getGraphqlUrl(findForgeHost(forgeHosts, host).apiBaseUrl),
+          issueUrl,
+          host,
+          owner,
+          repo,
+          issueNumber
+        }, { signal, maxPages: githubConfig.maxPages });
+        
+        logger.info(`Successfully fetched data for issue #${issueNumber} in ${owner}/${repo} with GraphQL`);
+        return result;
+      }
+      
+      // Get issue details
+      const issueResponse = await client.get(`/repos/${owner}/${repo}/issues/${issueNumber}`, { signal });
+      const issueData = issueResponse.data;
+      
+      // Get every page of issue comments, so long discussions keep their context
+      const comments = await getAllPages(client, issueData.comments_url, { signal });
+      
+      // Get repository details for context
+      const repoResponse = await client.get(`/repos/${owner}/${repo}`, { signal });
+      const repoData = repoResponse.data;
+      
+      // Combine the data
+      const result = {
+        issueUrl,
+        host,
+        owner,
+        repo,
+        issueNumber,
+        title: issueData.title,
+        body: issueData.body,
+        labels: issueData.labels.map(label => label.name),
+        assignees: issueData.assignees.map(assignee => assignee.login),
+        state: issueData.state,
+        comments: comments.map(comment => ({
+          id: comment.id,
+          user: comment.user.login,
+          body: comment.body,
+          createdAt: comment.created_at
+        })),
+        repository: {
+          name: repoData.name,
+          fullName: repoData.full_name,
+          description: repoData.description,
+          defaultBranch: repoData.default_branch,
+          language: repoData.language,
+          isPrivate: repoData.private
+        }
+      };
+      
+      logger.info(`Successfully fetched data for issue #${issueNumber} in ${owner}/${repo}`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to fetch issue data for ${issueUrl}:`, error);
+      throw error;
     }
+  }
+
+  /**
+   * Fetch a pull request with its review feedback, shaped like issue data
+   * 
+   * The result has the fields of fetchIssueData, with the pull request number as
+   * issueNumber and its review comments as comments, plus a pullRequest field with
+   * the head branch to push to and the changes requested by reviewers.
+   * 
+   * @param {string} pullRequestUrl - Full URL to the GitHub pull request
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - Pull request data
+   */
+  async function fetchPullRequestData(pullRequestUrl, options = {}) {
+    const { signal } = options;
     
-    const [, owner, repo, issueNumber] = match;
-    
-    // Get issue details
-    const issueResponse = await apiClient.get(`/repos/${owner}/${repo}/issues/${issueNumber}`);
-    const issueData = issueResponse.data;
-    
-    // Get issue comments
-    const commentsResponse = await apiClient.get(issueData.comments_url);
-    const comments = commentsResponse.data;
-    
-    // Get repository details for context
-    const repoResponse = await apiClient.get(`/repos/${owner}/${repo}`);
-    const repoData = repoResponse.data;
-    
-    // Combine the data
-    const result = {
-      issueUrl,
-      owner,
-      repo,
-      issueNumber: parseInt(issueNumber, 10),
-      title: issueData.title,
-      body: issueData.body,
-      labels: issueData.labels.map(label => label.name),
-      state: issueData.state,
-      comments: comments.map(comment => ({
+    try {
+      logger.debug(`Fetching data for pull request: ${pullRequestUrl}`);
+      
+      // Extract host, owner, repo, and pull request number from URL
+      const parsed = parseForgeUrl(pullRequestUrl, forgeHosts);
+      
+      if (!parsed || !parsed.isPullRequest) {
+        throw new Error(`Invalid GitHub pull request URL: ${pullRequestUrl}`);
+      }
+      
+      const { host, owner, repo, number: pullNumber } = parsed;
+      const client = getApiClient(host);
+      
+      // Get pull request details
+      const pullResponse = await client.get(`/repos/${owner}/${repo}/pulls/${pullNumber}`, { signal });
+      const pullData = pullResponse.data;
+      
+      if (!pullData.head.repo) {
+        throw new Error(`The head repository of pull request #${pullNumber} no longer exists`);
+      }
+      
+      // Get reviews and inline review comments
+      const reviews = await getAllPages(client, `/repos/${owner}/${repo}/pulls/${pullNumber}/reviews`, { signal });
+      const comments = await getAllPages(client, `/repos/${owner}/${repo}/pulls/${pullNumber}/comments`, { signal });
+      const reviewComments = comments.map(comment => ({
         id: comment.id,
         user: comment.user.login,
+        path: comment.path,
+        line: comment.line || comment.original_line,
         body: comment.body,
         createdAt: comment.created_at
-      })),
-      repository: {
-        name: repoData.name,
-        fullName: repoData.full_name,
-        description: repoData.description,
-        defaultBranch: repoData.default_branch,
-        language: repoData.language,
-        isPrivate: repoData.private
-      }
-    };
-    
-    logger.info(`Successfully fetched data for issue #${issueNumber} in ${owner}/${repo}`);
-    return result;
-  } catch (error) {
-    logger.error(`Failed to fetch issue data for ${issueUrl}:`, error);
-    throw error;
+      }));
+      
+      // Get repository details for context
+      const repoResponse = await client.get(`/repos/${owner}/${repo}`, { signal });
+      const repoData = repoResponse.data;
+      
+      // Combine the data
+      const result = {
+        issueUrl: pullData.html_url,
+        host,
+        owner,
+        repo,
+        issueNumber: pullNumber,
+        title: pullData.title,
+        body: pullData.body || '',
+        labels: pullData.labels.map(label => label.name),
+        state: pullData.state,
+        comments: reviewComments,
+        repository: {
+          name: repoData.name,
+          fullName: repoData.full_name,
+          description: repoData.description,
+          defaultBranch: repoData.default_branch,
+          language: repoData.language,
+          isPrivate: repoData.private
+        },
+        pullRequest: {
+          number: pullData.number,
+          url: pullData.html_url,
+          baseBranch: pullData.base.ref,
+          head: {
+            host,
+            owner: pullData.head.repo.owner.login,
+            repo: pullData.head.repo.name,
+            branch: pullData.head.ref
+          },
+          requestedChanges: reviews
+            .filter(review => review.state === 'CHANGES_REQUESTED' && review.body)
+            .map(review => ({
+              id: review.id,
+              user: review.user.login,
+              body: review.body,
+              submittedAt: review.submitted_at
+            })),
+          reviewComments
+        }
+      };
+      
+      logger.info(`Successfully fetched data for pull request #${pullNumber} in ${owner}/${repo}`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to fetch pull request data for ${pullRequestUrl}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Get repository context for analysis
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {Promise<Object>} - Repository context
- */
-export async function getRepositoryContext(owner, repo) {
-  try {
-    logger.debug(`Getting repository context for ${owner}/${repo}`);
-    
-    // Get repository details
-    const repoResponse = await apiClient.get(`/repos/${owner}/${repo}`);
-    const repoData = repoResponse.data;
+  /**
+   * Search for issues, following the pages of results
+   * @param {string} query - GitHub issue search query, e.g. "repo:owner/repo is:issue is:open label:bug"
+   * @param {Object} options - Request options
+   * @param {number} options.maxResults - Stop paging once this many issues are found
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Object>} - { totalCount, issues }; totalCount counts every match, issues at most maxResults
+   */
+  async function searchIssues(query, options = {}) {
+    const { signal, maxResults = SEARCH_RESULT_LIMIT, host } = options;
     
-    // Get default branch
-    const defaultBranch = repoData.default_branch;
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Searching issues: ${query}`);
+      
+      let totalCount = 0;
+      const items = await getAllPages(client, '/search/issues', {
+        params: { q: query },
+        signal,
+        maxItems: maxResults,
+        maxPages: Math.min(config.getConfig('github').maxPages, SEARCH_RESULT_LIMIT / PAGE_SIZE),
+        getItems: data => {
+          totalCount = data.total_count;
+          // Pull requests are issues too, but are never resolved
+          return data.items.filter(item => !item.pull_request);
+        }
+      });
+      
+      logger.info(`Found ${totalCount} issues matching: ${query}`);
+      return {
+        totalCount,
+        issues: items.map(item => {
+          const [owner, repo] = item.repository_url.split('/').slice(-2);
+          return {
+            issueUrl: item.html_url,
+            host: host || forgeHosts[0].host,
+            owner,
+            repo,
+            issueNumber: item.number,
+            title: item.title,
+            labels: item.labels.map(label => label.name),
+            isBatch: false
+          };
+        })
+      };
+    } catch (error) {
+      logger.error(`Failed to search issues for ${query}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get repository context for analysis
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @param {string} options.ref - Branch to list files from (defaults to the default branch)
+   * @returns {Promise<Object>} - Repository context
+   */
+  async function getRepositoryContext(owner, repo, options = {}) {
+    const { signal, ref, host } = options;
     
-    // Get repository content (top-level files)
-    const contentResponse = await apiClient.get(`/repos/${owner}/${repo}/contents`);
-    const contents = contentResponse.data;
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Getting repository context for ${owner}/${repo}`);
+      
+      // Get repository details
+      const repoResponse = await client.get(`/repos/${owner}/${repo}`, { signal });
+      const repoData = repoResponse.data;
+      
+      // Get default branch
+      const defaultBranch = repoData.default_branch;
+      
+      // Get repository content (top-level files)
+      const contents = await getAllPages(client, `/repos/${owner}/${repo}/contents`, {
+        params: ref ? { ref } : undefined,
+        signal
+      });
+      
+      // Check for custom instructions file
+      let instructions = null;
+      const instructionsFile = contents.find(item => item.name === '.openhands_instructions');
+      
+      if (instructionsFile) {
+        const instructionsResponse = await client.get(instructionsFile.download_url, { signal });
+        instructions = instructionsResponse.data;
+      }
+      
+      // Get languages used in the repository
+      const languagesResponse = await client.get(`/repos/${owner}/${repo}/languages`, { signal });
+      const languages = languagesResponse.data;
+      
+      // Combine the data
+      const result = {
+        owner,
+        repo,
+        defaultBranch,
+        description: repoData.description,
+        languages: Object.keys(languages),
+        files: contents.map(item => ({
+          name: item.name,
+          path: item.path,
+          type: item.type
+        })),
+        instructions
+      };
+      
+      logger.info(`Successfully retrieved repository context for ${owner}/${repo}`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to get repository context for ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every file in a repository, with its size and blob SHA
+   * 
+   * The whole tree comes from one git trees request with recursive=1. GitHub
+   * truncates very large trees; the files are then listed directory by
+   * directory instead.
+   * 
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @param {string} options.ref - Branch to list files from (defaults to the default branch)
+   * @returns {Promise<Object>} - { ref, files, truncated }; files as { path, name, size, sha, mode },
+   *   truncated if not every directory could be listed
+   */
+  async function getRepositoryTree(owner, repo, options = {}) {
+    const { signal, host } = options;
     
-    // Check for custom instructions file
-    let instructions = null;
-    const instructionsFile = contents.find(item => item.name === '.openhands_instructions');
+    try {
+      const client = getApiClient(host);
+      let { ref } = options;
+      
+      if (!ref) {
+        const repoResponse = await client.get(`/repos/${owner}/${repo}`, { signal });
+        ref = repoResponse.data.default_branch;
+      }
+      
+      logger.debug(`Getting file tree of ${owner}/${repo} at ${ref}`);
+      const treeResponse = await client.get(`/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}`, {
+        params: { recursive: 1 },
+        signal
+      });
+      
+      if (!treeResponse.data.truncated) {
+        const files = treeResponse.data.tree
+          .filter(entry => entry.type === 'blob')
+          .map(entry => ({
+            path: entry.path,
+            name: entry.path.split('/').pop(),
+            size: entry.size,
+            sha: entry.sha,
+            mode: entry.mode
+          }));
+        
+        logger.info(`Retrieved ${files.length} files of ${owner}/${repo}`);
+        return { ref, files, truncated: false };
+      }
+      
+      logger.warn(`File tree of ${owner}/${repo} is truncated, listing directories one by one`);
+      return await listDirectories(client, owner, repo, ref, signal);
+    } catch (error) {
+      logger.error(`Failed to get file tree of ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the files of a repository directory by directory, breadth first
+   * @param {Object} client - Axios instance
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} ref - Branch to list files from
+   * @param {AbortSignal} signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - { ref, files, truncated }, like getRepositoryTree
+   */
+  async function listDirectories(client, owner, repo, ref, signal) {
+    const files = [];
+    const directories = [''];
+    let listed = 0;
     
-    if (instructionsFile) {
-      const instructionsResponse = await apiClient.get(instructionsFile.download_url);
-      instructions = instructionsResponse.data;
+    while (directories.length > 0 && listed < MAX_LISTED_DIRECTORIES) {
+      const directory = directories.shift();
+      const directoryPath = directory.split('/').map(encodeURIComponent).join('/');
+      const entries = await getAllPages(client, `/repos/${owner}/${repo}/contents${directory ? `/${directoryPath}` : ''}`, {
+        params: { ref },
+        signal
+      });
+      listed += 1;
+      
+      for (const entry of entries) {
+        if (entry.type === 'dir') {
+          directories.push(entry.path);
+        } else if (entry.type === 'file') {
+          files.push({ path: entry.path, name: entry.name, size: entry.size, sha: entry.sha });
+        }
+      }
     }
     
-    // Get languages used in the repository
-    const languagesResponse = await apiClient.get(`/repos/${owner}/${repo}/languages`);
-    const languages = languagesResponse.data;
-    
-    // Combine the data
-    const result = {
-      owner,
-      repo,
-      defaultBranch,
-      description: repoData.description,
-      languages: Object.keys(languages),
-      files: contents.map(item => ({
-        name: item.name,
-        path: item.path,
-        type: item.type
-      })),
-      instructions
-    };
+    if (directories.length > 0) {
+      logger.warn(`Listed only the first ${listed} directories of ${owner}/${repo}`);
+    }
     
-    logger.info(`Successfully retrieved repository context for ${owner}/${repo}`);
-    return result;
-  } catch (error) {
-    logger.error(`Failed to get repository context for ${owner}/${repo}:`, error);
-    throw error;
+    logger.info(`Retrieved ${files.length} files of ${owner}/${repo} from ${listed} directories`);
+    return { ref, files, truncated: directories.length > 0 };
   }
-}
 
-/**
- * Create a new branch in the repository
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} branchName - Name for the new branch
- * @param {string} fromBranch - Branch to create from (defaults to repository's default branch)
- * @returns {Promise<Object>} - Branch creation result
- */
-export async function createBranch(owner, repo, branchName, fromBranch = null) {
-  try {
-    logger.debug(`Creating branch ${branchName} in ${owner}/${repo}`);
-    
-    // Get the base branch if not specified
-    if (!fromBranch) {
-      const repoResponse = await apiClient.get(`/repos/${owner}/${repo}`);
-      fromBranch = repoResponse.data.default_branch;
-    }
-    
-    // Get the SHA of the latest commit on the base branch
-    const refResponse = await apiClient.get(`/repos/${owner}/${repo}/git/refs/heads/${fromBranch}`);
-    const sha = refResponse.data.object.sha;
+  /**
+   * Create a new branch in the repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branchName - Name for the new branch
+   * @param {string} fromBranch - Branch to create from (defaults to repository's default branch)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Object>} - Branch creation result
+   */
+  async function createBranch(owner, repo, branchName, fromBranch = null, options = {}) {
+    const { signal, host } = options;
     
-    // Create the new branch
-    const response = await apiClient.post(`/repos/${owner}/${repo}/git/refs`, {
-      ref: `refs/heads/${branchName}`,
-      sha
-    });
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Creating branch ${branchName} in ${owner}/${repo}`);
+      
+      // Get the base branch if not specified
+      if (!fromBranch) {
+        const repoResponse = await client.get(`/repos/${owner}/${repo}`, { signal });
+        fromBranch = repoResponse.data.default_branch;
+      }
+      
+      // Get the SHA of the latest commit on the base branch
+      const refResponse = await client.get(`/repos/${owner}/${repo}/git/refs/heads/${fromBranch}`, { signal });
+      const sha = refResponse.data.object.sha;
+      
+      // Create the new branch
+      throwIfCancelled(signal, `Cancelled before creating branch ${branchName}`);
+      const response = await client.post(`/repos/${owner}/${repo}/git/refs`, {
+        ref: `refs/heads/${branchName}`,
+        sha
+      }, { signal });
+      
+      logger.info(`Successfully created branch ${branchName} in ${owner}/${repo}`);
+      return {
+        name: branchName,
+        sha: response.data.object.sha,
+        url: response.data.url
+      };
+    } catch (error) {
+      logger.error(`Failed to create branch ${branchName} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Commit a file to a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} path - File path
+   * @param {string} content - File content
+   * @param {string} message - Commit message
+   * @param {string} branch - Branch to commit to
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Object>} - Commit result
+   */
+  async function commitFile(owner, repo, path, content, message, branch, options = {}) {
+    const { signal, host } = options;
     
-    logger.info(`Successfully created branch ${branchName} in ${owner}/${repo}`);
-    return {
-      name: branchName,
-      sha: response.data.object.sha,
-      url: response.data.url
-    };
-  } catch (error) {
-    logger.error(`Failed to create branch ${branchName} in ${owner}/${repo}:`, error);
-    throw error;
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Committing file ${path} to ${owner}/${repo}/${branch}`);
+      
+      // Check if file already exists to get its SHA
+      let fileSha = null;
+      try {
+        const fileResponse = await client.get(`/repos/${owner}/${repo}/contents/${path}?ref=${branch}`, { signal });
+        fileSha = fileResponse.data.sha;
+      } catch (error) {
+        throwIfCancelled(signal);
+        // File doesn't exist yet, which is fine
+        logger.debug(`File ${path} doesn't exist yet, creating new file`);
+      }
+      
+      // Create or update the file
+      throwIfCancelled(signal, `Cancelled before committing file ${path}`);
+      const response = await client.put(`/repos/${owner}/${repo}/contents/${path}`, {
+        message,
+        content: Buffer.from(content).toString('base64'),
+        branch,
+        sha: fileSha
+      }, { signal });
+      
+      logger.info(`Successfully committed file ${path} to ${owner}/${repo}/${branch}`);
+      return {
+        path,
+        sha: response.data.content.sha,
+        url: response.data.content.html_url
+      };
+    } catch (error) {
+      logger.error(`Failed to commit file ${path} to ${owner}/${repo}/${branch}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Commit a file to a repository
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} path - File path
- * @param {string} content - File content
- * @param {string} message - Commit message
- * @param {string} branch - Branch to commit to
- * @returns {Promise<Object>} - Commit result
- */
-export async function commitFile(owner, repo, path, content, message, branch) {
-  try {
-    logger.debug(`Committing file ${path} to ${owner}/${repo}/${branch}`);
+  /**
+   * Commit changes to several files as one commit through the Git Data API
+   * 
+   * Creates a blob of every new content, a tree on top of the branch head's
+   * tree, and a commit, then fast-forwards the branch to it. Files keep their
+   * mode unless a change sets one. If the branch moves in the meantime, the
+   * commit is rebuilt on the new head.
+   * 
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch to commit to
+   * @param {Array} changes - File changes: { path, content, mode, previousPath, deleted };
+   *   previousPath renames a file (keeping its content if none is given), deleted removes it
+   * @param {string} message - Commit message
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Object>} - { branch, sha, url, message, files }; files as { path, sha, status, previousPath },
+   *   sha null if the changes left the tree as it was
+   */
+  async function commitChanges(owner, repo, branch, changes, message, options = {}) {
+    const { signal, host } = options;
     
-    // Check if file already exists to get its SHA
-    let fileSha = null;
     try {
-      const fileResponse = await apiClient.get(`/repos/${owner}/${repo}/contents/${path}?ref=${branch}`);
-      fileSha = fileResponse.data.sha;
+      const client = getApiClient(host);
+      logger.debug(`Committing ${changes.length} files to ${owner}/${repo}/${branch} in one commit`);
+      
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const result = await buildCommit(client, owner, repo, branch, changes, message, signal);
+          logger.info(`Successfully committed ${result.files.length} files to ${owner}/${repo}/${branch}`);
+          return result;
+        } catch (error) {
+          // 422: the ref update was not a fast-forward because the branch moved
+          const moved = error.response && error.response.status === 422 && error.isRefUpdate;
+          if (!moved || attempt >= MAX_COMMIT_ATTEMPTS) {
+            throw error;
+          }
+          logger.warn(`Branch ${branch} of ${owner}/${repo} moved while committing, rebuilding the commit`);
+        }
+      }
     } catch (error) {
-      // File doesn't exist yet, which is fine
-      logger.debug(`File ${path} doesn't exist yet, creating new file`);
+      logger.error(`Failed to commit changes to ${owner}/${repo}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build one commit of file changes on the current branch head and fast-forward the branch to it
+   * @param {Object} client - Axios instance
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} branch - Branch to commit to
+   * @param {Array} changes - File changes, as for commitChanges
+   * @param {string} message - Commit message
+   * @param {AbortSignal} signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - Commit result, as for commitChanges
+   * @throws {Error} With isRefUpdate set if the branch could not be fast-forwarded
+   */
+  async function buildCommit(client, owner, repo, branch, changes, message, signal) {
+    const repoPath = `/repos/${owner}/${repo}`;
+    const branchPath = branch.split('/').map(encodeURIComponent).join('/');
+    
+    const refResponse = await client.get(`${repoPath}/git/ref/heads/${branchPath}`, { signal });
+    const headSha = refResponse.data.object.sha;
+    const headCommit = await client.get(`${repoPath}/git/commits/${headSha}`, { signal });
+    const baseTreeSha = headCommit.data.tree.sha;
+    
+    const findEntry = createTreeLookup(client, repoPath, baseTreeSha, signal);
+    const treeEntries = [];
+    const files = [];
+    
+    for (const change of changes) {
+      const existing = await findEntry(change.path);
+      
+      if (change.deleted) {
+        // Already gone, e.g. when a resumed run commits the same changes again
+        if (!existing) {
+          logger.debug(`File ${change.path} does not exist on ${branch}, nothing to delete`);
+          continue;
+        }
+        treeEntries.push({ path: change.path, mode: existing.mode, type: 'blob', sha: null });
+        files.push({ path: change.path, sha: null, status: 'deleted' });
+        continue;
+      }
+      
+      let previous = null;
+      if (change.previousPath && change.previousPath !== change.path) {
+        previous = await findEntry(change.previousPath);
+        if (!previous) {
+          throw new Error(`Cannot rename ${change.previousPath} to ${change.path}: it does not exist on ${branch}`);
+        }
+        treeEntries.push({ path: change.previousPath, mode: previous.mode, type: 'blob', sha: null });
+      }
+      
+      const source = previous || existing;
+      const mode = change.mode || (source ? source.mode : FILE_MODE);
+      
+      // A rename without new content keeps the blob of the old path
+      let sha;
+      if (change.content === undefined || change.content === null) {
+        if (!previous) {
+          throw new Error(`No content given for ${change.path}`);
+        }
+        sha = previous.sha;
+      } else {
+        throwIfCancelled(signal, `Cancelled before committing file ${change.path}`);
+        // Blobs are addressed by their content, so creating one twice is harmless
+        const blobResponse = await client.post(`${repoPath}/git/blobs`, {
+          content: Buffer.from(change.content).toString('base64'),
+          encoding: 'base64'
+        }, { signal, idempotent: true });
+        sha = blobResponse.data.sha;
+      }
+      
+      treeEntries.push({ path: change.path, mode, type: 'blob', sha });
+      files.push({
+        path: change.path,
+        sha,
+        status: previous ? 'renamed' : existing ? 'modified' : 'added',
+        ...(previous ? { previousPath: change.previousPath } : {})
+      });
+    }
+    
+    const unchanged = { branch, sha: null, url: null, message, files: [] };
+    if (treeEntries.length === 0) {
+      return unchanged;
+    }
+    
+    throwIfCancelled(signal, `Cancelled before committing to ${branch}`);
+    const treeResponse = await client.post(`${repoPath}/git/trees`, {
+      base_tree: baseTreeSha,
+      tree: treeEntries
+    }, { signal, idempotent: true });
+    
+    // Contents equal to the head's need no commit
+    if (treeResponse.data.sha === baseTreeSha) {
+      return unchanged;
     }
     
-    // Create or update the file
-    const response = await apiClient.put(`/repos/${owner}/${repo}/contents/${path}`, {
+    const commitResponse = await client.post(`${repoPath}/git/commits`, {
       message,
-      content: Buffer.from(content).toString('base64'),
-      branch,
-      sha: fileSha
-    });
+      tree: treeResponse.data.sha,
+      parents: [headSha]
+    }, { signal });
+    
+    try {
+      // Not forced: the update fails if someone else pushed to the branch meanwhile
+      await client.patch(`${repoPath}/git/refs/heads/${branchPath}`, {
+        sha: commitResponse.data.sha,
+        force: false
+      }, { signal, idempotent: true });
+    } catch (error) {
+      error.isRefUpdate = true;
+      throw error;
+    }
     
-    logger.info(`Successfully committed file ${path} to ${owner}/${repo}/${branch}`);
     return {
-      path,
-      sha: response.data.content.sha,
-      url: response.data.content.html_url
+      branch,
+      sha: commitResponse.data.sha,
+      url: commitResponse.data.html_url,
+      message,
+      files
     };
-  } catch (error) {
-    logger.error(`Failed to commit file ${path} to ${owner}/${repo}/${branch}:`, error);
-    throw error;
   }
-}
 
-/**
- * Create a pull request
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {string} title - PR title
- * @param {string} body - PR description
- * @param {string} head - Source branch
- * @param {string} base - Target branch
- * @param {boolean} draft - Whether to create as draft PR
- * @returns {Promise<Object>} - Pull request data
- */
-export async function createPullRequest(owner, repo, title, body, head, base, draft = false) {
-  try {
-    logger.debug(`Creating pull request from ${head} to ${base} in ${owner}/${repo}`);
-    
-    const response = await apiClient.post(`/repos/${owner}/${repo}/pulls`, {
-      title,
-      body,
-      head,
-      base,
-      draft
-    });
+  /**
+   * Create a lookup of the entries of a git tree by path, listing only the directories it needs
+   * @param {Object} client - Axios instance
+   * @param {string} repoPath - API path of the repository, /repos/{owner}/{repo}
+   * @param {string} treeSha - SHA of the root tree
+   * @param {AbortSignal} signal - Optional signal to cancel the requests
+   * @returns {Function} - Async function returning the { mode, type, sha } of a file path, or null if there is none
+   */
+  function createTreeLookup(client, repoPath, treeSha, signal) {
+    // Entries by name of every listed directory, by directory path
+    const directories = new Map();
     
-    const prData = response.data;
+    const listDirectory = directory => {
+      if (!directories.has(directory)) {
+        directories.set(directory, (async () => {
+          let sha = treeSha;
+          if (directory) {
+            const separator = directory.lastIndexOf('/');
+            const parent = await listDirectory(separator === -1 ? '' : directory.slice(0, separator));
+            const entry = parent.get(directory.slice(separator + 1));
+            if (!entry || entry.type !== 'tree') {
+              return new Map();
+            }
+            sha = entry.sha;
+          }
+          
+          const response = await client.get(`${repoPath}/git/trees/${sha}`, { signal });
+          return new Map(response.data.tree.map(entry => [entry.path, entry]));
+        })());
+      }
+      return directories.get(directory);
+    };
     
-    logger.info(`Successfully created pull request #${prData.number} in ${owner}/${repo}`);
-    return {
-      pullRequestUrl: prData.html_url,
-      pullRequestNumber: prData.number,
-      state: prData.state,
-      title: prData.title,
-      body: prData.body
+    return async filePath => {
+      const separator = filePath.lastIndexOf('/');
+      const entries = await listDirectory(separator === -1 ? '' : filePath.slice(0, separator));
+      const entry = entries.get(filePath.slice(separator + 1));
+      return entry && entry.type === 'blob' ? entry : null;
     };
-  } catch (error) {
-    logger.error(`Failed to create pull request in ${owner}/${repo}:`, error);
-    throw error;
   }
-}
 
-/**
- * Add a comment to an issue
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {number} issueNumber - Issue number
- * @param {string} body - Comment body
- * @returns {Promise<Object>} - Comment data
- */
-export async function addIssueComment(owner, repo, issueNumber, body) {
-  try {
-    logger.debug(`Adding comment to issue #${issueNumber} in ${owner}/${repo}`);
+  /**
+   * Create a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} title - PR title
+   * @param {string} body - PR description
+   * @param {string} head - Source branch
+   * @param {string} base - Target branch
+   * @param {boolean} draft - Whether to create as draft PR
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Object>} - Pull request data
+   */
+  async function createPullRequest(owner, repo, title, body, head, base, draft = false, options = {}) {
+    const { signal, host } = options;
     
-    const response = await apiClient.post(`/repos/${owner}/${repo}/issues/${issueNumber}/comments`, {
-      body
-    });
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Creating pull request from ${head} to ${base} in ${owner}/${repo}`);
+      
+      throwIfCancelled(signal, 'Cancelled before creating pull request');
+      const response = await client.post(`/repos/${owner}/${repo}/pulls`, {
+        title,
+        body,
+        head,
+        base,
+        draft
+      }, { signal });
+      
+      const prData = response.data;
+      
+      logger.info(`Successfully created pull request #${prData.number} in ${owner}/${repo}`);
+      return {
+        pullRequestUrl: prData.html_url,
+        pullRequestNumber: prData.number,
+        state: prData.state,
+        title: prData.title,
+        body: prData.body
+      };
+    } catch (error) {
+      logger.error(`Failed to create pull request in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a comment to an issue
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue number
+   * @param {string} body - Comment body
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @param {boolean} options.isPullRequest - Whether the number is a pull request's; GitHub comments on both alike
+   * @returns {Promise<Object>} - Comment data
+   */
+  async function addIssueComment(owner, repo, issueNumber, body, options = {}) {
+    const { signal, host } = options;
     
-    logger.info(`Successfully added comment to issue #${issueNumber}`);
-    return {
-      id: response.data.id,
-      url: response.data.html_url
-    };
-  } catch (error) {
-    logger.error(`Failed to add comment to issue #${issueNumber} in ${owner}/${repo}:`, error);
-    throw error;
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Adding comment to issue #${issueNumber} in ${owner}/${repo}`);
+      
+      throwIfCancelled(signal, `Cancelled before commenting on issue #${issueNumber}`);
+      const response = await client.post(`/repos/${owner}/${repo}/issues/${issueNumber}/comments`, {
+        body
+      }, { signal });
+      
+      logger.info(`Successfully added comment to issue #${issueNumber}`);
+      return {
+        id: response.data.id,
+        url: response.data.html_url
+      };
+    } catch (error) {
+      logger.error(`Failed to add comment to issue #${issueNumber} in ${owner}/${repo}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Update issue labels
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {number} issueNumber - Issue number
- * @param {Array} labels - Array of label names
- * @returns {Promise<Object>} - Updated issue data
- */
-export async function updateIssueLabels(owner, repo, issueNumber, labels) {
-  try {
-    logger.debug(`Updating labels for issue #${issueNumber} in ${owner}/${repo}`);
+  /**
+   * Update issue labels
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} issueNumber - Issue number
+   * @param {Array} labels - Array of label names
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @param {boolean} options.isPullRequest - Whether the number is a pull request's; GitHub labels both alike
+   * @returns {Promise<Object>} - Updated issue data
+   */
+  async function updateIssueLabels(owner, repo, issueNumber, labels, options = {}) {
+    const { signal, host } = options;
     
-    const response = await apiClient.patch(`/repos/${owner}/${repo}/issues/${issueNumber}`, {
-      labels
-    });
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Updating labels for issue #${issueNumber} in ${owner}/${repo}`);
+      
+      throwIfCancelled(signal, `Cancelled before updating labels on issue #${issueNumber}`);
+      // Setting the full label list is idempotent, so it may be retried
+      const response = await client.patch(`/repos/${owner}/${repo}/issues/${issueNumber}`, {
+        labels
+      }, { signal, idempotent: true });
+      
+      logger.info(`Successfully updated labels for issue #${issueNumber}`);
+      return {
+        issueNumber,
+        labels: response.data.labels.map(label => label.name)
+      };
+    } catch (error) {
+      logger.error(`Failed to update labels for issue #${issueNumber} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the state of a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Object>} - { pullRequestUrl, pullRequestNumber, state, merged, draft }
+   */
+  async function getPullRequest(owner, repo, pullNumber, options = {}) {
+    const { signal, host } = options;
     
-    logger.info(`Successfully updated labels for issue #${issueNumber}`);
-    return {
-      issueNumber,
-      labels: response.data.labels.map(label => label.name)
-    };
-  } catch (error) {
-    logger.error(`Failed to update labels for issue #${issueNumber} in ${owner}/${repo}:`, error);
-    throw error;
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Getting pull request #${pullNumber} in ${owner}/${repo}`);
+      
+      const response = await client.get(`/repos/${owner}/${repo}/pulls/${pullNumber}`, { signal });
+      const prData = response.data;
+      
+      return {
+        pullRequestUrl: prData.html_url,
+        pullRequestNumber: prData.number,
+        state: prData.state,
+        merged: prData.merged,
+        draft: prData.draft
+      };
+    } catch (error) {
+      logger.error(`Failed to get pull request #${pullNumber} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the labels defined in a repository
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Array>} - Label names
+   */
+  async function listLabels(owner, repo, options = {}) {
+    const { signal, host } = options;
+    
+    try {
+      const client = getApiClient(host);
+      const labels = await getAllPages(client, `/repos/${owner}/${repo}/labels`, { signal });
+      return labels.map(label => label.name);
+    } catch (error) {
+      logger.error(`Failed to list labels of ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the users that issues in a repository can be assigned to
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - Forge host of the repository (defaults to the primary host)
+   * @returns {Promise<Array>} - User logins
+   */
+  async function listAssignees(owner, repo, options = {}) {
+    const { signal, host } = options;
+    
+    try {
+      const client = getApiClient(host);
+      const assignees = await getAllPages(client, `/repos/${owner}/${repo}/assignees`, { signal });
+      return assignees.map(user => user.login);
+    } catch (error) {
+      logger.error(`Failed to list assignees of ${owner}/${repo}:`, error);
+      throw error;
+    }
   }
+
+  return {
+    initialize,
+    fetchIssueData,
+    fetchPullRequestData,
+    searchIssues,
+    getRepositoryContext,
+    getRepositoryTree,
+    createBranch,
+    commitFile,
+    commitChanges,
+    createPullRequest,
+    addIssueComment,
+    updateIssueLabels,
+    getPullRequest,
+    listLabels,
+    listAssignees
+  };
 }
 
+// Default instance, used by the module-level functions
+const defaultClient = createGitHubClient({ rateLimit: sharedRateLimit });
+
+export const {
+  initialize,
+  fetchIssueData,
+  fetchPullRequestData,
+  searchIssues,
+  getRepositoryContext,
+  getRepositoryTree,
+  createBranch,
+  commitFile,
+  commitChanges,
+  createPullRequest,
+  addIssueComment,
+  updateIssueLabels,
+  getPullRequest,
+  listLabels,
+  listAssignees
+} = defaultClient;
+
 // Export additional functions
 export default {
+  createGitHubClient,
   initialize,
   fetchIssueData,
+  fetchPullRequestData,
+  searchIssues,
   getRepositoryContext,
+  getRepositoryTree,
   createBranch,
   commitFile,
+  commitChanges,
   createPullRequest,
   addIssueComment,
-  updateIssueLabels
+  updateIssueLabels,
+  getPullRequest,
+  listLabels,
+  listAssignees
 };
@@ -0,0 +1,957 @@
+/**
+ * OpenHands Resolver MCP - GitLab API Integration Module
+ *
+ * This module is the GitLab forge provider, with the functions of the GitHub
+ * API module on the GitLab REST API v4:
+ * - Fetching issue details and merge requests with their review discussions
+ * - Getting repository context and the full file tree
+ * - Creating branches and atomic multi-file commits
+ * - Opening merge requests, the GitLab counterpart of pull requests
+ * - Commenting on issues and merge requests and updating their labels
+ *
+ * Requests go to the API of the issue's GitLab host: gitlab.com or a GitLab
+ * instance listed in gitlab.hosts, each with its own token. Projects are
+ * addressed by their full path, owner being the (possibly nested) group path.
+ * Issue and merge request numbers are their project-scoped IIDs. Issue search
+ * is not supported.
+ */
+
+import axios from 'axios';
+import { getContextLogger } from '../../utils/logger.js';
+import * as configModule from '../configuration/index.js';
+import { throwIfCancelled } from '../../utils/cancellation.js';
+import { getForgeHosts, findForgeHost, parseForgeUrl, createForgeUrl } from '../../utils/forge_hosts.js';
+import { installRetry } from '../../utils/retry.js';
+import { createRateLimitBudget, sharedRateLimit } from '../../utils/rate_limit.js';
+import { paginate } from '../../utils/pagination.js';
+
+// Items per page of list endpoints, the largest page size GitLab allows
+const PAGE_SIZE = 100;
+
+// Backoff of retried requests, in milliseconds
+const RETRY_BASE_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+
+// Mode of executable files, set with a chmod commit action
+const EXECUTABLE_MODE = '100755';
+
+/**
+ * Create an isolated GitLab API client
+ * @param {Object} dependencies - Client dependencies
+ * @param {Object} dependencies.config - Configuration instance providing getConfig(section)
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @param {Object} dependencies.rateLimit - Rate limit budget to update (defaults to a new one)
+ * @returns {Object} - GitLab API functions, named like the GitHub API functions
+ */
+export function createGitLabClient({
+  config = configModule,
+  logger: baseLogger,
+  rateLimit = createRateLimitBudget({ logger: baseLogger })
+} = {}) {
+  const logger = getContextLogger('GitLabAPI', baseLogger);
+
+  // GitLab hosts, and their clients by web host
+  let forgeHosts = [];
+  const hostClients = new Map();
+
+  /**
+   * Initialize the GitLab API clients and check the token of every host
+   * @returns {Promise<void>}
+   */
+  async function initialize() {
+    try {
+      logger.info('Initializing GitLab API module');
+
+      forgeHosts = getForgeHosts(config.getConfig('github'), config.getConfig('gitlab'))
+        .filter(forgeHost => forgeHost.provider === 'gitlab');
+      hostClients.clear();
+
+      if (forgeHosts.length === 0) {
+        throw new Error('GitLab token is required for API initialization. Set GITLAB_TOKEN or gitlab.hosts.');
+      }
+
+      for (const forgeHost of forgeHosts) {
+        const response = await getApiClient(forgeHost.host).get('/user');
+        logger.info(`GitLab API connection to ${forgeHost.host} successful as ${response.data.username}`);
+      }
+
+      logger.info('GitLab API module initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize GitLab API module:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an Axios instance for the API of a GitLab host, retrying failed requests
+   * and recording the rate limit of every response
+   * @param {Object} forgeHost - Host from getForgeHosts: { host, apiBaseUrl, token }
+   * @returns {Object} - Axios instance
+   */
+  function createApiClient(forgeHost) {
+    const gitlabConfig = config.getConfig('gitlab');
+    const client = axios.create({
+      baseURL: forgeHost.apiBaseUrl,
+      timeout: gitlabConfig.timeout,
+      headers: {
+        // Personal, project and group access tokens are all accepted as bearer tokens
+        'Authorization': `Bearer ${forgeHost.token}`,
+        'User-Agent': 'OpenHands-Resolver-MCP'
+      }
+    });
+
+    // Registered before the retry, so failed attempts are recorded too
+    client.interceptors.response.use(response => {
+      rateLimit.record(forgeHost.host, getRateLimitHeaders(response.headers));
+      return response;
+    }, error => {
+      if (error.response) {
+        rateLimit.record(forgeHost.host, getRateLimitHeaders(error.response.headers));
+      }
+      throw error;
+    });
+
+    return installRetry(client, {
+      maxRetries: gitlabConfig.maxRetries,
+      baseDelay: RETRY_BASE_DELAY,
+      maxDelay: MAX_RETRY_DELAY,
+      logger
+    });
+  }
+
+  /**
+   * Get the API client of a GitLab host
+   * @param {string} host - Web host, e.g. gitlab.example.com (defaults to the first GitLab host)
+   * @returns {Object} - Axios instance
+   * @throws {Error} If the host is not configured
+   */
+  function getApiClient(host) {
+    const forgeHost = host ? findForgeHost(forgeHosts, host) : forgeHosts[0];
+    if (!forgeHost) {
+      throw new Error(`No GitLab API configured for host ${host}. Add it to gitlab.hosts.`);
+    }
+
+    if (!hostClients.has(forgeHost.host)) {
+      hostClients.set(forgeHost.host, createApiClient(forgeHost));
+    }
+    return hostClients.get(forgeHost.host);
+  }
+
+  /**
+   * Get the items of every page of a list endpoint, up to gitlab.maxPages pages
+   * @param {Object} client - Axios instance
+   * @param {string} url - URL of the first page
+   * @param {Object} options - Pagination options
+   * @param {Object} options.params - Query parameters of the first page
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - { items, truncated }, as from paginate
+   */
+  async function getPages(client, url, options = {}) {
+    const result = await paginate(client, url, {
+      ...options,
+      params: { per_page: PAGE_SIZE, ...options.params },
+      maxPages: config.getConfig('gitlab').maxPages
+    });
+
+    if (result.truncated) {
+      logger.warn(`Read only the first ${result.items.length} items of ${url}`);
+    }
+    return result;
+  }
+
+  /**
+   * Get the items of every page of a list endpoint, up to gitlab.maxPages pages
+   * @param {Object} client - Axios instance
+   * @param {string} url - URL of the first page
+   * @param {Object} options - Pagination options, as for getPages
+   * @returns {Promise<Array>} - Items of all pages read
+   */
+  async function getAllPages(client, url, options = {}) {
+    return (await getPages(client, url, options)).items;
+  }
+
+  /**
+   * Get a project with its repository details
+   * @param {Object} client - Axios instance
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {AbortSignal} signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - { project, repository }; repository shaped like GitHub issue data's
+   */
+  async function getProject(client, owner, repo, signal) {
+    const projectPath = getProjectPath(owner, repo);
+    const projectResponse = await client.get(projectPath, { signal });
+    const languagesResponse = await client.get(`${projectPath}/languages`, { signal });
+    const project = projectResponse.data;
+
+    // Languages come as percentages, the largest share first
+    const [language = null] = Object.entries(languagesResponse.data)
+      .sort((a, b) => b[1] - a[1])
+      .map(([name]) => name);
+
+    return {
+      project,
+      languages: Object.keys(languagesResponse.data),
+      repository: {
+        name: project.path,
+        fullName: project.path_with_namespace,
+        description: project.description,
+        defaultBranch: project.default_branch,
+        language,
+        isPrivate: project.visibility !== 'public'
+      }
+    };
+  }
+
+  /**
+   * Fetch data for a GitLab issue
+   * @param {string} issueUrl - Full URL to the GitLab issue
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - Issue data, shaped like GitHub issue data
+   */
+  async function fetchIssueData(issueUrl, options = {}) {
+    const { signal } = options;
+
+    try {
+      logger.debug(`Fetching data for issue: ${issueUrl}`);
+
+      const parsed = parseForgeUrl(issueUrl, forgeHosts);
+      if (!parsed || parsed.isPullRequest) {
+        throw new Error(`Invalid GitLab issue URL: ${issueUrl}`);
+      }
+
+      const { host, owner, repo, number: issueNumber } = parsed;
+      const client = getApiClient(host);
+      const projectPath = getProjectPath(owner, repo);
+
+      const issueResponse = await client.get(`${projectPath}/issues/${issueNumber}`, { signal });
+      const issueData = issueResponse.data;
+
+      // System notes record events like label changes, not discussion
+      const notes = await getAllPages(client, `${projectPath}/issues/${issueNumber}/notes`, {
+        params: { sort: 'asc', order_by: 'created_at' },
+        signal
+      });
+
+      const { repository } = await getProject(client, owner, repo, signal);
+
+      const result = {
+        issueUrl,
+        host,
+        owner,
+        repo,
+        issueNumber,
+        title: issueData.title,
+        body: issueData.description || '',
+        labels: issueData.labels,
+        assignees: issueData.assignees.map(assignee => assignee.username),
+        state: getState(issueData.state),
+        comments: notes
+          .filter(note => !note.system)
+          .map(note => ({
+            id: note.id,
+            user: note.author.username,
+            body: note.body,
+            createdAt: note.created_at
+          })),
+        repository
+      };
+
+      logger.info(`Successfully fetched data for issue #${issueNumber} in ${owner}/${repo}`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to fetch issue data for ${issueUrl}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a merge request with its review feedback, shaped like GitHub pull request data
+   *
+   * Diff notes become review comments; the open threads of unresolved
+   * discussions outside the diff become requested changes.
+   *
+   * @param {string} pullRequestUrl - Full URL to the GitLab merge request
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - Merge request data
+   */
+  async function fetchPullRequestData(pullRequestUrl, options = {}) {
+    const { signal } = options;
+
+    try {
+      logger.debug(`Fetching data for merge request: ${pullRequestUrl}`);
+
+      const parsed = parseForgeUrl(pullRequestUrl, forgeHosts);
+      if (!parsed || !parsed.isPullRequest) {
+        throw new Error(`Invalid GitLab merge request URL: ${pullRequestUrl}`);
+      }
+
+      const { host, owner, repo, number: pullNumber } = parsed;
+      const client = getApiClient(host);
+      const projectPath = getProjectPath(owner, repo);
+
+      const mergeResponse = await client.get(`${projectPath}/merge_requests/${pullNumber}`, { signal });
+      const mergeData = mergeResponse.data;
+
+      // Merge requests from forks push to the source project
+      let head = { host, owner, repo, branch: mergeData.source_branch };
+      if (mergeData.source_project_id !== mergeData.target_project_id) {
+        if (!mergeData.source_project_id) {
+          throw new Error(`The source project of merge request !${pullNumber} no longer exists`);
+        }
+        const sourceResponse = await client.get(`/projects/${mergeData.source_project_id}`, { signal });
+        const sourcePath = sourceResponse.data.path_with_namespace;
+        const separator = sourcePath.lastIndexOf('/');
+        head = { host, owner: sourcePath.slice(0, separator), repo: sourcePath.slice(separator + 1), branch: mergeData.source_branch };
+      }
+
+      const discussions = await getAllPages(client, `${projectPath}/merge_requests/${pullNumber}/discussions`, { signal });
+      const reviewComments = [];
+      const requestedChanges = [];
+
+      for (const discussion of discussions) {
+        const notes = discussion.notes.filter(note => !note.system);
+        for (const note of notes) {
+          if (note.position) {
+            reviewComments.push({
+              id: note.id,
+              user: note.author.username,
+              path: note.position.new_path || note.position.old_path,
+              line: note.position.new_line || note.position.old_line,
+              body: note.body,
+              createdAt: note.created_at
+            });
+          } else if (note.resolvable && !note.resolved) {
+            requestedChanges.push({
+              id: note.id,
+              user: note.author.username,
+              body: note.body,
+              submittedAt: note.created_at
+            });
+          }
+        }
+      }
+
+      const { repository } = await getProject(client, owner, repo, signal);
+
+      const result = {
+        issueUrl: mergeData.web_url,
+        host,
+        owner,
+        repo,
+        issueNumber: pullNumber,
+        title: mergeData.title,
+        body: mergeData.description || '',
+        labels: mergeData.labels,
+        state: getState(mergeData.state),
+        comments: reviewComments,
+        repository,
+        pullRequest: {
+          number: mergeData.iid,
+          url: mergeData.web_url,
+          baseBranch: mergeData.target_branch,
+          head,
+          requestedChanges,
+          reviewComments
+        }
+      };
+
+      logger.info(`Successfully fetched data for merge request !${pullNumber} in ${owner}/${repo}`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to fetch merge request data for ${pullRequestUrl}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get repository context for analysis
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @param {string} options.ref - Branch to list files from (defaults to the default branch)
+   * @returns {Promise<Object>} - Repository context
+   */
+  async function getRepositoryContext(owner, repo, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      const projectPath = getProjectPath(owner, repo);
+      logger.debug(`Getting repository context for ${owner}/${repo}`);
+
+      const { project, languages } = await getProject(client, owner, repo, signal);
+      const ref = options.ref || project.default_branch;
+
+      // Top-level files and directories
+      const contents = await getAllPages(client, `${projectPath}/repository/tree`, {
+        params: { ref },
+        signal
+      });
+
+      let instructions = null;
+      if (contents.some(item => item.name === '.openhands_instructions')) {
+        const instructionsResponse = await client.get(`${projectPath}/repository/files/.openhands_instructions/raw`, {
+          params: { ref },
+          signal
+        });
+        instructions = instructionsResponse.data;
+      }
+
+      const result = {
+        owner,
+        repo,
+        defaultBranch: project.default_branch,
+        description: project.description,
+        languages,
+        files: contents.map(item => ({
+          name: item.name,
+          path: item.path,
+          type: item.type === 'tree' ? 'dir' : 'file'
+        })),
+        instructions
+      };
+
+      logger.info(`Successfully retrieved repository context for ${owner}/${repo}`);
+      return result;
+    } catch (error) {
+      logger.error(`Failed to get repository context for ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get every file in a repository, with its blob SHA and mode
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @param {string} options.ref - Branch to list files from (defaults to the default branch)
+   * @returns {Promise<Object>} - { ref, files, truncated }; files as { path, name, sha, mode },
+   *   truncated if the page cap stopped the listing
+   */
+  async function getRepositoryTree(owner, repo, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      const projectPath = getProjectPath(owner, repo);
+      let { ref } = options;
+
+      if (!ref) {
+        const projectResponse = await client.get(projectPath, { signal });
+        ref = projectResponse.data.default_branch;
+      }
+
+      logger.debug(`Getting file tree of ${owner}/${repo} at ${ref}`);
+      const { items, truncated } = await getPages(client, `${projectPath}/repository/tree`, {
+        params: { ref, recursive: true, pagination: 'keyset' },
+        signal
+      });
+
+      const files = items
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({
+          path: entry.path,
+          name: entry.name,
+          sha: entry.id,
+          mode: entry.mode
+        }));
+
+      logger.info(`Retrieved ${files.length} files of ${owner}/${repo}`);
+      return { ref, files, truncated };
+    } catch (error) {
+      logger.error(`Failed to get file tree of ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new branch in a repository
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {string} branchName - Name of the new branch
+   * @param {string} fromBranch - Branch to create from (defaults to the default branch)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @returns {Promise<Object>} - Branch data
+   */
+  async function createBranch(owner, repo, branchName, fromBranch = null, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      const projectPath = getProjectPath(owner, repo);
+      logger.debug(`Creating branch ${branchName} in ${owner}/${repo}`);
+
+      if (!fromBranch) {
+        const projectResponse = await client.get(projectPath, { signal });
+        fromBranch = projectResponse.data.default_branch;
+      }
+
+      throwIfCancelled(signal, `Cancelled before creating branch ${branchName}`);
+      const response = await client.post(`${projectPath}/repository/branches`, {
+        branch: branchName,
+        ref: fromBranch
+      }, { signal });
+
+      logger.info(`Successfully created branch ${branchName} in ${owner}/${repo}`);
+      return {
+        name: branchName,
+        sha: response.data.commit.id,
+        url: response.data.web_url
+      };
+    } catch (error) {
+      logger.error(`Failed to create branch ${branchName} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Commit a file to a repository
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {string} path - File path
+   * @param {string} content - File content
+   * @param {string} message - Commit message
+   * @param {string} branch - Branch to commit to
+   * @param {Object} options - Request options, as for commitChanges
+   * @returns {Promise<Object>} - Commit result: { path, sha, url }, sha being the commit's
+   */
+  async function commitFile(owner, repo, path, content, message, branch, options = {}) {
+    const commit = await commitChanges(owner, repo, branch, [{ path, content }], message, options);
+    return { path, sha: commit.sha, url: commit.url };
+  }
+
+  /**
+   * Commit changes to several files as one commit
+   *
+   * GitLab applies every action of a commit or none. Files keep their mode
+   * unless a change sets one; only the executable bit can be changed.
+   *
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {string} branch - Branch to commit to
+   * @param {Array} changes - File changes: { path, content, mode, previousPath, deleted };
+   *   previousPath renames a file (keeping its content if none is given), deleted removes it
+   * @param {string} message - Commit message
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @returns {Promise<Object>} - { branch, sha, url, message, files }; files as { path, status, previousPath },
+   *   sha null if there was nothing to commit
+   */
+  async function commitChanges(owner, repo, branch, changes, message, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      const projectPath = getProjectPath(owner, repo);
+      logger.debug(`Committing ${changes.length} files to ${owner}/${repo}/${branch} in one commit`);
+
+      const actions = [];
+      const files = [];
+
+      for (const change of changes) {
+        const exists = await fileExists(client, projectPath, change.path, branch, signal);
+        const content = change.content === undefined || change.content === null
+          ? {}
+          : { content: Buffer.from(change.content).toString('base64'), encoding: 'base64' };
+
+        if (change.deleted) {
+          // Already gone, e.g. when a resumed run commits the same changes again
+          if (!exists) {
+            logger.debug(`File ${change.path} does not exist on ${branch}, nothing to delete`);
+            continue;
+          }
+          actions.push({ action: 'delete', file_path: change.path });
+          files.push({ path: change.path, status: 'deleted' });
+          continue;
+        }
+
+        if (change.previousPath && change.previousPath !== change.path) {
+          if (!await fileExists(client, projectPath, change.previousPath, branch, signal)) {
+            throw new Error(`Cannot rename ${change.previousPath} to ${change.path}: it does not exist on ${branch}`);
+          }
+          // A move without content keeps the content of the old path
+          actions.push({ action: 'move', file_path: change.path, previous_path: change.previousPath, ...content });
+          files.push({ path: change.path, status: 'renamed', previousPath: change.previousPath });
+        } else {
+          if (!content.content) {
+            throw new Error(`No content given for ${change.path}`);
+          }
+          actions.push({ action: exists ? 'update' : 'create', file_path: change.path, ...content });
+          files.push({ path: change.path, status: exists ? 'modified' : 'added' });
+        }
+
+        if (change.mode) {
+          actions.push({ action: 'chmod', file_path: change.path, execute_filemode: change.mode === EXECUTABLE_MODE });
+        }
+      }
+
+      if (actions.length === 0) {
+        return { branch, sha: null, url: null, message, files: [] };
+      }
+
+      throwIfCancelled(signal, `Cancelled before committing to ${branch}`);
+      const response = await client.post(`${projectPath}/repository/commits`, {
+        branch,
+        commit_message: message,
+        actions
+      }, { signal });
+
+      logger.info(`Successfully committed ${files.length} files to ${owner}/${repo}/${branch}`);
+      return {
+        branch,
+        sha: response.data.id,
+        url: response.data.web_url,
+        message,
+        files
+      };
+    } catch (error) {
+      logger.error(`Failed to commit changes to ${owner}/${repo}/${branch}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a file exists on a branch
+   * @param {Object} client - Axios instance
+   * @param {string} projectPath - API path of the project
+   * @param {string} filePath - File path
+   * @param {string} branch - Branch to look on
+   * @param {AbortSignal} signal - Optional signal to cancel the request
+   * @returns {Promise<boolean>} - True if the file exists
+   */
+  async function fileExists(client, projectPath, filePath, branch, signal) {
+    try {
+      await client.head(`${projectPath}/repository/files/${encodeURIComponent(filePath)}`, {
+        params: { ref: branch },
+        signal
+      });
+      return true;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a merge request
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {string} title - Merge request title
+   * @param {string} body - Merge request description
+   * @param {string} head - Source branch
+   * @param {string} base - Target branch
+   * @param {boolean} draft - Whether to open it as a draft
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @returns {Promise<Object>} - Merge request data, shaped like GitHub pull request data
+   */
+  async function createPullRequest(owner, repo, title, body, head, base, draft = false, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Creating merge request from ${head} to ${base} in ${owner}/${repo}`);
+
+      throwIfCancelled(signal, 'Cancelled before creating merge request');
+      // GitLab marks drafts by their title
+      const response = await client.post(`${getProjectPath(owner, repo)}/merge_requests`, {
+        source_branch: head,
+        target_branch: base,
+        title: draft ? `Draft: ${title}` : title,
+        description: body
+      }, { signal });
+
+      const mergeData = response.data;
+
+      logger.info(`Successfully created merge request !${mergeData.iid} in ${owner}/${repo}`);
+      return {
+        pullRequestUrl: mergeData.web_url,
+        pullRequestNumber: mergeData.iid,
+        state: getState(mergeData.state),
+        title: mergeData.title,
+        body: mergeData.description
+      };
+    } catch (error) {
+      logger.error(`Failed to create merge request in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a comment to an issue or merge request
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {number} issueNumber - Issue or merge request IID
+   * @param {string} body - Comment body
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @param {boolean} options.isPullRequest - Comment on the merge request with this IID instead of the issue
+   * @returns {Promise<Object>} - Comment data
+   */
+  async function addIssueComment(owner, repo, issueNumber, body, options = {}) {
+    const { signal, host, isPullRequest } = options;
+
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Adding comment to ${describeIssue(issueNumber, isPullRequest)} in ${owner}/${repo}`);
+
+      throwIfCancelled(signal, `Cancelled before commenting on ${describeIssue(issueNumber, isPullRequest)}`);
+      const response = await client.post(`${getIssuePath(owner, repo, issueNumber, isPullRequest)}/notes`, {
+        body
+      }, { signal });
+
+      const webHost = host || forgeHosts[0].host;
+      const kind = isPullRequest ? 'pull' : 'issues';
+
+      logger.info(`Successfully added comment to ${describeIssue(issueNumber, isPullRequest)}`);
+      return {
+        id: response.data.id,
+        url: `${createForgeUrl(webHost, owner, repo, issueNumber, kind, forgeHosts)}#note_${response.data.id}`
+      };
+    } catch (error) {
+      logger.error(`Failed to add comment to ${describeIssue(issueNumber, isPullRequest)} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update issue or merge request labels
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {number} issueNumber - Issue or merge request IID
+   * @param {Array} labels - Array of label names
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @param {boolean} options.isPullRequest - Label the merge request with this IID instead of the issue
+   * @returns {Promise<Object>} - Updated issue data
+   */
+  async function updateIssueLabels(owner, repo, issueNumber, labels, options = {}) {
+    const { signal, host, isPullRequest } = options;
+
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Updating labels for ${describeIssue(issueNumber, isPullRequest)} in ${owner}/${repo}`);
+
+      throwIfCancelled(signal, `Cancelled before updating labels on ${describeIssue(issueNumber, isPullRequest)}`);
+      // Setting the full label list is idempotent, so it may be retried
+      const response = await client.put(getIssuePath(owner, repo, issueNumber, isPullRequest), {
+        labels: labels.join(',')
+      }, { signal, idempotent: true });
+
+      logger.info(`Successfully updated labels for ${describeIssue(issueNumber, isPullRequest)}`);
+      return {
+        issueNumber,
+        labels: response.data.labels
+      };
+    } catch (error) {
+      logger.error(`Failed to update labels for ${describeIssue(issueNumber, isPullRequest)} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the state of a merge request
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {number} pullNumber - Merge request IID
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @returns {Promise<Object>} - { pullRequestUrl, pullRequestNumber, state, merged, draft }
+   */
+  async function getPullRequest(owner, repo, pullNumber, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      logger.debug(`Getting merge request !${pullNumber} in ${owner}/${repo}`);
+
+      const response = await client.get(`${getProjectPath(owner, repo)}/merge_requests/${pullNumber}`, { signal });
+      const mergeData = response.data;
+
+      return {
+        pullRequestUrl: mergeData.web_url,
+        pullRequestNumber: mergeData.iid,
+        state: getState(mergeData.state),
+        merged: mergeData.state === 'merged',
+        draft: mergeData.draft
+      };
+    } catch (error) {
+      logger.error(`Failed to get merge request !${pullNumber} in ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the labels defined in a project
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @returns {Promise<Array>} - Label names
+   */
+  async function listLabels(owner, repo, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      const labels = await getAllPages(client, `${getProjectPath(owner, repo)}/labels`, { signal });
+      return labels.map(label => label.name);
+    } catch (error) {
+      logger.error(`Failed to list labels of ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the members that issues in a project can be assigned to
+   * @param {string} owner - Group or user path of the project
+   * @param {string} repo - Project path
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @param {string} options.host - GitLab host of the project (defaults to the first GitLab host)
+   * @returns {Promise<Array>} - Usernames, including members inherited from groups
+   */
+  async function listAssignees(owner, repo, options = {}) {
+    const { signal, host } = options;
+
+    try {
+      const client = getApiClient(host);
+      const members = await getAllPages(client, `${getProjectPath(owner, repo)}/members/all`, { signal });
+      return members.filter(member => member.state === 'active').map(member => member.username);
+    } catch (error) {
+      logger.error(`Failed to list assignees of ${owner}/${repo}:`, error);
+      throw error;
+    }
+  }
+
+  return {
+    initialize,
+    fetchIssueData,
+    fetchPullRequestData,
+    getRepositoryContext,
+    getRepositoryTree,
+    createBranch,
+    commitFile,
+    commitChanges,
+    createPullRequest,
+    addIssueComment,
+    updateIssueLabels,
+    getPullRequest,
+    listLabels,
+    listAssignees
+  };
+}
+
+/**
+ * Get the API path of a project
+ * @param {string} owner - Group or user path of the project
+ * @param {string} repo - Project path
+ * @returns {string} - e.g. /projects/group%2Fsubgroup%2Fproject
+ */
+function getProjectPath(owner, repo) {
+  return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+}
+
+/**
+ * Get the API path of an issue or merge request
+ * @param {string} owner - Group or user path of the project
+ * @param {string} repo - Project path
+ * @param {number} number - Issue or merge request IID
+ * @param {boolean} isPullRequest - True for a merge request
+ * @returns {string} - API path
+ */
+function getIssuePath(owner, repo, number, isPullRequest) {
+  return `${getProjectPath(owner, repo)}/${isPullRequest ? 'merge_requests' : 'issues'}/${number}`;
+}
+
+/**
+ * Describe an issue or merge request, for logging
+ * @param {number} number - Issue or merge request IID
+ * @param {boolean} isPullRequest - True for a merge request
+ * @returns {string} - e.g. issue #12 or merge request !4
+ */
+function describeIssue(number, isPullRequest) {
+  return isPullRequest ? `merge request !${number}` : `issue #${number}`;
+}
+
+/**
+ * Map a GitLab issue or merge request state to a GitHub one
+ * @param {string} state - opened, closed, merged or locked
+ * @returns {string} - open or closed
+ */
+function getState(state) {
+  return state === 'opened' ? 'open' : 'closed';
+}
+
+/**
+ * Translate GitLab's RateLimit-* response headers to the X-RateLimit-* ones the rate limit budget reads
+ * @param {Object} headers - Response headers
+ * @returns {Object} - X-RateLimit-* headers, empty if the response had none
+ */
+function getRateLimitHeaders(headers = {}) {
+  if (headers['ratelimit-remaining'] === undefined) {
+    return {};
+  }
+
+  return {
+    'x-ratelimit-limit': headers['ratelimit-limit'],
+    'x-ratelimit-remaining': headers['ratelimit-remaining'],
+    'x-ratelimit-reset': headers['ratelimit-reset']
+  };
+}
+
+// Default instance, used by the module-level functions
+const defaultClient = createGitLabClient({ rateLimit: sharedRateLimit });
+
+export const {
+  initialize,
+  fetchIssueData,
+  fetchPullRequestData,
+  getRepositoryContext,
+  getRepositoryTree,
+  createBranch,
+  commitFile,
+  commitChanges,
+  createPullRequest,
+  addIssueComment,
+  updateIssueLabels,
+  getPullRequest,
+  listLabels,
+  listAssignees
+} = defaultClient;
+
+// Export additional functions
+export default {
+  createGitLabClient,
+  initialize,
+  fetchIssueData,
+  fetchPullRequestData,
+  getRepositoryContext,
+  getRepositoryTree,
+  createBranch,
+  commitFile,
+  commitChanges,
+  createPullRequest,
+  addIssueComment,
+  updateIssueLabels,
+  getPullRequest,
+  listLabels,
+  listAssignees
+};
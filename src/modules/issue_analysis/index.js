@@ -0,0 +1,196 @@
+/**
+ * OpenHands Resolver MCP - Issue Analysis Module
+ *
+ * This module answers requests about an issue without changing code:
+ * - Explains an issue: summary, complexity, language and relevant comments
+ * - Triages an issue: suggests repository labels and an assignee
+ *
+ * Nothing is written to GitHub; triage only suggests.
+ */
+
+import { getContextLogger } from '../../utils/logger.js';
+import * as forgeModule from '../forge/index.js';
+import * as taskSetupModule from '../task_setup/index.js';
+
+// Longest issue summary in an explanation, in characters
+const MAX_SUMMARY_LENGTH = 500;
+
+// Label suggestions: the label word to look for in the repository's labels, and the issue text that suggests it
+const LABEL_RULES = [
+  { label: 'bug', pattern: /\b(?:bug|error|exception|crash(?:es|ed)?|fails?|failing|broken|regression|stack ?trace)\b/i },
+  { label: 'enhancement', pattern: /\b(?:feature|enhancement|add support|would be nice|proposal|improve(?:ment)?)\b/i },
+  { label: 'documentation', pattern: /\b(?:docs?|documentation|readme|typo|example)\b/i },
+  { label: 'question', pattern: /\b(?:how (?:do|can|to)|question|is it possible)\b/i },
+  { label: 'performance', pattern: /\b(?:slow|performance|memory leak|latency|timeout)\b/i },
+  { label: 'security', pattern: /\b(?:security|vulnerability|cve-\d+|xss|injection)\b/i }
+];
+
+/**
+ * Create an isolated issue analysis instance
+ * @param {Object} dependencies - Issue analysis dependencies
+ * @param {Object} dependencies.github - Forge client, routing to the GitHub or GitLab provider of each host
+ * @param {Object} dependencies.taskSetup - Task setup instance, for the issue's task context
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @returns {Object} - Issue analysis functions
+ */
+export function createIssueAnalysis({ github = forgeModule, taskSetup = taskSetupModule, logger: baseLogger } = {}) {
+  const logger = getContextLogger('IssueAnalysis', baseLogger);
+
+  /**
+   * Explain an issue without resolving it
+   * @param {string} issueUrl - Full URL to the GitHub issue
+   * @param {Object} options - Analysis options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - Explanation
+   */
+  async function explainIssue(issueUrl, options = {}) {
+    try {
+      logger.info(`Explaining issue: ${issueUrl}`);
+
+      const issueData = await github.fetchIssueData(issueUrl, { signal: options.signal });
+      const { taskContext } = await taskSetup.setupTask(issueData, { signal: options.signal });
+
+      return {
+        issueNumber: issueData.issueNumber,
+        explanation: {
+          title: issueData.title,
+          state: issueData.state,
+          labels: issueData.labels,
+          summary: summarize(issueData.body),
+          complexity: taskContext.complexity,
+          isPriority: taskContext.isPriority,
+          primaryLanguage: taskContext.primaryLanguage,
+          commentCount: issueData.comments.length,
+          relevantComments: taskContext.relevantComments
+        }
+      };
+    } catch (error) {
+      logger.error(`Failed to explain issue ${issueUrl}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Suggest labels and an assignee for an issue
+   *
+   * Labels are only suggested if the repository defines them. The suggested
+   * assignee is the assignable user who commented most on the issue.
+   *
+   * @param {string} issueUrl - Full URL to the GitHub issue
+   * @param {Object} options - Analysis options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+   * @returns {Promise<Object>} - Triage suggestions
+   */
+  async function triageIssue(issueUrl, options = {}) {
+    const { signal } = options;
+
+    try {
+      logger.info(`Triaging issue: ${issueUrl}`);
+
+      const issueData = await github.fetchIssueData(issueUrl, { signal });
+      const { owner, repo, host } = issueData;
+      const repositoryLabels = await github.listLabels(owner, repo, { signal, host });
+      const assignees = await github.listAssignees(owner, repo, { signal, host });
+
+      return {
+        issueNumber: issueData.issueNumber,
+        triage: {
+          currentLabels: issueData.labels,
+          currentAssignees: issueData.assignees,
+          suggestedLabels: suggestLabels(issueData, repositoryLabels),
+          suggestedAssignee: issueData.assignees.length > 0 ? null : suggestAssignee(issueData, assignees)
+        }
+      };
+    } catch (error) {
+      logger.error(`Failed to triage issue ${issueUrl}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Suggest repository labels that match the issue text
+   * @param {Object} issueData - GitHub issue data
+   * @param {Array} repositoryLabels - Label names defined in the repository
+   * @returns {Array} - Suggestions as { label, reason }
+   */
+  function suggestLabels(issueData, repositoryLabels) {
+    const text = `${issueData.title}\n${issueData.body || ''}`;
+    const currentLabels = issueData.labels.map(label => label.toLowerCase());
+    const suggestions = [];
+
+    for (const rule of LABEL_RULES) {
+      const match = rule.pattern.exec(text);
+      // Repositories name labels differently, e.g. "bug", "type: bug" or "kind/bug"
+      const label = match && repositoryLabels.find(name => name.toLowerCase().includes(rule.label));
+
+      if (label && !currentLabels.includes(label.toLowerCase()) && !suggestions.some(s => s.label === label)) {
+        suggestions.push({ label, reason: `The issue mentions "${match[0]}"` });
+      }
+    }
+
+    // Urgent problems get the repository's priority label
+    const priorityLabel = repositoryLabels.find(name => /priority|critical|urgent/i.test(name));
+    if (priorityLabel && /\b(?:urgent|critical|production|blocker|asap)\b/i.test(text) &&
+        !currentLabels.includes(priorityLabel.toLowerCase())) {
+      suggestions.push({ label: priorityLabel, reason: 'The issue describes an urgent problem' });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Suggest the assignable user most involved in the issue discussion
+   * @param {Object} issueData - GitHub issue data
+   * @param {Array} assignees - Logins that issues in the repository can be assigned to
+   * @returns {Object|null} - { login, reason }, or null if no commenter can be assigned
+   */
+  function suggestAssignee(issueData, assignees) {
+    const assignable = new Set(assignees.map(login => login.toLowerCase()));
+    const counts = new Map();
+
+    for (const comment of issueData.comments) {
+      if (assignable.has(comment.user.toLowerCase())) {
+        counts.set(comment.user, (counts.get(comment.user) || 0) + 1);
+      }
+    }
+
+    if (counts.size === 0) {
+      return null;
+    }
+
+    const [login, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return {
+      login,
+      reason: `Commented ${count} time${count === 1 ? '' : 's'} on the issue and can be assigned`
+    };
+  }
+
+  return {
+    explainIssue,
+    triageIssue
+  };
+}
+
+/**
+ * Summarize an issue body as its first paragraph
+ * @param {string} body - Issue body
+ * @returns {string} - Summary, at most MAX_SUMMARY_LENGTH characters
+ */
+function summarize(body) {
+  const paragraph = (body || '').trim().split(/\n\s*\n/)[0].replace(/\s+/g, ' ');
+  return paragraph.length > MAX_SUMMARY_LENGTH
+    ? `${paragraph.slice(0, MAX_SUMMARY_LENGTH - 1)}…`
+    : paragraph;
+}
+
+// Default instance, used by the module-level functions
+const defaultIssueAnalysis = createIssueAnalysis();
+
+export const { explainIssue, triageIssue } = defaultIssueAnalysis;
+
+// Export additional functions
+export default {
+  createIssueAnalysis,
+  explainIssue,
+  triageIssue
+};
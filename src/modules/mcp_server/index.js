@@ -0,0 +1,332 @@
+/**
+ * OpenHands Resolver MCP - MCP Server Module
+ *
+ * This module exposes the resolver as a Model Context Protocol server:
+ * - Registers typed tools with JSON input schemas
+ * - Routes tool calls to the resolver functions
+ * - Serves over stdio for Claude Desktop and other MCP clients
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ErrorCode,
+  McpError
+} from '@modelcontextprotocol/sdk/types.js';
+import * as defaultResolver from '../../index.js';
+import { normalizeTriggerData } from '../trigger_detection/index.js';
+import { getConfiguredForgeHosts } from '../../utils/forge_hosts.js';
+import { ERROR_CODES, createErrorResult } from '../results/index.js';
+import { getContextLogger } from '../../utils/logger.js';
+
+const logger = getContextLogger('McpServer');
+
+// Tool definitions advertised to MCP clients
+export const TOOLS = [
+  {
+    name: 'resolve_issue',
+    description: 'Resolve a single GitHub issue: analyze it, generate a fix and open a pull request. ' +
+      'Given a pull request URL, address its review feedback with follow-up commits to its branch instead.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueUrl: {
+          type: 'string',
+          description: 'Full URL of the GitHub issue, e.g. https://github.com/owner/repo/issues/123, ' +
+            'or of a pull request to revise, e.g. https://github.com/owner/repo/pull/45'
+        },
+        owner: {
+          type: 'string',
+          description: 'Repository owner (used with repo and issueNumber when issueUrl is omitted)'
+        },
+        repo: {
+          type: 'string',
+          description: 'Repository name (used with owner and issueNumber when issueUrl is omitted)'
+        },
+        issueNumber: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Issue number (used with owner and repo when issueUrl is omitted)'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Return the planned branch, pull request, feedback comment and diffs without writing to GitHub'
+        }
+      }
+    }
+  },
+  {
+    name: 'resolve_batch',
+    description: 'Resolve several GitHub issues concurrently, opening one pull request per issue.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueUrls: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          description: 'Full URLs of the GitHub issues to resolve'
+        },
+        dryRun: {
+          type: 'boolean',
+          description: 'Plan each resolution without writing to GitHub'
+        }
+      },
+      required: ['issueUrls']
+    }
+  },
+  {
+    name: 'resume_run',
+    description: 'Resume a failed or cancelled resolution run from its last completed stage.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        runId: {
+          type: 'string',
+          description: 'ID of the run, as returned in the runId field of a resolution result'
+        }
+      },
+      required: ['runId']
+    }
+  },
+  {
+    name: 'get_resolver_info',
+    description: 'Get the name, version, initialization state and capabilities of the resolver.',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  }
+];
+
+/**
+ * Create an MCP server with the resolver tools registered
+ * @param {Object} resolver - Resolver API (defaults to the main entry point exports)
+ * @returns {Server} - Configured MCP server, not yet connected to a transport
+ */
+export function createMcpServer(resolver = defaultResolver) {
+  const info = resolver.getMcpInfo();
+
+  const server = new Server(
+    { name: 'openhands-resolver', version: info.version },
+    { capabilities: { tools: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args = {}, _meta: meta = {} } = request.params;
+    logger.info(`Received tool call: ${name}`);
+
+    // The request signal is aborted when the client cancels the call
+    const callOptions = {
+      sendProgress: createProgressNotifier(server, meta.progressToken),
+      signal: extra.signal
+    };
+
+    switch (name) {
+      case 'resolve_issue':
+        return callResolveIssue(resolver, args, callOptions);
+      case 'resolve_batch':
+        return callResolveBatch(resolver, args, callOptions);
+      case 'resume_run':
+        return callResumeRun(resolver, args, callOptions);
+      case 'get_resolver_info':
+        return createToolResult(resolver.getMcpInfo());
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  });
+
+  return server;
+}
+
+/**
+ * Start the MCP server on stdio
+ * @param {Object} resolver - Resolver API (defaults to the main entry point exports)
+ * @returns {Promise<Server>} - The connected MCP server
+ */
+export async function startMcpServer(resolver = defaultResolver) {
+  try {
+    const server = createMcpServer(resolver);
+    const transport = new StdioServerTransport();
+
+    await server.connect(transport);
+    logger.info('MCP server listening on stdio');
+
+    return server;
+  } catch (error) {
+    logger.error('Failed to start MCP server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Handle the resolve_issue tool
+ * @param {Object} resolver - Resolver API
+ * @param {Object} args - Tool arguments
+ * @param {Object} callOptions - Progress notifier (null unless the client asked for one) and abort signal
+ * @returns {Promise<Object>} - Tool result
+ */
+async function callResolveIssue(resolver, args, { sendProgress, signal }) {
+  const hasFullIssueInfo = !!(args.owner && args.repo && args.issueNumber);
+
+  if (!args.issueUrl && !hasFullIssueInfo) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      'resolve_issue requires issueUrl, or owner, repo and issueNumber'
+    );
+  }
+
+  const initError = await ensureInitialized(resolver);
+  if (initError) {
+    return initError;
+  }
+
+  const triggerData = normalizeTriggerData({
+    issueUrl: args.issueUrl,
+    owner: args.owner,
+    repo: args.repo,
+    issueNumber: args.issueNumber,
+    isBatch: false
+  }, { hosts: getConfiguredForgeHosts(resolver) });
+
+  const result = await resolver.resolveIssue(triggerData, {
+    onProgress: sendProgress && (event => sendProgress(event.percent, `[${event.stage}] ${event.message}`)),
+    signal,
+    dryRun: args.dryRun === true
+  });
+  return createToolResult(result, !result.success);
+}
+
+/**
+ * Handle the resolve_batch tool
+ * @param {Object} resolver - Resolver API
+ * @param {Object} args - Tool arguments
+ * @param {Object} callOptions - Progress notifier (null unless the client asked for one) and abort signal
+ * @returns {Promise<Object>} - Tool result
+ */
+async function callResolveBatch(resolver, args, { sendProgress, signal }) {
+  if (!Array.isArray(args.issueUrls) || args.issueUrls.length === 0) {
+    throw new McpError(ErrorCode.InvalidParams, 'resolve_batch requires a non-empty issueUrls array');
+  }
+
+  const initError = await ensureInitialized(resolver);
+  if (initError) {
+    return initError;
+  }
+
+  const hosts = getConfiguredForgeHosts(resolver);
+  const issueList = args.issueUrls.map(issueUrl => normalizeTriggerData({ issueUrl, isBatch: false }, { hosts }));
+
+  // Overall batch progress is the average progress of its issues
+  const issuePercents = new Map();
+  const onProgress = sendProgress && (event => {
+    issuePercents.set(event.issueUrl, event.percent);
+    const total = [...issuePercents.values()].reduce((sum, percent) => sum + percent, 0);
+    sendProgress(Math.floor(total / issueList.length), `[${event.issueUrl}] [${event.stage}] ${event.message}`);
+  });
+
+  const batchResult = await resolver.resolveBatch(issueList, { onProgress, signal, dryRun: args.dryRun === true });
+  return createToolResult(batchResult, batchResult.succeeded === 0);
+}
+
+/**
+ * Handle the resume_run tool
+ * @param {Object} resolver - Resolver API
+ * @param {Object} args - Tool arguments
+ * @param {Object} callOptions - Progress notifier (null unless the client asked for one) and abort signal
+ * @returns {Promise<Object>} - Tool result
+ */
+async function callResumeRun(resolver, args, { sendProgress, signal }) {
+  if (!args.runId) {
+    throw new McpError(ErrorCode.InvalidParams, 'resume_run requires a runId');
+  }
+
+  const initError = await ensureInitialized(resolver);
+  if (initError) {
+    return initError;
+  }
+
+  const result = await resolver.resumeRun(args.runId, {
+    onProgress: sendProgress && (event => sendProgress(event.percent, `[${event.stage}] ${event.message}`)),
+    signal
+  });
+  return createToolResult(result, !result.success);
+}
+
+/**
+ * Initialize the resolver before the first tool call that needs GitHub
+ * @param {Object} resolver - Resolver API
+ * @returns {Promise<Object|null>} - Error tool result, or null when initialized
+ */
+async function ensureInitialized(resolver) {
+  const initSuccess = await resolver.initialize();
+
+  if (!initSuccess) {
+    return createToolResult(createErrorResult({
+      errorCode: ERROR_CODES.INITIALIZATION_FAILED,
+      error: 'Failed to initialize OpenHands Resolver MCP'
+    }), true);
+  }
+
+  return null;
+}
+
+/**
+ * Create a function that sends MCP progress notifications for a tool call
+ * @param {Server} server - MCP server
+ * @param {string|number} progressToken - Progress token from the request metadata
+ * @returns {Function|null} - sendProgress(percent, message), or null without a progress token
+ */
+function createProgressNotifier(server, progressToken) {
+  if (progressToken === undefined) {
+    return null;
+  }
+
+  // Progress must increase with every notification for the same token
+  let lastProgress = -1;
+
+  return (percent, message) => {
+    if (percent <= lastProgress) {
+      return;
+    }
+    lastProgress = percent;
+
+    return server.notification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress: percent,
+        total: 100,
+        message
+      }
+    });
+  };
+}
+
+/**
+ * Wrap a result object as MCP tool content
+ * @param {Object} result - Result object to return
+ * @param {boolean} isError - Whether the tool call failed
+ * @returns {Object} - MCP tool result
+ */
+function createToolResult(result, isError = false) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }
+    ],
+    isError
+  };
+}
+
+// Export additional functions
+export default {
+  createMcpServer,
+  startMcpServer
+};
@@ -0,0 +1,122 @@
+/**
+ * OpenHands Resolver MCP - Default Pipeline Plugins
+ *
+ * The built-in resolution stages, implemented as pipeline plugins on top of
+ * the GitHub API, task setup, code generation, commit/PR and feedback modules.
+ */
+
+/**
+ * Create the default plugins, one per resolution stage
+ * @param {Object} modules - Modules used by the stages
+ * @param {Object} modules.github - GitHub API module
+ * @param {Object} modules.taskSetup - Task setup module
+ * @param {Object} modules.codeGen - Code generation module
+ * @param {Object} modules.commitPr - Commit and PR creation module
+ * @param {Object} modules.feedback - Feedback and visualization module
+ * @returns {Array} - Default plugins in stage order
+ */
+export function createDefaultPlugins({ github, taskSetup, codeGen, commitPr, feedback }) {
+  return [
+    {
+      name: 'github-issue',
+      stages: {
+        fetch: {
+          run: async ({ state, signal }) => {
+            // Pull request URLs start a revision of that pull request
+            state.issueData = state.triggerData.isRevision
+              ? await github.fetchPullRequestData(state.triggerData.issueUrl, { signal })
+              : await github.fetchIssueData(state.triggerData.issueUrl, { signal });
+          }
+        }
+      }
+    },
+    {
+      name: 'task-setup',
+      stages: {
+        task_setup: {
+          run: async ({ state, signal }) => {
+            state.taskConfig = await taskSetup.setupTask(state.issueData, { signal });
+          }
+        }
+      }
+    },
+    {
+      name: 'code-generation',
+      stages: {
+        code_generation: {
+          run: async ({ state, signal }) => {
+            state.codeChanges = await codeGen.generateAndValidateCode(state.taskConfig, { signal });
+          }
+        }
+      }
+    },
+    {
+      name: 'pull-request',
+      stages: {
+        pull_request: {
+          message: ({ state, dryRun }) => {
+            if (state.issueData && state.issueData.pullRequest) {
+              return dryRun
+                ? 'Planning follow-up commits to the pull request branch (dry run)'
+                : 'Pushing follow-up commits to the pull request branch';
+            }
+            return dryRun ? 'Planning branch and pull request (dry run)' : undefined;
+          },
+          run: async context => {
+            const { state, signal, dryRun } = context;
+            // Revisions push to the pull request's head branch instead of opening a new pull request
+            const isRevision = Boolean(state.issueData.pullRequest);
+            if (dryRun) {
+              state.plan = isRevision
+                ? commitPr.planRevision(state.codeChanges, state.issueData)
+                : commitPr.planPullRequest(state.codeChanges, state.issueData);
+              return;
+            }
+
+            // Checkpoint the branch and every committed file, so a resumed run reuses them
+            state.checkpoints = state.checkpoints || {};
+            const push = isRevision ? commitPr.pushRevision : commitPr.createPullRequest;
+            state.prResult = await push(state.codeChanges, state.issueData, {
+              signal,
+              checkpoint: state.checkpoints.pull_request,
+              onCheckpoint: async partialState => {
+                state.checkpoints.pull_request = partialState;
+                await context.checkpoint();
+              }
+            });
+          }
+        }
+      }
+    },
+    {
+      name: 'feedback',
+      stages: {
+        feedback: {
+          message: ({ dryRun }) => dryRun ? 'Preparing feedback comment (dry run)' : undefined,
+          run: async ({ state, signal, dryRun }) => {
+            if (dryRun) {
+              state.feedbackPreview = feedback.previewFeedback(state.plan, state.issueData);
+              return;
+            }
+            state.feedbackResult = await feedback.provideFeedback(state.prResult, state.issueData, { signal });
+          }
+        }
+      }
+    },
+    {
+      name: 'visualization',
+      stages: {
+        visualization: {
+          when: ({ dryRun }) => !dryRun,
+          run: ({ state }) => {
+            state.visualization = feedback.createVisualization(state.prResult, state.issueData, state.codeChanges);
+          }
+        }
+      }
+    }
+  ];
+}
+
+export default {
+  createDefaultPlugins
+};
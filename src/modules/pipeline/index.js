@@ -0,0 +1,243 @@
+/**
+ * OpenHands Resolver MCP - Pipeline Module
+ *
+ * This module runs the resolution stages as a pluggable pipeline:
+ * - Runs named stages in order (fetch, task setup, code generation, ...)
+ * - Lets plugins implement a stage or hook in before/after it
+ * - Lets hooks inspect or modify the stage state, or veto the stage
+ * - Reports progress and honors cancellation between stages
+ *
+ * A plugin is an object of the form:
+ *
+ *   {
+ *     name: 'license-check',
+ *     stages: {
+ *       code_generation: {
+ *         before: async context => {},
+ *         run: async context => {},
+ *         after: async context => { if (bad) context.veto('GPL code detected'); }
+ *       }
+ *     }
+ *   }
+ *
+ * Hooks receive the run context:
+ * { state, stage, dryRun, signal, completedStages, veto(reason), checkpoint() }.
+ * checkpoint() persists the current state mid-stage, for stages with several side effects.
+ * Stage outputs live on context.state (issueData, taskConfig, codeChanges, ...).
+ * When several plugins implement `run` for a stage, the last registered one wins,
+ * so registering a plugin can replace a default stage implementation. Next to `run`,
+ * a stage may set `when(context)` to skip itself for a run and `message` (string or
+ * function of the context) to override its progress message.
+ */
+
+import { getContextLogger } from '../../utils/logger.js';
+import { createProgressReporter, RESOLUTION_STAGES } from '../../utils/progress.js';
+import { throwIfCancelled } from '../../utils/cancellation.js';
+
+const logger = getContextLogger('Pipeline');
+
+// Stage names in execution order
+export const PIPELINE_STAGES = RESOLUTION_STAGES.map(definition => definition.stage);
+
+/**
+ * Create a pipeline with an initial set of plugins
+ * @param {Array} plugins - Plugins to register, in order
+ * @returns {Object} - Pipeline with use(plugin), getPlugins() and run(state, options)
+ */
+export function createPipeline(plugins = []) {
+  const registeredPlugins = [];
+
+  const pipeline = {
+    /**
+     * Register a plugin
+     * @param {Object} plugin - Plugin definition
+     * @returns {Object} - The pipeline, for chaining
+     */
+    use(plugin) {
+      validatePlugin(plugin);
+      registeredPlugins.push(plugin);
+      logger.debug(`Registered pipeline plugin: ${plugin.name}`);
+      return pipeline;
+    },
+
+    /**
+     * Get the registered plugins
+     * @returns {Array} - Registered plugins, in order
+     */
+    getPlugins() {
+      return [...registeredPlugins];
+    },
+
+    /**
+     * Run the pipeline
+     * @param {Object} state - Initial stage state, e.g. { triggerData }
+     * @param {Object} options - Run options (onProgress, signal, dryRun)
+     * @returns {Promise<Object>} - Final run context
+     */
+    run(state, options = {}) {
+      return runPipeline(registeredPlugins, state, options);
+    }
+  };
+
+  plugins.forEach(plugin => pipeline.use(plugin));
+  return pipeline;
+}
+
+/**
+ * Validate a plugin definition
+ * @param {Object} plugin - Plugin definition
+ * @throws {Error} If the plugin is invalid
+ */
+function validatePlugin(plugin) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error('Invalid pipeline plugin: a name is required');
+  }
+
+  if (!plugin.stages || typeof plugin.stages !== 'object') {
+    throw new Error(`Invalid pipeline plugin ${plugin.name}: stages must be an object`);
+  }
+
+  for (const [stage, handlers] of Object.entries(plugin.stages)) {
+    if (!PIPELINE_STAGES.includes(stage)) {
+      throw new Error(`Invalid pipeline plugin ${plugin.name}: unknown stage ${stage}`);
+    }
+
+    for (const hook of ['before', 'run', 'after']) {
+      if (handlers[hook] !== undefined && typeof handlers[hook] !== 'function') {
+        throw new Error(`Invalid pipeline plugin ${plugin.name}: ${stage}.${hook} must be a function`);
+      }
+    }
+  }
+}
+
+/**
+ * Run every stage with its plugin hooks
+ * @param {Array} plugins - Registered plugins
+ * @param {Object} state - Initial stage state
+ * @param {Object} options - Run options
+ * @param {Function} options.onProgress - Callback receiving { stage, percent, message } events
+ * @param {AbortSignal} options.signal - Optional signal to cancel the run before its next stage
+ * @param {boolean} options.dryRun - Whether stages should avoid writing to GitHub
+ * @param {Array} options.completedStages - Stages already completed by an earlier attempt; they are skipped
+ * @param {Function} options.onCheckpoint - Async callback receiving the context after each completed stage
+ * @returns {Promise<Object>} - Final run context; error or vetoed is set when the run stopped early
+ */
+async function runPipeline(plugins, state, options) {
+  const reportProgress = createProgressReporter(options.onProgress);
+
+  const context = {
+    state,
+    stage: null,
+    dryRun: options.dryRun === true,
+    signal: options.signal,
+    completedStages: [...(options.completedStages || [])],
+    vetoed: null,
+    error: null,
+    veto: () => {},
+    checkpoint: async () => {
+      if (typeof options.onCheckpoint === 'function') {
+        await options.onCheckpoint(context);
+      }
+    }
+  };
+
+  try {
+    for (const stage of PIPELINE_STAGES) {
+      const handlers = collectStageHandlers(plugins, stage);
+
+      // Stages completed by an earlier attempt keep their checkpointed output
+      if (context.completedStages.includes(stage)) {
+        logger.debug(`Stage ${stage} already completed, reusing its checkpoint`);
+        continue;
+      }
+
+      // A stage without an implementation, or one that opts out of this run, is skipped
+      if (!handlers.run || (handlers.run.when && !handlers.run.when(context))) {
+        logger.debug(`Skipping stage ${stage}`);
+        continue;
+      }
+
+      throwIfCancelled(context.signal, `Cancelled before stage ${stage}`);
+      context.stage = stage;
+
+      const message = typeof handlers.run.message === 'function'
+        ? handlers.run.message(context)
+        : handlers.run.message;
+      reportProgress(stage, message);
+
+      for (const hook of [...handlers.before, handlers.run, ...handlers.after]) {
+        await callHook(context, hook);
+
+        if (context.vetoed) {
+          logger.warn(`Stage ${stage} vetoed by plugin ${context.vetoed.plugin}: ${context.vetoed.reason}`);
+          return context;
+        }
+      }
+
+      context.completedStages.push(stage);
+      await context.checkpoint();
+    }
+  } catch (error) {
+    context.error = error;
+  }
+
+  return context;
+}
+
+/**
+ * Collect the hooks registered for a stage
+ * @param {Array} plugins - Registered plugins
+ * @param {string} stage - Stage name
+ * @returns {Object} - { before: [], run: hook|null, after: [] }
+ */
+function collectStageHandlers(plugins, stage) {
+  const handlers = { before: [], run: null, after: [] };
+
+  for (const plugin of plugins) {
+    const stageHandlers = plugin.stages[stage];
+    if (!stageHandlers) {
+      continue;
+    }
+
+    if (stageHandlers.before) {
+      handlers.before.push({ plugin: plugin.name, fn: stageHandlers.before });
+    }
+    if (stageHandlers.run) {
+      handlers.run = {
+        plugin: plugin.name,
+        fn: stageHandlers.run,
+        when: stageHandlers.when,
+        message: stageHandlers.message
+      };
+    }
+    if (stageHandlers.after) {
+      handlers.after.push({ plugin: plugin.name, fn: stageHandlers.after });
+    }
+  }
+
+  return handlers;
+}
+
+/**
+ * Call a single hook, letting it veto the stage on behalf of its plugin
+ * @param {Object} context - Run context
+ * @param {Object} hook - Hook with plugin name and function
+ * @returns {Promise<void>}
+ */
+async function callHook(context, hook) {
+  context.veto = reason => {
+    context.vetoed = {
+      stage: context.stage,
+      plugin: hook.plugin,
+      reason: reason || 'No reason given'
+    };
+  };
+
+  await hook.fn(context);
+}
+
+// Export additional functions
+export default {
+  createPipeline,
+  PIPELINE_STAGES
+};
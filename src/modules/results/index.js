@@ -0,0 +1,172 @@
+/**
+ * OpenHands Resolver MCP - Results Module
+ *
+ * This module defines the result contract of the public API:
+ * - Publishes JSON Schemas for issue, batch, intent and error results
+ * - Builds results carrying the current schemaVersion
+ * - Validates every result before it is returned
+ *
+ * The schemas live in ./schemas. Adding an optional field is a minor version
+ * bump; removing or changing a field is a major version bump.
+ */
+
+import fs from 'fs';
+import Ajv from 'ajv';
+import { getContextLogger } from '../../utils/logger.js';
+
+const logger = getContextLogger('Results');
+
+// Version of the result schemas, carried by every result
+export const RESULT_SCHEMA_VERSION = '1.3';
+
+// Stable error codes of error results
+export const ERROR_CODES = {
+  RESOLUTION_FAILED: 'resolution_failed',
+  CANCELLED: 'cancelled',
+  VETOED: 'vetoed',
+  INITIALIZATION_FAILED: 'initialization_failed',
+  INVALID_INPUT: 'invalid_input',
+  RESUME_FAILED: 'resume_failed'
+};
+
+// Published JSON Schemas, by result type
+export const RESULT_SCHEMAS = {
+  issue: loadSchema('issue-result.schema.json'),
+  batch: loadSchema('batch-result.schema.json'),
+  intent: loadSchema('intent-result.schema.json'),
+  error: loadSchema('error-result.schema.json')
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+for (const schema of Object.values(RESULT_SCHEMAS)) {
+  ajv.addSchema(schema);
+}
+
+/**
+ * Validate a result against its schema
+ * @param {string} type - Result type: issue, batch, intent or error
+ * @param {Object} result - Result to validate
+ * @returns {Object} - { valid, errors }; errors are readable messages
+ */
+export function validateResult(type, result) {
+  const schema = RESULT_SCHEMAS[type];
+  if (!schema) {
+    throw new Error(`Unknown result type: ${type}`);
+  }
+
+  const validate = ajv.getSchema(schema.$id);
+  const valid = validate(result);
+
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+/**
+ * Create a validated issue result
+ * @param {Object} fields - Result fields, without schemaVersion and success
+ * @returns {Object} - Issue result
+ * @throws {Error} If the result does not match the issue result schema
+ */
+export function createIssueResult(fields) {
+  return createResult('issue', {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    success: true,
+    dryRun: false,
+    ...fields
+  });
+}
+
+/**
+ * Create a validated intent result, for explain, triage and status requests
+ * @param {Object} fields - Result fields, without schemaVersion and success
+ * @param {string} fields.intent - explain, triage or status
+ * @returns {Object} - Intent result
+ * @throws {Error} If the result does not match the intent result schema
+ */
+export function createIntentResult(fields) {
+  return createResult('intent', {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    success: true,
+    ...fields
+  });
+}
+
+/**
+ * Create a validated error result
+ * @param {Object} fields - Result fields, without schemaVersion and success
+ * @param {string} fields.errorCode - One of ERROR_CODES
+ * @param {string} fields.error - Error message
+ * @returns {Object} - Error result
+ * @throws {Error} If the result does not match the error result schema
+ */
+export function createErrorResult(fields) {
+  return createResult('error', {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    success: false,
+    ...fields
+  });
+}
+
+/**
+ * Create a validated batch result
+ * @param {Array} results - Issue or error result for each issue
+ * @returns {Object} - Batch result; successful only if every issue succeeded
+ * @throws {Error} If the result does not match the batch result schema
+ */
+export function createBatchResult(results) {
+  const succeeded = results.filter(result => result.success).length;
+
+  return createResult('batch', {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    success: succeeded === results.length,
+    isBatch: true,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+}
+
+/**
+ * Validate a result, dropping undefined fields first so they do not count as present
+ * @param {string} type - Result type: issue, batch, intent or error
+ * @param {Object} result - Result to validate
+ * @returns {Object} - The result
+ * @throws {Error} If the result does not match its schema
+ */
+function createResult(type, result) {
+  const cleanResult = Object.fromEntries(
+    Object.entries(result).filter(([, value]) => value !== undefined)
+  );
+
+  const { valid, errors } = validateResult(type, cleanResult);
+  if (!valid) {
+    logger.error(`Invalid ${type} result: ${errors.join('; ')}`);
+    throw new Error(`Invalid ${type} result: ${errors.join('; ')}`);
+  }
+
+  return cleanResult;
+}
+
+/**
+ * Load a published schema
+ * @param {string} fileName - Schema file name in ./schemas
+ * @returns {Object} - Parsed JSON Schema
+ */
+function loadSchema(fileName) {
+  return JSON.parse(fs.readFileSync(new URL(`./schemas/${fileName}`, import.meta.url), 'utf8'));
+}
+
+// Export additional functions
+export default {
+  RESULT_SCHEMA_VERSION,
+  ERROR_CODES,
+  RESULT_SCHEMAS,
+  validateResult,
+  createIssueResult,
+  createIntentResult,
+  createErrorResult,
+  createBatchResult
+};
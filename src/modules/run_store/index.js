@@ -0,0 +1,209 @@
+/**
+ * OpenHands Resolver MCP - Run Store Module
+ *
+ * This module persists resolution runs so they can be inspected and resumed:
+ * - Creates a run record with a unique run ID
+ * - Saves the output of every completed stage as a checkpoint
+ * - Loads runs back for resuming or status reporting
+ *
+ * Runs are stored as one JSON file per run in the configured runs directory.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getContextLogger } from '../../utils/logger.js';
+import * as configModule from '../configuration/index.js';
+
+/**
+ * Create an isolated run store
+ * @param {Object} dependencies - Run store dependencies
+ * @param {Object} dependencies.config - Configuration instance providing getConfig(section)
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @returns {Object} - Run store functions
+ */
+export function createRunStore({ config = configModule, logger: baseLogger } = {}) {
+  const logger = getContextLogger('RunStore', baseLogger);
+
+  // Pending writes per run, so checkpoints of the same run are written in order
+  const pendingWrites = new Map();
+
+  /**
+   * Create a new run record
+   * @param {Object} triggerData - Trigger data for the run
+   * @param {Object} options - Run options to remember for resuming
+   * @param {boolean} options.dryRun - Whether the run is a dry run
+   * @returns {Promise<Object>} - The saved run record
+   */
+  async function createRun(triggerData, options = {}) {
+    const now = new Date().toISOString();
+    const run = {
+      runId: generateRunId(triggerData),
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      triggerData,
+      dryRun: options.dryRun === true,
+      completedStages: [],
+      state: { triggerData },
+      result: null
+    };
+
+    await saveRun(run);
+    logger.debug(`Created run ${run.runId} for issue ${triggerData.issueUrl}`);
+    return run;
+  }
+
+  /**
+   * Save a run record
+   * @param {Object} run - Run record to save
+   * @returns {Promise<Object>} - The saved run record
+   */
+  async function saveRun(run) {
+    run.updatedAt = new Date().toISOString();
+
+    // Serialize now, so later changes to the state do not leak into this checkpoint
+    const content = JSON.stringify(run, null, 2);
+    const previousWrite = pendingWrites.get(run.runId) || Promise.resolve();
+
+    const write = previousWrite
+      .catch(() => {})
+      .then(() => writeRunFile(run.runId, content));
+    pendingWrites.set(run.runId, write);
+
+    try {
+      await write;
+      return run;
+    } catch (error) {
+      logger.error(`Failed to save run ${run.runId}:`, error);
+      throw error;
+    } finally {
+      if (pendingWrites.get(run.runId) === write) {
+        pendingWrites.delete(run.runId);
+      }
+    }
+  }
+
+  /**
+   * Load a run record
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} - The run record
+   * @throws {Error} If the run does not exist
+   */
+  async function loadRun(runId) {
+    try {
+      const content = await fs.readFile(getRunPath(runId), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Run not found: ${runId}`);
+      }
+      logger.error(`Failed to load run ${runId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the stored runs, most recently updated first
+   * @returns {Promise<Array>} - Run summaries
+   */
+  async function listRuns() {
+    try {
+      const files = await fs.readdir(getRunsDirectory());
+      const runs = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => loadRun(path.basename(file, '.json')).catch(() => null))
+      );
+
+      return runs
+        .filter(run => run)
+        .map(run => ({
+          runId: run.runId,
+          status: run.status,
+          issueUrl: run.triggerData.issueUrl,
+          completedStages: run.completedStages,
+          createdAt: run.createdAt,
+          updatedAt: run.updatedAt
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      logger.error('Failed to list runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a unique, readable run ID
+   * @param {Object} triggerData - Trigger data for the run
+   * @returns {string} - Run ID
+   */
+  function generateRunId(triggerData) {
+    const issuePart = triggerData.owner && triggerData.repo && triggerData.issueNumber
+      ? `${triggerData.owner}-${triggerData.repo}-${triggerData.issueNumber}`
+      : 'issue';
+    const safeIssuePart = issuePart.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+
+    return `${safeIssuePart}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Write a run file atomically
+   * @param {string} runId - Run ID
+   * @param {string} content - Serialized run record
+   * @returns {Promise<void>}
+   */
+  async function writeRunFile(runId, content) {
+    const runPath = getRunPath(runId);
+    const tempPath = `${runPath}.tmp`;
+
+    await fs.mkdir(getRunsDirectory(), { recursive: true });
+    await fs.writeFile(tempPath, content, 'utf8');
+    await fs.rename(tempPath, runPath);
+  }
+
+  /**
+   * Get the path of a run file
+   * @param {string} runId - Run ID
+   * @returns {string} - File path
+   * @throws {Error} If the run ID is not a plain file name
+   */
+  function getRunPath(runId) {
+    if (!/^[A-Za-z0-9_-]+$/.test(runId)) {
+      throw new Error(`Invalid run ID: ${runId}`);
+    }
+    return path.join(getRunsDirectory(), `${runId}.json`);
+  }
+
+  /**
+   * Get the configured runs directory
+   * @returns {string} - Directory path
+   */
+  function getRunsDirectory() {
+    return path.resolve(config.getConfig('runs').directory);
+  }
+
+  return {
+    createRun,
+    saveRun,
+    loadRun,
+    listRuns
+  };
+}
+
+// Default instance, used by the module-level functions
+const defaultRunStore = createRunStore();
+
+export const { createRun, saveRun, loadRun, listRuns } = defaultRunStore;
+
+// Export additional functions
+export default {
+  createRunStore,
+  createRun,
+  saveRun,
+  loadRun,
+  listRuns
+};
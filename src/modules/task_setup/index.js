@@ -4,160 +4,203 @@
  * This module prepares tasks for OpenHands AI agents by:
  * - Combining GitHub issue data and repository context
  * - Incorporating custom instructions if available
+ * - Incorporating review feedback when revising a pull request
  * - Formatting the task for optimal AI processing
  */
 
 import { getContextLogger } from '../../utils/logger.js';
-import { getConfig } from '../configuration/index.js';
-import * as githubModule from '../github_api/index.js';
-
-const logger = getContextLogger('TaskSetup');
+import * as configModule from '../configuration/index.js';
+import * as forgeModule from '../forge/index.js';
 
 /**
- * Setup a task for AI resolution
- * @param {Object} issueData - GitHub issue data
- * @returns {Promise<Object>} - Task configuration
+ * Create an isolated task setup instance
+ * @param {Object} dependencies - Task setup dependencies
+ * @param {Object} dependencies.config - Configuration instance providing getConfig(section)
+ * @param {Object} dependencies.github - Forge client, routing to the GitHub or GitLab provider of each host
+ * @param {Object} dependencies.logger - Base logger (defaults to the shared logger)
+ * @returns {Object} - Task setup functions
  */
-export async function setupTask(issueData) {
-  try {
-    logger.info(`Setting up task for issue #${issueData.issueNumber} in ${issueData.owner}/${issueData.repo}`);
-    
-    // Get AI configurations
-    const aiConfig = getConfig('ai');
-    
-    // Get repository context for additional information
-    const repoContext = await githubModule.getRepositoryContext(
-      issueData.owner, 
-      issueData.repo
-    );
-    
-    // Extract custom instructions if available
-    const customInstructions = repoContext.instructions || {};
-    
-    // Prepare the task context
-    const taskContext = prepareTaskContext(issueData, repoContext, customInstructions);
-    
-    // Create the AI task configuration
-    const taskConfig = {
-      issueData,
-      repoContext,
-      customInstructions,
-      taskContext,
-      aiConfig: {
-        model: aiConfig.model,
-        temperature: aiConfig.temperature,
-        maxTokens: aiConfig.maxTokens,
-        systemMessage: createSystemMessage(issueData, repoContext, customInstructions)
-      }
-    };
-    
-    logger.debug('Task setup completed successfully');
-    return taskConfig;
-  } catch (error) {
-    logger.error(`Failed to setup task for issue #${issueData.issueNumber}:`, error);
-    throw error;
+export function createTaskSetup({ config = configModule, github = forgeModule, logger: baseLogger } = {}) {
+  const logger = getContextLogger('TaskSetup', baseLogger);
+
+  /**
+   * Setup a task for AI resolution
+   * @param {Object} issueData - GitHub issue data
+   * @param {Object} options - Task options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the setup
+   * @returns {Promise<Object>} - Task configuration
+   */
+  async function setupTask(issueData, options = {}) {
+    try {
+      logger.info(`Setting up task for issue #${issueData.issueNumber} in ${issueData.owner}/${issueData.repo}`);
+      
+      // Get AI configurations
+      const aiConfig = config.getConfig('ai');
+      
+      // Get repository context for additional information; revisions work on the head branch
+      const { pullRequest } = issueData;
+      const repoContext = pullRequest
+        ? await github.getRepositoryContext(
+          pullRequest.head.owner,
+          pullRequest.head.repo,
+          { signal: options.signal, host: pullRequest.head.host, ref: pullRequest.head.branch }
+        )
+        : await github.getRepositoryContext(
+          issueData.owner, 
+          issueData.repo,
+          { signal: options.signal, host: issueData.host }
+        );
+      
+      // Extract custom instructions if available
+      const customInstructions = repoContext.instructions || {};
+      
+      // Prepare the task context
+      const taskContext = prepareTaskContext(issueData, repoContext, customInstructions);
+      
+      // Create the AI task configuration
+      const taskConfig = {
+        issueData,
+        repoContext,
+        customInstructions,
+        taskContext,
+        aiConfig: {
+          model: aiConfig.model,
+          temperature: aiConfig.temperature,
+          maxTokens: aiConfig.maxTokens,
+          systemMessage: createSystemMessage(issueData, repoContext, customInstructions)
+        }
+      };
+      
+      logger.debug('Task setup completed successfully');
+      return taskConfig;
+    } catch (error) {
+      logger.error(`Failed to setup task for issue #${issueData.issueNumber}:`, error);
+      throw error;
+    }
   }
-}
 
-/**
- * Prepare the task context by combining issue and repository data
- * @param {Object} issueData - GitHub issue data
- * @param {Object} repoContext - Repository context data
- * @param {Object} customInstructions - Custom instructions from repository
- * @returns {Object} - Prepared task context
- */
-function prepareTaskContext(issueData, repoContext, customInstructions) {
-  try {
-    // Extract relevant information from issue
-    const { title, body, comments, labels } = issueData;
-    
-    // Determine primary programming language
-    const primaryLanguage = repoContext.languages[0] || 'Unknown';
-    
-    // Check for additional context in comments
-    const relevantComments = comments.filter(comment => {
-      // Filter comments that might contain important context
-      return comment.body.includes('reproducing') ||
-             comment.body.includes('steps to reproduce') ||
-             comment.body.includes('error message') ||
-             comment.body.includes('expected behavior') ||
-             comment.body.includes('additional context');
-    });
-    
-    // Check for priority indicators
-    const priorityLabels = customInstructions.priorityLabels || ['high-priority', 'priority', 'critical', 'urgent'];
-    const isPriority = labels.some(label => priorityLabels.includes(label));
-    
-    // Determine complexity
-    const complexityIndicators = {
-      low: ['simple', 'easy', 'trivial', 'typo', 'minor'],
-      medium: ['moderate', 'enhancement', 'improvement'],
-      high: ['complex', 'difficult', 'major', 'refactor']
-    };
-    
-    let complexity = 'medium';
-    for (const [level, indicators] of Object.entries(complexityIndicators)) {
-      if (title.toLowerCase().split(' ').some(word => indicators.includes(word)) ||
-          body.toLowerCase().split(' ').some(word => indicators.includes(word)) ||
-          labels.some(label => indicators.includes(label.toLowerCase()))) {
-        complexity = level;
-        break;
+  /**
+   * Prepare the task context by combining issue and repository data
+   * @param {Object} issueData - GitHub issue data
+   * @param {Object} repoContext - Repository context data
+   * @param {Object} customInstructions - Custom instructions from repository
+   * @returns {Object} - Prepared task context
+   */
+  function prepareTaskContext(issueData, repoContext, customInstructions) {
+    try {
+      // Extract relevant information from issue
+      const { title, body, comments, labels } = issueData;
+      
+      // Determine primary programming language
+      const primaryLanguage = repoContext.languages[0] || 'Unknown';
+      
+      // Check for additional context in comments
+      const relevantComments = comments.filter(comment => {
+        // Filter comments that might contain important context
+        return comment.body.includes('reproducing') ||
+               comment.body.includes('steps to reproduce') ||
+               comment.body.includes('error message') ||
+               comment.body.includes('expected behavior') ||
+               comment.body.includes('additional context');
+      });
+      
+      // Check for priority indicators
+      const priorityLabels = customInstructions.priorityLabels || ['high-priority', 'priority', 'critical', 'urgent'];
+      const isPriority = labels.some(label => priorityLabels.includes(label));
+      
+      // Determine complexity
+      const complexityIndicators = {
+        low: ['simple', 'easy', 'trivial', 'typo', 'minor'],
+        medium: ['moderate', 'enhancement', 'improvement'],
+        high: ['complex', 'difficult', 'major', 'refactor']
+      };
+      
+      let complexity = 'medium';
+      for (const [level, indicators] of Object.entries(complexityIndicators)) {
+        if (title.toLowerCase().split(' ').some(word => indicators.includes(word)) ||
+            body.toLowerCase().split(' ').some(word => indicators.includes(word)) ||
+            labels.some(label => indicators.includes(label.toLowerCase()))) {
+          complexity = level;
+          break;
+        }
       }
+      
+      // Create the task context
+      return {
+        issueTitle: title,
+        issueBody: body,
+        relevantComments: relevantComments.map(comment => comment.body),
+        primaryLanguage,
+        languages: repoContext.languages,
+        isPriority,
+        complexity,
+        hasCustomInstructions: Object.keys(customInstructions).length > 0,
+        codeStyle: customInstructions.codeStyle || 'standard',
+        testRequirements: customInstructions.testRequirements || null,
+        ignorePaths: customInstructions.ignorePaths || [],
+        reviewFeedback: issueData.pullRequest ? getReviewFeedback(issueData.pullRequest) : null
+      };
+    } catch (error) {
+      logger.error('Error preparing task context:', error);
+      throw error;
     }
-    
-    // Create the task context
-    return {
-      issueTitle: title,
-      issueBody: body,
-      relevantComments: relevantComments.map(comment => comment.body),
-      primaryLanguage,
-      languages: repoContext.languages,
-      isPriority,
-      complexity,
-      hasCustomInstructions: Object.keys(customInstructions).length > 0,
-      codeStyle: customInstructions.codeStyle || 'standard',
-      testRequirements: customInstructions.testRequirements || null,
-      ignorePaths: customInstructions.ignorePaths || []
-    };
-  } catch (error) {
-    logger.error('Error preparing task context:', error);
-    throw error;
   }
-}
 
-/**
- * Create a system message for the AI based on the task
- * @param {Object} issueData - GitHub issue data
- * @param {Object} repoContext - Repository context data
- * @param {Object} customInstructions - Custom instructions from repository
- * @returns {string} - Formatted system message
- */
-function createSystemMessage(issueData, repoContext, customInstructions) {
-  try {
-    // Get base system message from config
-    const baseMessage = getConfig('ai').systemMessage;
-    
-    // Add custom instructions if available
-    let customInstructionsText = '';
-    if (Object.keys(customInstructions).length > 0) {
-      customInstructionsText = `
+  /**
+   * Create a system message for the AI based on the task
+   * @param {Object} issueData - GitHub issue data
+   * @param {Object} repoContext - Repository context data
+   * @param {Object} customInstructions - Custom instructions from repository
+   * @returns {string} - Formatted system message
+   */
+  function createSystemMessage(issueData, repoContext, customInstructions) {
+    try {
+      // Get base system message from config
+      const baseMessage = config.getConfig('ai').systemMessage;
+      
+      // Add custom instructions if available
+      let customInstructionsText = '';
+      if (Object.keys(customInstructions).length > 0) {
+        customInstructionsText = `
 Repository-specific instructions:
 - Code Style: ${customInstructions.codeStyle || 'standard'}
 ${customInstructions.testRequirements ? `- Test Requirements: ${customInstructions.testRequirements}` : ''}
 ${customInstructions.ignorePaths && customInstructions.ignorePaths.length > 0 ? 
-  `- Ignore Paths: ${customInstructions.ignorePaths.join(', ')}` : ''}
+    `- Ignore Paths: ${customInstructions.ignorePaths.join(', ')}` : ''}
 `;
-    }
-    
-    // Add repository context
-    const repoContextText = `
+      }
+      
+      // Add repository context
+      const repoContextText = `
 You are working on the repository ${repoContext.owner}/${repoContext.repo}
 Primary language: ${repoContext.languages[0] || 'Unknown'}
 ${repoContext.description ? `Repository description: ${repoContext.description}` : ''}
 `;
-    
-    // Combine everything
-    return `${baseMessage}
+      
+      // Revisions address review feedback instead of resolving an issue
+      if (issueData.pullRequest) {
+        const { number, head } = issueData.pullRequest;
+        
+        return `${baseMessage}
+
+${repoContextText}
+${customInstructionsText}
+
+Your task is to address the review feedback on pull request #${number}: "${issueData.title}"
+The pull request branch is ${head.branch}; your changes will be pushed to it as follow-up commits.
+
+Reviewer feedback:
+${getReviewFeedback(issueData.pullRequest).map(feedback => `- ${feedback}`).join('\n') || '- No specific feedback; review the pull request for problems'}
+
+Ensure your changes:
+- Address every piece of reviewer feedback
+- Keep the existing changes of the pull request unless feedback asks otherwise
+- Stay compatible with the repository's coding style
+`;
+      }
+      
+      // Combine everything
+      return `${baseMessage}
 
 ${repoContextText}
 ${customInstructionsText}
@@ -178,52 +221,77 @@ Ensure your solution is:
 - Accompanied by tests if required
 - Ready to be submitted as a pull request
 `;
-  } catch (error) {
-    logger.error('Error creating system message:', error);
-    return getConfig('ai').systemMessage;
+    } catch (error) {
+      logger.error('Error creating system message:', error);
+      return config.getConfig('ai').systemMessage;
+    }
   }
-}
 
-/**
- * Validate the prepared task
- * @param {Object} taskConfig - Task configuration to validate
- * @returns {boolean} - Whether the task is valid
- */
-export function validateTask(taskConfig) {
-  try {
-    // Check for required fields
-    if (!taskConfig.issueData || !taskConfig.taskContext) {
-      logger.warn('Invalid task configuration: missing required fields');
-      return false;
-    }
-    
-    // Validate specific fields
-    const requiredFields = {
-      'issueData.issueNumber': taskConfig.issueData.issueNumber,
-      'issueData.owner': taskConfig.issueData.owner,
-      'issueData.repo': taskConfig.issueData.repo,
-      'issueData.title': taskConfig.issueData.title,
-      'taskContext.issueTitle': taskConfig.taskContext.issueTitle,
-      'taskContext.primaryLanguage': taskConfig.taskContext.primaryLanguage,
-      'aiConfig.model': taskConfig.aiConfig.model
-    };
-    
-    for (const [field, value] of Object.entries(requiredFields)) {
-      if (!value) {
-        logger.warn(`Invalid task configuration: missing ${field}`);
+  /**
+   * List the review feedback of a pull request as readable lines
+   * @param {Object} pullRequest - Pull request data from fetchPullRequestData
+   * @returns {Array<string>} - Requested changes, then inline review comments
+   */
+  function getReviewFeedback(pullRequest) {
+    return [
+      ...pullRequest.requestedChanges.map(review => `${review.user}: ${review.body}`),
+      ...pullRequest.reviewComments.map(comment =>
+        `${comment.user} on ${comment.path}${comment.line ? `:${comment.line}` : ''}: ${comment.body}`)
+    ];
+  }
+
+  /**
+   * Validate the prepared task
+   * @param {Object} taskConfig - Task configuration to validate
+   * @returns {boolean} - Whether the task is valid
+   */
+  function validateTask(taskConfig) {
+    try {
+      // Check for required fields
+      if (!taskConfig.issueData || !taskConfig.taskContext) {
+        logger.warn('Invalid task configuration: missing required fields');
         return false;
       }
+      
+      // Validate specific fields
+      const requiredFields = {
+        'issueData.issueNumber': taskConfig.issueData.issueNumber,
+        'issueData.owner': taskConfig.issueData.owner,
+        'issueData.repo': taskConfig.issueData.repo,
+        'issueData.title': taskConfig.issueData.title,
+        'taskContext.issueTitle': taskConfig.taskContext.issueTitle,
+        'taskContext.primaryLanguage': taskConfig.taskContext.primaryLanguage,
+        'aiConfig.model': taskConfig.aiConfig.model
+      };
+      
+      for (const [field, value] of Object.entries(requiredFields)) {
+        if (!value) {
+          logger.warn(`Invalid task configuration: missing ${field}`);
+          return false;
+        }
+      }
+      
+      return true;
+    } catch (error) {
+      logger.error('Error validating task:', error);
+      return false;
     }
-    
-    return true;
-  } catch (error) {
-    logger.error('Error validating task:', error);
-    return false;
   }
+
+  return {
+    setupTask,
+    validateTask
+  };
 }
 
+// Default instance, used by the module-level functions
+const defaultTaskSetup = createTaskSetup();
+
+export const { setupTask, validateTask } = defaultTaskSetup;
+
 // Export additional functions
 export default {
+  createTaskSetup,
   setupTask,
   validateTask
 };
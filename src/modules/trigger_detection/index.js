@@ -5,61 +5,179 @@
  * - Natural language requests in Claude Desktop
  * - GitHub issue URLs or identifiers
  * - Batch processing requests
+ *
+ * Short references (owner/repo#123, repo#123, #123) are resolved against the
+ * repository of the conversation or the configured default repository.
+ * Batch requests may list issues, ranges and exclusions, e.g.
+ * "fix issues 40-55 in acme/api" or "fix all of 10-20 except #14".
+ * Requests that describe issues instead, e.g. "fix all open issues labeled
+ * good-first-issue in acme/web", become a GitHub issue search query.
+ * Pull request URLs start a revision that addresses the PR's review feedback;
+ * their trigger data has isRevision set and the pull request URL as issueUrl.
+ * URLs of every configured forge host (github.com or GitHub Enterprise Server)
+ * are recognized; trigger data carries the host its API calls go to.
+ * Every trigger has an intent: fix (the default), or explain, triage, status
+ * or retry when the request asks for that instead of a fix.
  */
 
 import { getContextLogger } from '../../utils/logger.js';
+import { getConfig } from '../configuration/index.js';
+import { getForgeHosts, createForgeUrlRegex, parseForgeUrl, createForgeUrl } from '../../utils/forge_hosts.js';
 
 const logger = getContextLogger('TriggerDetection');
 
-// Regex patterns for identifying GitHub issues
-const GITHUB_ISSUE_REGEX = /github\.com\/([^\/]+)\/([^\/]+)\/issues\/(\d+)/gi;
-const ISSUE_MENTION_REGEX = /(fix|resolve|solve)\s+(issue|#)?\s*(\d+)/gi;
+// Intents of a request; everything but fix leaves the code alone or reruns an earlier attempt
+export const INTENTS = {
+  FIX: 'fix',
+  EXPLAIN: 'explain',
+  TRIAGE: 'triage',
+  STATUS: 'status',
+  RETRY: 'retry'
+};
+
+// Phrases that ask for an intent other than fix
+const INTENT_REGEXES = {
+  [INTENTS.EXPLAIN]: /\b(?:explain|analy[sz]e|summari[sz]e|what\s+is\s+(?:issue\s+)?\S+\s+about)\b/i,
+  [INTENTS.TRIAGE]: /\b(?:triage|categori[sz]e|suggest\s+(?:labels?|an?\s+assignee))\b/i,
+  [INTENTS.STATUS]: /\b(?:status|progress)\s+(?:of|on|for)\b|\bwhat(?:'s|\s+is)\s+the\s+(?:status|progress)\b/i,
+  [INTENTS.RETRY]: /\b(?:retry|re-?run|try\s+again)\b/i
+};
+
+// A fix verb followed by an issue reference or URL, e.g. "fix #5" or "resolve issue 12"
+const FIX_REQUEST_REGEX = /\b(?:fix|resolve|solve)\s+(?:(?:issues?\s+)?(?:[\w.-]+\/)?[\w.-]*#\d+|issues?\s+\d+|https?:\/\/\S+\/\d+)/i;
+
+// Regex patterns for identifying GitHub issues; URL patterns are built from the configured hosts
+const ISSUE_MENTION_REGEX = /(fix|resolve|solve)\s+(issue|#)\s*(\d+)/gi;
+const ISSUE_REFERENCE_REGEX = /(?<![\w\/.#-])(?:(?:([\w.-]+)\/)?([\w.-]+))?#(\d+)\b/g;
+const REPOSITORY_PHRASE_REGEX = /\b(?:in|from|of|for|on)\s+([\w.-]+)\/([\w.-]+)/gi;
 const BATCH_REQUEST_REGEX = /(fix|resolve|solve)\s+(issues|multiple issues|several issues)/i;
 
+// Issue lists like "3, 7 and 9", "40-55" or "acme/api#40 to #55", after a verb, "issues" or "all of";
+// bare numbers like the 2024 of "fix 2024 bugs" are issues only after "issues"
+const ISSUE_RANGE_SEPARATOR = String.raw`(?:\s*(?:-|–|—|\.\.)\s*|\s+(?:to|through)\s+)`;
+const ISSUE_LIST_SEPARATOR = String.raw`\s*(?:,|\band\b|&|\bor\b)\s*`;
+const ISSUE_ITEM = String.raw`(?:[\w.-]+\/[\w.-]+)?#?\d+(?:${ISSUE_RANGE_SEPARATOR}#?\d+)?`;
+const ISSUE_ITEM_LIST = String.raw`${ISSUE_ITEM}(?:(?:${ISSUE_LIST_SEPARATOR})+${ISSUE_ITEM})*`;
+const ISSUE_ITEM_REGEX = new RegExp(String.raw`^(?:([\w.-]+)\/([\w.-]+))?#?(\d+)(?:${ISSUE_RANGE_SEPARATOR}#?(\d+))?$`, 'i');
+const ISSUE_LIST_REGEX = new RegExp(
+  String.raw`\b(?:fix|resolve|solve|(?<issueKeyword>issues?)|all(?:\s+of)?)\s+(?:from\s+)?(?<list>${ISSUE_ITEM_LIST})\b`,
+  'gi'
+);
+// Search qualifiers, e.g. "bugs assigned to me opened this week"
+const RESOLUTION_VERB_REGEX = /\b(?:fix|resolve|solve)\b/i;
+const SEARCH_ALL_REGEX = /\b(?:fix|resolve|solve)\s+all\b/i;
+const SEARCH_BUGS_REGEX = /\bbugs\b/i;
+const SEARCH_LABEL_REGEX = /\b(?:labell?ed|with\s+(?:the\s+)?label|tagged)\s+("[^"]+"|'[^']+'|[\w:.\/-]+)/gi;
+const SEARCH_ASSIGNEE_REGEX = /\bassigned\s+to\s+(me|@?[\w-]+)/i;
+const SEARCH_AUTHOR_REGEX = /\b(?:opened|created|filed|reported)\s+by\s+(me|@?[\w-]+)/i;
+const SEARCH_CREATED_REGEX = /\b(?:(?:opened|created|filed|reported)\s+(today|yesterday|this\s+week|this\s+month|in\s+the\s+last\s+(\d+)\s+days)|since\s+(\d{4}-\d{2}-\d{2}))/i;
+
+const ISSUE_EXCLUSION_REGEX = new RegExp(
+  String.raw`\b(?:except(?:\s+for)?|excluding|but\s+not|other\s+than|skip(?:ping)?)\s+(?:issues?\s+)?(?<list>${ISSUE_ITEM_LIST})\b`,
+  'gi'
+);
+
 /**
  * Detect resolution trigger from user input
+ * 
+ * Every detected issue is normalized to an owner, repo, issue number and URL.
+ * References without a repository use the repository of the conversation
+ * (input.repository, or the last repository mentioned in the text), falling
+ * back to the configured default repository; unresolvable ones are ignored.
+ * 
  * @param {Object} input - User input from Claude Desktop
- * @returns {Object|null} - Trigger data or null if no trigger detected
+ * @param {Object} options - Detection options
+ * @param {string} options.defaultOwner - Owner for repo#123 references (defaults to the GitHub and GitLab configuration)
+ * @param {string} options.defaultRepo - Repository for #123 references, as repo or owner/repo (defaults to the GitHub and GitLab configuration)
+ * @param {number} options.maxIssues - Most issues a request may expand to (defaults to the batch configuration)
+ * @param {Date} options.now - Reference time for relative dates like "this week" (defaults to now)
+ * @param {Array} options.hosts - Forge hosts from getForgeHosts (defaults to the GitHub and GitLab configuration)
+ * @returns {Object|null} - Trigger data with its intent, or null if no trigger detected; search
+ *   requests have isSearch, a searchQuery and the host to search instead of an issueList
  */
-export function detectTrigger(input) {
+export function detectTrigger(input, options = {}) {
   try {
     logger.debug('Analyzing input for trigger detection');
     
     // Handle case where input is a string
     const text = typeof input === 'string' ? input : input.text || JSON.stringify(input);
     
+    // Classify the request first; only fixes open pull requests
+    const intent = classifyIntent(text);
+    
     // Check for batch request
     const isBatchRequest = BATCH_REQUEST_REGEX.test(text);
     
-    // Extract GitHub issue URLs
-    const issueUrls = extractGitHubIssueUrls(text);
+    // Repositories that short references resolve against
+    const hosts = options.hosts || getForgeHosts(getConfig('github'), getConfig('gitlab'));
+    const defaults = getDefaultRepository(options, hosts);
+    const maxIssues = options.maxIssues || getConfig('batch').maxIssues;
+    const conversationRepository = getConversationRepository(input, text, defaults, hosts);
+    
+    // Extract GitHub issue URLs, and pull request URLs to revise
+    const issueUrls = [...extractGitHubIssueUrls(text, hosts), ...extractPullRequestUrls(text, hosts)];
+    
+    // Extract issue references like "owner/repo#123", mentions like "fix #123" and lists like "fix 40-55"
+    const issueLists = extractIssueLists(text, ISSUE_LIST_REGEX, maxIssues);
+    const issueMentions = dedupeIssues(
+      [...issueLists, ...extractIssueReferences(text), ...extractIssueMentions(text)]
+        .map(issue => resolveIssueRepository(issue, conversationRepository, defaults))
+        .filter(Boolean),
+      issueUrls
+    );
     
-    // Extract issue mentions like "fix #123"
-    const issueMentions = extractIssueMentions(text);
+    // Drop exclusions like "except #14" or "except 14", and issues beyond the limit
+    const excluded = new Set(extractIssueLists(text, ISSUE_EXCLUSION_REGEX, maxIssues, { bareNumbers: true })
+      .map(issue => resolveIssueRepository(issue, conversationRepository, defaults))
+      .filter(Boolean)
+      .map(getIssueKey));
+    const issues = [...issueUrls, ...issueMentions].filter(issue => !excluded.has(getIssueKey(issue)));
+    if (issues.length > maxIssues) {
+      logger.warn(`Request names ${issues.length} issues, only the first ${maxIssues} are resolved`);
+      issues.length = maxIssues;
+    }
     
     // Handle different cases
-    if (isBatchRequest && (issueUrls.length > 0 || issueMentions.length > 0)) {
+    if (isBatchRequest && issues.length > 0) {
       // Batch processing with multiple issues
-      logger.info(`Detected batch request with ${issueUrls.length + issueMentions.length} issues`);
-      return {
+      logger.info(`Detected batch request with ${issues.length} issues`);
+      return normalizeTriggerData({
         isBatch: true,
-        issueList: [...issueUrls, ...issueMentions]
-      };
-    } else if (issueUrls.length === 1) {
-      // Single GitHub issue URL
-      logger.info(`Detected single GitHub issue: ${issueUrls[0].issueUrl}`);
-      return issueUrls[0];
-    } else if (issueMentions.length === 1) {
-      // Single issue mention
-      logger.info(`Detected issue mention: ${issueMentions[0].issueNumber}`);
-      return issueMentions[0];
-    } else if (issueUrls.length > 0 || issueMentions.length > 0) {
+        intent,
+        issueList: issues
+      });
+    } else if (issues.length === 1) {
+      // Single GitHub issue URL or mention
+      logger.info(`Detected single GitHub issue: ${issues[0].issueUrl} (${intent})`);
+      return normalizeTriggerData({ ...issues[0], intent });
+    } else if (issues.length > 0) {
       // Multiple issues detected but not explicitly a batch request
       // We'll treat it as a batch anyway
-      logger.info(`Treating ${issueUrls.length + issueMentions.length} issues as batch`);
+      logger.info(`Treating ${issues.length} issues as batch`);
+      return normalizeTriggerData({
+        isBatch: true,
+        intent,
+        issueList: issues
+      });
+    }
+    
+    // Only fixes are searched for; a question about "my bugs" must not start resolving them
+    if (intent !== INTENTS.FIX) {
+      logger.debug(`No issue named for ${intent} request`);
+      return null;
+    }
+    
+    // Requests describing issues rather than naming them are searched for
+    const searchRepository = conversationRepository || (defaults.repo && { host: defaults.host, owner: defaults.repoOwner, repo: defaults.repo });
+    const searchQuery = buildSearchQuery(text, searchRepository, options.now || new Date());
+    if (searchQuery) {
+      logger.info(`Detected search request: ${searchQuery}`);
       return {
         isBatch: true,
-        issueList: [...issueUrls, ...issueMentions]
+        isSearch: true,
+        intent,
+        searchQuery,
+        host: searchRepository ? searchRepository.host : defaults.host
       };
     }
     
@@ -71,23 +189,132 @@ export function detectTrigger(input) {
   }
 }
 
+/**
+ * Classify the intent of a request
+ * 
+ * The intent phrase that comes first wins, so "retry the fix of #12" is a
+ * retry; requests without one are fixes. A fix verb with an issue reference
+ * wins over a question, so "what is the status of the release? fix #5" is a fix.
+ * 
+ * @param {string} text - The text to analyze
+ * @returns {string} - One of INTENTS
+ */
+export function classifyIntent(text) {
+  let intent = INTENTS.FIX;
+  let firstMatch = null;
+  
+  for (const [candidate, regex] of Object.entries(INTENT_REGEXES)) {
+    const match = regex.exec(text);
+    if (match && (!firstMatch || match.index < firstMatch.index)) {
+      intent = candidate;
+      firstMatch = match;
+    }
+  }
+  
+  if (!firstMatch) {
+    return intent;
+  }
+  
+  // A fix verb before the intent phrase makes the request a fix, e.g. "fix #12 and explain why"
+  const fixVerb = RESOLUTION_VERB_REGEX.exec(text);
+  if (fixVerb && fixVerb.index < firstMatch.index) {
+    return INTENTS.FIX;
+  }
+  
+  // So does a fix of an issue after a question, e.g. "what is the status of the release? fix #5"
+  if (isQuestion(text, firstMatch) && FIX_REQUEST_REGEX.test(text)) {
+    return INTENTS.FIX;
+  }
+  
+  return intent;
+}
+
+/**
+ * Check whether an intent phrase is part of a question
+ * @param {string} text - The text to analyze
+ * @param {Array} match - Match of the intent phrase
+ * @returns {boolean} - True if the phrase starts with "what" or its sentence ends with a question mark
+ */
+function isQuestion(text, match) {
+  if (/^what\b/i.test(match[0])) {
+    return true;
+  }
+  
+  const sentenceEnd = /[.!?\n]/.exec(text.slice(match.index));
+  return Boolean(sentenceEnd) && sentenceEnd[0] === '?';
+}
+
 /**
  * Extract GitHub issue URLs from text
  * @param {string} text - The text to analyze
+ * @param {Array} hosts - Forge hosts whose URLs are recognized
  * @returns {Array} - Array of issue data objects
  */
-function extractGitHubIssueUrls(text) {
+function extractGitHubIssueUrls(text, hosts) {
+  const issues = [];
+  const issueRegex = createForgeUrlRegex(hosts, 'issues');
+  let match;
+  
+  while ((match = issueRegex.exec(text)) !== null) {
+    const [, host, owner, repo, issueNumber] = match;
+    
+    issues.push({
+      issueUrl: createForgeUrl(host.toLowerCase(), owner, repo, issueNumber, 'issues', hosts),
+      host: host.toLowerCase(),
+      owner,
+      repo,
+      issueNumber: parseInt(issueNumber, 10),
+      isBatch: false
+    });
+  }
+  
+  return issues;
+}
+
+/**
+ * Extract GitHub pull request URLs from text
+ * @param {string} text - The text to analyze
+ * @param {Array} hosts - Forge hosts whose URLs are recognized
+ * @returns {Array} - Array of revision trigger data objects
+ */
+function extractPullRequestUrls(text, hosts) {
+  const pullRequests = [];
+  const pullRequestRegex = createForgeUrlRegex(hosts, 'pull');
+  let match;
+  
+  while ((match = pullRequestRegex.exec(text)) !== null) {
+    const [, host, owner, repo, pullNumber] = match;
+    
+    pullRequests.push({
+      issueUrl: createForgeUrl(host.toLowerCase(), owner, repo, pullNumber, 'pull', hosts),
+      host: host.toLowerCase(),
+      owner,
+      repo,
+      issueNumber: parseInt(pullNumber, 10),
+      isRevision: true,
+      isBatch: false
+    });
+  }
+  
+  return pullRequests;
+}
+
+/**
+ * Extract issue references (owner/repo#123, repo#123 or #123) from text
+ * @param {string} text - The text to analyze
+ * @returns {Array} - Array of issue data objects; owner and repo are undefined when not given
+ */
+function extractIssueReferences(text) {
   const issues = [];
   let match;
   
   // Reset regex to start from beginning
-  GITHUB_ISSUE_REGEX.lastIndex = 0;
+  ISSUE_REFERENCE_REGEX.lastIndex = 0;
   
-  while ((match = GITHUB_ISSUE_REGEX.exec(text)) !== null) {
-    const [issueUrl, owner, repo, issueNumber] = match;
+  while ((match = ISSUE_REFERENCE_REGEX.exec(text)) !== null) {
+    const [, owner, repo, issueNumber] = match;
     
     issues.push({
-      issueUrl,
       owner,
       repo,
       issueNumber: parseInt(issueNumber, 10),
@@ -98,6 +325,58 @@ function extractGitHubIssueUrls(text) {
   return issues;
 }
 
+/**
+ * Extract the issues of lists and ranges (e.g., "issues 3, 7 and 40-55") from text
+ * 
+ * Items without a # that are not ranges, like the 2024 of "fix 2024 bugs", are
+ * only issues when the list follows "issue(s)".
+ * 
+ * @param {string} text - The text to analyze
+ * @param {RegExp} listRegex - Global regex capturing an issue list as its list group, after an optional issueKeyword group
+ * @param {number} maxIssues - Most issues a single range may expand to
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.bareNumbers - Whether items without a # are always issues, e.g. in "except 14"
+ * @returns {Array} - Array of issue data objects; owner and repo are undefined when not given
+ */
+function extractIssueLists(text, listRegex, maxIssues, options = {}) {
+  const issues = [];
+  let match;
+  
+  // Reset regex to start from beginning
+  listRegex.lastIndex = 0;
+  
+  while ((match = listRegex.exec(text)) !== null) {
+    const bareNumbers = options.bareNumbers || Boolean(match.groups.issueKeyword);
+    
+    for (const item of match.groups.list.split(new RegExp(ISSUE_LIST_SEPARATOR, 'i'))) {
+      const itemMatch = ISSUE_ITEM_REGEX.exec(item.trim());
+      if (!itemMatch) {
+        continue;
+      }
+      
+      const [, owner, repo, first, last] = itemMatch;
+      if (!bareNumbers && !last && !item.includes('#')) {
+        continue;
+      }
+      const from = parseInt(first, 10);
+      const to = last ? parseInt(last, 10) : from;
+      
+      // Ranges may be given in either order, and are capped at maxIssues
+      const start = Math.min(from, to);
+      const count = Math.min(Math.abs(to - from) + 1, maxIssues);
+      if (count < Math.abs(to - from) + 1) {
+        logger.warn(`Range ${first}-${last} has more than ${maxIssues} issues, only the first ${maxIssues} are used`);
+      }
+      
+      for (let issueNumber = start; issueNumber < start + count; issueNumber++) {
+        issues.push({ owner, repo, issueNumber, isBatch: false });
+      }
+    }
+  }
+  
+  return issues;
+}
+
 /**
  * Extract issue mentions (e.g., "fix issue #123") from text
  * @param {string} text - The text to analyze
@@ -122,6 +401,224 @@ function extractIssueMentions(text) {
   return issues;
 }
 
+/**
+ * Build a GitHub issue search query from a request that describes issues
+ * @param {string} text - The text to analyze
+ * @param {Object|null} repository - Repository to search in
+ * @param {Date} now - Reference time for relative dates
+ * @returns {string|null} - Search query, or null if the text is not a search request
+ */
+function buildSearchQuery(text, repository, now) {
+  if (!RESOLUTION_VERB_REGEX.test(text)) {
+    return null;
+  }
+  
+  const qualifiers = [];
+  let match;
+  
+  SEARCH_LABEL_REGEX.lastIndex = 0;
+  while ((match = SEARCH_LABEL_REGEX.exec(text)) !== null) {
+    const label = match[1].replace(/^["']|["']$/g, '');
+    qualifiers.push(/\s/.test(label) ? `label:"${label}"` : `label:${label}`);
+  }
+  
+  if (SEARCH_BUGS_REGEX.test(text) && !qualifiers.includes('label:bug')) {
+    qualifiers.push('label:bug');
+  }
+  
+  const assignee = SEARCH_ASSIGNEE_REGEX.exec(text);
+  if (assignee) {
+    qualifiers.push(`assignee:${getSearchUser(assignee[1])}`);
+  }
+  
+  const author = SEARCH_AUTHOR_REGEX.exec(text);
+  if (author) {
+    qualifiers.push(`author:${getSearchUser(author[1])}`);
+  }
+  
+  const created = SEARCH_CREATED_REGEX.exec(text);
+  if (created) {
+    qualifiers.push(`created:>=${getCreatedSince(created, now)}`);
+  }
+  
+  if (qualifiers.length === 0 && !SEARCH_ALL_REGEX.test(text)) {
+    return null;
+  }
+  
+  // Without a repository, only searches for a person's issues are narrow enough
+  if (!repository && !assignee && !author) {
+    logger.warn('Ignoring search request: no repository given and no default repository configured');
+    return null;
+  }
+  
+  return [
+    ...(repository ? [`repo:${repository.owner}/${repository.repo}`] : []),
+    'is:issue',
+    'is:open',
+    ...qualifiers
+  ].join(' ');
+}
+
+/**
+ * Get the search qualifier value for a user named in a request
+ * @param {string} user - "me", a login or an @mention
+ * @returns {string} - @me or the login
+ */
+function getSearchUser(user) {
+  return user.toLowerCase() === 'me' ? '@me' : user.replace(/^@/, '');
+}
+
+/**
+ * Get the first creation date matched by a phrase like "this week" or "since 2024-05-01"
+ * @param {Array} match - Match of SEARCH_CREATED_REGEX
+ * @param {Date} now - Reference time
+ * @returns {string} - Date as YYYY-MM-DD (UTC)
+ */
+function getCreatedSince(match, now) {
+  const [, phrase, days, date] = match;
+  if (date) {
+    return date;
+  }
+  
+  const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const period = phrase.toLowerCase().replace(/\s+/g, ' ');
+  
+  if (days) {
+    since.setUTCDate(since.getUTCDate() - parseInt(days, 10));
+  } else if (period === 'yesterday') {
+    since.setUTCDate(since.getUTCDate() - 1);
+  } else if (period === 'this week') {
+    // Weeks start on Monday
+    since.setUTCDate(since.getUTCDate() - ((since.getUTCDay() + 6) % 7));
+  } else if (period === 'this month') {
+    since.setUTCDate(1);
+  }
+  
+  return since.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the configured default repository for short references
+ * @param {Object} options - Detection options with optional defaultOwner and defaultRepo
+ * @param {Array} hosts - Forge hosts; the default repository is on the primary host
+ * @returns {Object} - { host, owner, repo }; owner and repo may be undefined
+ */
+function getDefaultRepository(options, hosts) {
+  const githubConfig = getConfig('github') || {};
+  const owner = options.defaultOwner || githubConfig.defaultOwner;
+  const repo = options.defaultRepo || githubConfig.defaultRepo;
+  const { host } = hosts[0];
+  
+  // The default repository may name its own owner
+  if (repo && repo.includes('/')) {
+    const [repoOwner, repoName] = repo.split('/');
+    return { host, owner: owner || repoOwner, repo: repoName, repoOwner };
+  }
+  
+  return { host, owner, repo, repoOwner: owner };
+}
+
+/**
+ * Get the repository the conversation is about
+ * @param {Object|string} input - User input
+ * @param {string} text - Text of the input
+ * @param {Object} defaults - Configured default repository, for its owner and host
+ * @param {Array} hosts - Forge hosts whose URLs are recognized
+ * @returns {Object|null} - { host, owner, repo }, or null if the conversation names no repository
+ */
+function getConversationRepository(input, text, defaults, hosts) {
+  // An explicit repository, as "owner/repo" or { owner, repo, host }
+  const repository = input && typeof input === 'object' ? input.repository : null;
+  if (repository) {
+    const [owner, repo] = typeof repository === 'string'
+      ? (repository.includes('/') ? repository.split('/') : [defaults.owner, repository])
+      : [repository.owner, repository.repo];
+    if (owner && repo) {
+      return { host: repository.host || defaults.host, owner, repo };
+    }
+  }
+  
+  // Otherwise the last repository mentioned in a URL, full issue reference or "in owner/repo";
+  // references without a URL are on the host of the last URL, or the primary host
+  let mentioned = null;
+  let host = defaults.host;
+  let match;
+  
+  const repositoryRegex = createForgeUrlRegex(hosts, 'repository');
+  while ((match = repositoryRegex.exec(text)) !== null) {
+    host = match[1].toLowerCase();
+    mentioned = { index: match.index, owner: match[2], repo: match[3].replace(/(\.git)?\.*$/, '') };
+  }
+  
+  for (const regex of [ISSUE_REFERENCE_REGEX, REPOSITORY_PHRASE_REGEX]) {
+    regex.lastIndex = 0;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[1] && (!mentioned || match.index > mentioned.index)) {
+        mentioned = { index: match.index, owner: match[1], repo: match[2] };
+      }
+    }
+  }
+  
+  return mentioned && { host, owner: mentioned.owner, repo: mentioned.repo };
+}
+
+/**
+ * Fill in the owner and repository of a short issue reference
+ * @param {Object} issue - Issue data, possibly without owner or repo
+ * @param {Object|null} conversationRepository - Repository of the conversation
+ * @param {Object} defaults - Configured default repository
+ * @returns {Object|null} - Normalized issue data, or null if the repository is unknown
+ */
+function resolveIssueRepository(issue, conversationRepository, defaults) {
+  let { owner, repo } = issue;
+  const host = conversationRepository ? conversationRepository.host : defaults.host;
+  
+  if (repo && !owner) {
+    // repo#123 needs a default owner
+    owner = defaults.owner || (conversationRepository && conversationRepository.owner);
+  } else if (!repo) {
+    // #123 needs a default repository
+    const repository = conversationRepository || (defaults.repo && { owner: defaults.repoOwner, repo: defaults.repo });
+    owner = repository && repository.owner;
+    repo = repository && repository.repo;
+  }
+  
+  if (!owner || !repo) {
+    logger.warn(`Ignoring issue #${issue.issueNumber}: no repository given and no default repository configured`);
+    return null;
+  }
+  
+  return normalizeTriggerData({ host, owner, repo, issueNumber: issue.issueNumber, isBatch: false });
+}
+
+/**
+ * Drop issues that are already listed or mentioned twice
+ * @param {Array} issues - Normalized issue data
+ * @param {Array} knownIssues - Issues detected from URLs
+ * @returns {Array} - Issues not in knownIssues, each listed once, in order of first mention
+ */
+function dedupeIssues(issues, knownIssues) {
+  const seen = new Set(knownIssues.map(getIssueKey));
+  
+  return issues.filter(issue => {
+    const key = getIssueKey(issue);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Get the key identifying an issue across hosts and repositories
+ * @param {Object} issue - Normalized issue data
+ * @returns {string} - host/owner/repo#number, in lower case
+ */
+function getIssueKey(issue) {
+  return `${issue.host}/${issue.owner}/${issue.repo}#${issue.issueNumber}`.toLowerCase();
+}
+
 /**
  * Validate the trigger data
  * @param {Object} triggerData - The trigger data to validate
@@ -132,6 +629,15 @@ export function validateTrigger(triggerData) {
     return false;
   }
   
+  // Search requests need a query, their issues are found later
+  if (triggerData.isSearch) {
+    if (!triggerData.searchQuery) {
+      logger.warn('Invalid search trigger: missing searchQuery');
+      return false;
+    }
+    return true;
+  }
+  
   // Batch requests need an issueList
   if (triggerData.isBatch && (!triggerData.issueList || triggerData.issueList.length === 0)) {
     logger.warn('Invalid batch trigger: missing issueList');
@@ -157,9 +663,11 @@ export function validateTrigger(triggerData) {
 /**
  * Normalize trigger data to ensure consistent format
  * @param {Object} triggerData - The trigger data to normalize
- * @returns {Object} - Normalized trigger data
+ * @param {Object} options - Normalization options
+ * @param {Array} options.hosts - Forge hosts from getForgeHosts (defaults to the GitHub and GitLab configuration)
+ * @returns {Object} - Normalized trigger data, with the forge host of the issue
  */
-export function normalizeTriggerData(triggerData) {
+export function normalizeTriggerData(triggerData, options = {}) {
   if (!triggerData) {
     return null;
   }
@@ -170,23 +678,32 @@ export function normalizeTriggerData(triggerData) {
   }
   
   try {
-    if (triggerData.isBatch) {
+    if (triggerData.isSearch) {
+      // Search results are normalized once they are fetched
+    } else if (triggerData.isBatch) {
       // Normalize each issue in the batch
-      triggerData.issueList = triggerData.issueList.map(issue => normalizeTriggerData(issue));
+      triggerData.issueList = triggerData.issueList.map(issue => normalizeTriggerData(issue, options));
     } else {
-      // Extract owner/repo from URL if available
-      if (triggerData.issueUrl && !triggerData.owner) {
-        const match = GITHUB_ISSUE_REGEX.exec(triggerData.issueUrl);
-        if (match) {
-          triggerData.owner = match[1];
-          triggerData.repo = match[2];
-          triggerData.issueNumber = parseInt(match[3], 10);
+      const hosts = options.hosts || getForgeHosts(getConfig('github'), getConfig('gitlab'));
+      
+      // Extract host/owner/repo from URL if available
+      const parsed = parseForgeUrl(triggerData.issueUrl, hosts);
+      if (parsed) {
+        triggerData.host = triggerData.host || parsed.host;
+        triggerData.owner = triggerData.owner || parsed.owner;
+        triggerData.repo = triggerData.repo || parsed.repo;
+        triggerData.issueNumber = triggerData.issueNumber || parsed.number;
+        
+        // A pull request URL asks for a revision of that pull request
+        if (parsed.isPullRequest) {
+          triggerData.isRevision = true;
         }
       }
       
       // Generate URL if not available
+      triggerData.host = triggerData.host || hosts[0].host;
       if (!triggerData.issueUrl && triggerData.owner && triggerData.repo && triggerData.issueNumber) {
-        triggerData.issueUrl = `https://github.com/${triggerData.owner}/${triggerData.repo}/issues/${triggerData.issueNumber}`;
+        triggerData.issueUrl = createForgeUrl(triggerData.host, triggerData.owner, triggerData.repo, triggerData.issueNumber, 'issues', hosts);
       }
     }
     
@@ -202,6 +719,8 @@ export function normalizeTriggerData(triggerData) {
 
 // Export the module functions
 export default {
+  INTENTS,
+  classifyIntent,
   detectTrigger,
   validateTrigger,
   normalizeTriggerData
@@ -0,0 +1,310 @@
+/**
+ * OpenHands Resolver MCP - Webhook Module
+ *
+ * This module runs an HTTP server that receives GitHub webhooks:
+ * - Verifies the X-Hub-Signature-256 HMAC of every delivery
+ * - Triggers a resolution when a resolution label is added to an issue
+ * - Triggers a resolution when a maintainer comments the resolve command
+ *
+ * Resolutions run in the background; the delivery is acknowledged at once,
+ * because GitHub expects a response within 10 seconds.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import * as defaultResolver from '../../index.js';
+import { getConfig } from '../configuration/index.js';
+import { normalizeTriggerData } from '../trigger_detection/index.js';
+import { getConfiguredForgeHosts } from '../../utils/forge_hosts.js';
+import { RESOLUTION_LABELS } from '../feedback/index.js';
+import { getContextLogger } from '../../utils/logger.js';
+
+const logger = getContextLogger('Webhook');
+
+// Largest accepted payload; GitHub caps webhook payloads at 25 MB
+const MAX_PAYLOAD_SIZE = 25 * 1024 * 1024;
+
+// Comment authors allowed to trigger a resolution with the resolve command
+const TRUSTED_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+/**
+ * Verify the signature of a webhook delivery
+ * @param {Buffer|string} payload - Raw request body
+ * @param {string} signature - Value of the X-Hub-Signature-256 header
+ * @param {string} secret - Webhook secret
+ * @returns {boolean} - True if the signature matches the payload
+ */
+export function verifySignature(payload, signature, secret) {
+  if (!signature || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`
+  );
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Get the trigger data for a webhook event
+ * @param {string} event - Value of the X-GitHub-Event header
+ * @param {Object} payload - Parsed webhook payload
+ * @param {Object} options - Trigger options
+ * @param {string} options.commentCommand - Comment prefix that requests a resolution
+ * @param {Array} options.hosts - Forge hosts of the issue URL, as returned by getForgeHosts
+ * @returns {Object} - { triggerData, reason }; triggerData is null when the event is ignored
+ */
+export function getTriggerFromEvent(event, payload, options = {}) {
+  const commentCommand = options.commentCommand || getConfig('webhook').commentCommand;
+  const { issue, repository } = payload;
+
+  if (event !== 'issues' && event !== 'issue_comment') {
+    return ignore(`Unsupported event: ${event}`);
+  }
+
+  if (!issue || !repository) {
+    return ignore('Payload has no issue or repository');
+  }
+
+  if (issue.pull_request) {
+    return ignore('Pull request events are not resolved');
+  }
+
+  if (issue.state !== 'open') {
+    return ignore(`Issue #${issue.number} is ${issue.state}`);
+  }
+
+  if (event === 'issues') {
+    const labels = payload.action === 'labeled'
+      ? [payload.label && payload.label.name]
+      : payload.action === 'opened' ? (issue.labels || []).map(label => label.name) : [];
+
+    if (!labels.some(label => RESOLUTION_LABELS.includes(label))) {
+      return ignore(`No resolution label in issues.${payload.action} event`);
+    }
+  } else {
+    const { comment } = payload;
+
+    if (payload.action !== 'created' || !comment) {
+      return ignore(`Ignoring issue_comment.${payload.action} event`);
+    }
+
+    if (comment.user && comment.user.type === 'Bot') {
+      return ignore('Comments from bots are ignored');
+    }
+
+    if (!(comment.body || '').trim().startsWith(commentCommand)) {
+      return ignore(`Comment does not start with ${commentCommand}`);
+    }
+
+    if (!TRUSTED_ASSOCIATIONS.includes(comment.author_association)) {
+      return ignore(`Comment author is not a collaborator (${comment.author_association})`);
+    }
+  }
+
+  return {
+    triggerData: normalizeTriggerData({
+      issueUrl: issue.html_url,
+      owner: repository.owner.login,
+      repo: repository.name,
+      issueNumber: issue.number,
+      isBatch: false
+    }, { hosts: options.hosts }),
+    reason: null
+  };
+}
+
+/**
+ * Create the webhook HTTP server
+ * @param {Object} options - Server options
+ * @param {Object} options.resolver - Resolver API (defaults to the main entry point exports)
+ * @param {string} options.secret - Webhook secret (defaults to the webhook configuration)
+ * @param {string} options.path - Request path that receives deliveries
+ * @param {string} options.commentCommand - Comment prefix that requests a resolution
+ * @returns {http.Server} - HTTP server, not yet listening
+ * @throws {Error} If no webhook secret is configured
+ */
+export function createWebhookServer(options = {}) {
+  const resolver = options.resolver || defaultResolver;
+  const config = getWebhookConfig(resolver);
+  const secret = options.secret || config.secret;
+  const webhookPath = options.path || config.path;
+  const commentCommand = options.commentCommand || config.commentCommand;
+
+  if (!secret) {
+    throw new Error('Webhook secret is required. Set WEBHOOK_SECRET environment variable.');
+  }
+
+  // Issues with a resolution in progress, so redeliveries do not start a second one
+  const activeIssues = new Set();
+
+  return http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname !== webhookPath) {
+        return sendJson(res, 404, { error: 'Not found' });
+      }
+
+      if (req.method !== 'POST') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+      }
+
+      const body = await readBody(req);
+      if (body === null) {
+        return sendJson(res, 413, { error: 'Payload too large' });
+      }
+
+      if (!verifySignature(body, req.headers['x-hub-signature-256'], secret)) {
+        logger.warn(`Rejected delivery ${req.headers['x-github-delivery']} with an invalid signature`);
+        return sendJson(res, 401, { error: 'Invalid signature' });
+      }
+
+      const event = req.headers['x-github-event'];
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch (error) {
+        return sendJson(res, 400, { error: 'Payload is not valid JSON' });
+      }
+
+      if (event === 'ping') {
+        return sendJson(res, 200, { ok: true });
+      }
+
+      const { triggerData, reason } = getTriggerFromEvent(event, payload, {
+        commentCommand,
+        hosts: getConfiguredForgeHosts(resolver)
+      });
+      if (!triggerData) {
+        logger.debug(`Ignored delivery ${req.headers['x-github-delivery']}: ${reason}`);
+        return sendJson(res, 200, { ignored: true, reason });
+      }
+
+      if (activeIssues.has(triggerData.issueUrl)) {
+        return sendJson(res, 200, { ignored: true, reason: 'Resolution already in progress' });
+      }
+
+      logger.info(`Delivery ${req.headers['x-github-delivery']} triggered resolution of ${triggerData.issueUrl}`);
+      sendJson(res, 202, { accepted: true, issueUrl: triggerData.issueUrl });
+
+      activeIssues.add(triggerData.issueUrl);
+      resolveInBackground(resolver, triggerData)
+        .finally(() => activeIssues.delete(triggerData.issueUrl));
+    } catch (error) {
+      logger.error('Failed to handle webhook delivery:', error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    }
+  });
+}
+
+/**
+ * Start the webhook server with the configured host and port
+ * @param {Object} resolver - Resolver API (defaults to the main entry point exports)
+ * @returns {Promise<http.Server>} - The listening server
+ */
+export async function startWebhookServer(resolver = defaultResolver) {
+  try {
+    const initSuccess = await resolver.initialize();
+    if (!initSuccess) {
+      throw new Error('Failed to initialize OpenHands Resolver MCP');
+    }
+
+    const { host, port, path } = getWebhookConfig(resolver);
+    const server = createWebhookServer({ resolver });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+
+    logger.info(`Webhook server listening on http://${host}:${port}${path}`);
+    return server;
+  } catch (error) {
+    logger.error('Failed to start webhook server:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the webhook settings of a resolver instance
+ * @param {Object} resolver - Resolver API
+ * @returns {Object} - Webhook configuration section
+ */
+function getWebhookConfig(resolver) {
+  return resolver.getConfig ? resolver.getConfig('webhook') : getConfig('webhook');
+}
+
+/**
+ * Resolve an issue without blocking the webhook response
+ * @param {Object} resolver - Resolver API
+ * @param {Object} triggerData - Trigger data for the issue
+ * @returns {Promise<void>}
+ */
+async function resolveInBackground(resolver, triggerData) {
+  try {
+    const result = await resolver.resolveIssue(triggerData);
+
+    if (result.success) {
+      logger.info(`Webhook resolution of ${triggerData.issueUrl} succeeded: ${result.pullRequestUrl}`);
+    } else {
+      logger.warn(`Webhook resolution of ${triggerData.issueUrl} failed: ${result.error}`);
+    }
+  } catch (error) {
+    logger.error(`Webhook resolution of ${triggerData.issueUrl} failed:`, error);
+  }
+}
+
+/**
+ * Read the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer|null>} - Body, or null if it exceeds the maximum payload size
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // Oversized bodies are drained rather than buffered, so a response can still be sent
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= MAX_PAYLOAD_SIZE) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(size > MAX_PAYLOAD_SIZE ? null : Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the result for an ignored event
+ * @param {string} reason - Why the event is ignored
+ * @returns {Object} - { triggerData: null, reason }
+ */
+function ignore(reason) {
+  return { triggerData: null, reason };
+}
+
+// Export additional functions
+export default {
+  verifySignature,
+  getTriggerFromEvent,
+  createWebhookServer,
+  startWebhookServer
+};
@@ -0,0 +1,14 @@
+/**
+ * OpenHands Resolver MCP - Server Entry Point
+ * 
+ * Starts the OpenHands Resolver as an MCP server on stdio so that
+ * Claude Desktop and other MCP clients can call the resolver tools.
+ */
+
+import { startMcpServer } from './modules/mcp_server/index.js';
+import { logger } from './utils/logger.js';
+
+startMcpServer().catch(error => {
+  logger.error('OpenHands Resolver MCP server exited with an error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+/**
+ * OpenHands Resolver MCP - Cancellation Utility
+ *
+ * Helpers for threading an AbortSignal through resolution runs.
+ * Cancellation errors carry the name 'AbortError', like the native ones.
+ */
+
+/**
+ * Throw if the signal has been aborted
+ * @param {AbortSignal} signal - Optional abort signal
+ * @param {string} message - Error message for the cancellation
+ * @throws {Error} AbortError if the signal is aborted
+ */
+export function throwIfCancelled(signal, message = 'Operation was cancelled') {
+  if (signal && signal.aborted) {
+    const error = new Error(message);
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Check whether an error was caused by cancellation
+ * @param {Error} error - The error to check
+ * @returns {boolean} - True for our own, native and axios cancellation errors
+ */
+export function isCancellationError(error) {
+  return !!error && (
+    error.name === 'AbortError' ||
+    error.name === 'CanceledError' ||
+    error.code === 'ERR_CANCELED'
+  );
+}
+
+/**
+ * Wait for a number of milliseconds, resolving early if the signal is aborted
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
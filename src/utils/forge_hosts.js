@@ -0,0 +1,182 @@
+/**
+ * OpenHands Resolver MCP - Forge Hosts
+ *
+ * Maps the web hosts of github.com, GitHub Enterprise Server and GitLab
+ * instances to their provider, API base URL and token, and parses issue and
+ * pull request URLs of every configured host. GitLab merge requests count as
+ * pull requests.
+ *
+ * The primary host is github.host, or else derived from github.apiBaseUrl, and
+ * uses github.token or the GitHub App of github.appId; further hosts come from
+ * github.hosts, a list of { host, apiBaseUrl, token } or
+ * { host, apiBaseUrl, appId, privateKey, installationId }. GitLab hosts follow:
+ * gitlab.host when gitlab.token is set, then the entries of gitlab.hosts.
+ */
+
+// Web host of the public GitHub API
+const GITHUB_API_HOST = 'api.github.com';
+
+// Path segments before the number of issue and pull request URLs, GitHub's and GitLab's
+const URL_KIND_PATTERNS = {
+  issues: String.raw`(?:-\/)?issues`,
+  pull: String.raw`(?:pull|-\/merge_requests)`
+};
+
+/**
+ * Get the forge hosts of the GitHub and GitLab configurations
+ * @param {Object} githubConfig - GitHub configuration section
+ * @param {Object} gitlabConfig - GitLab configuration section (no GitLab hosts when omitted)
+ * @returns {Array} - Hosts as { provider, host, apiBaseUrl, token, app }; the primary GitHub host comes first.
+ *   provider is 'github' or 'gitlab'; app is { appId, privateKey, installationId } for hosts using a GitHub App, else null
+ */
+export function getForgeHosts(githubConfig = {}, gitlabConfig = {}) {
+  const apiBaseUrl = githubConfig.apiBaseUrl || `https://${GITHUB_API_HOST}`;
+  const apiHost = new URL(apiBaseUrl).host.toLowerCase();
+  const hosts = [{
+    provider: 'github',
+    host: (githubConfig.host || (apiHost === GITHUB_API_HOST ? 'github.com' : apiHost)).toLowerCase(),
+    apiBaseUrl,
+    token: githubConfig.token,
+    app: getAppCredentials(githubConfig)
+  }];
+
+  for (const entry of Array.isArray(githubConfig.hosts) ? githubConfig.hosts : []) {
+    const host = entry.host.toLowerCase();
+    if (!findForgeHost(hosts, host)) {
+      hosts.push({
+        provider: 'github',
+        host,
+        // GitHub Enterprise Server serves its REST API under /api/v3
+        apiBaseUrl: entry.apiBaseUrl || `https://${host}/api/v3`,
+        token: entry.token,
+        app: getAppCredentials(entry)
+      });
+    }
+  }
+
+  const gitlabEntries = [
+    ...(gitlabConfig.token ? [{ host: gitlabConfig.host || 'gitlab.com', apiBaseUrl: gitlabConfig.apiBaseUrl, token: gitlabConfig.token }] : []),
+    ...(Array.isArray(gitlabConfig.hosts) ? gitlabConfig.hosts : [])
+  ];
+  for (const entry of gitlabEntries) {
+    const host = entry.host.toLowerCase();
+    if (!findForgeHost(hosts, host)) {
+      hosts.push({
+        provider: 'gitlab',
+        host,
+        apiBaseUrl: entry.apiBaseUrl || `https://${host}/api/v4`,
+        token: entry.token,
+        app: null
+      });
+    }
+  }
+
+  return hosts;
+}
+
+/**
+ * Get the forge hosts of a resolver or configuration instance
+ * @param {Object} source - Object providing getConfig(section), e.g. a resolver instance
+ * @returns {Array|undefined} - Hosts from getForgeHosts, or undefined without getConfig, so the default configuration applies
+ */
+export function getConfiguredForgeHosts(source) {
+  return source && source.getConfig
+    ? getForgeHosts(source.getConfig('github'), source.getConfig('gitlab'))
+    : undefined;
+}
+
+/**
+ * Find the configuration of a forge host
+ * @param {Array} hosts - Hosts from getForgeHosts
+ * @param {string} host - Web host, e.g. github.example.com
+ * @returns {Object|null} - { host, apiBaseUrl, token }, or null if the host is not configured
+ */
+export function findForgeHost(hosts, host) {
+  const name = String(host || '').toLowerCase();
+  return hosts.find(entry => entry.host === name) || null;
+}
+
+/**
+ * Create a regex matching the issue or pull request URLs of the given hosts
+ * @param {Array} hosts - Hosts from getForgeHosts
+ * @param {string} kind - URL kind: 'issues', 'pull' (including GitLab merge requests) or 'repository'
+ * @param {string} flags - Regex flags
+ * @returns {RegExp} - Regex capturing host, owner, repo and, except for repositories, the number;
+ *   the owner of a GitLab project may be a nested group path like group/subgroup
+ */
+export function createForgeUrlRegex(hosts, kind, flags = 'gi') {
+  const hostPattern = hosts.map(entry => escapeRegex(entry.host)).join('|');
+
+  if (kind === 'repository') {
+    return new RegExp(String.raw`(?<![\w.-])(${hostPattern})\/([\w.-]+)\/([\w.-]+)`, flags);
+  }
+  return new RegExp(String.raw`(?<![\w.-])(${hostPattern})\/((?:[^\/\s]+\/)*?[^\/\s]+)\/([^\/\s]+)\/${URL_KIND_PATTERNS[kind]}\/(\d+)`, flags);
+}
+
+/**
+ * Parse an issue or pull request URL of a configured host
+ * @param {string} url - Issue or pull request URL
+ * @param {Array} hosts - Hosts from getForgeHosts
+ * @returns {Object|null} - { host, owner, repo, number, isPullRequest }, or null if the URL does not match
+ */
+export function parseForgeUrl(url, hosts) {
+  for (const kind of ['issues', 'pull']) {
+    const match = createForgeUrlRegex(hosts, kind, 'i').exec(url || '');
+    if (match) {
+      return {
+        host: match[1].toLowerCase(),
+        owner: match[2],
+        repo: match[3],
+        number: parseInt(match[4], 10),
+        isPullRequest: kind === 'pull'
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the web URL of an issue or pull request
+ * @param {string} host - Web host
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Issue or pull request number
+ * @param {string} kind - URL kind: 'issues' or 'pull'
+ * @param {Array} hosts - Hosts from getForgeHosts, to build GitLab URLs for GitLab hosts
+ * @returns {string} - Web URL
+ */
+export function createForgeUrl(host, owner, repo, number, kind = 'issues', hosts = []) {
+  const forgeHost = findForgeHost(hosts, host);
+
+  if (forgeHost && forgeHost.provider === 'gitlab') {
+    return `https://${host}/${owner}/${repo}/-/${kind === 'pull' ? 'merge_requests' : 'issues'}/${number}`;
+  }
+  return `https://${host}/${owner}/${repo}/${kind}/${number}`;
+}
+
+/**
+ * Get the GitHub App credentials of a host's settings
+ * @param {Object} settings - GitHub configuration or a github.hosts entry
+ * @returns {Object|null} - { appId, privateKey, installationId }, or null if the host uses a token
+ */
+function getAppCredentials(settings) {
+  if (settings.token || !settings.appId || !settings.privateKey) {
+    return null;
+  }
+
+  return {
+    appId: settings.appId,
+    privateKey: settings.privateKey,
+    installationId: settings.installationId
+  };
+}
+
+/**
+ * Escape a string for use in a regex
+ * @param {string} value - String to escape
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
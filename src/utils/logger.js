@@ -20,8 +20,9 @@ export const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: logFormat,
   transports: [
-    // Console transport
+    // Console transport (stderr at every level, so stdout stays free for the MCP stdio protocol)
     new winston.transports.Console({
+      stderrLevels: Object.keys(winston.config.npm.levels),
       format: winston.format.combine(
         winston.format.colorize(),
         logFormat
@@ -39,12 +40,12 @@ export const logger = winston.createLogger({
   ]
 });
 
-// Add MCP-specific context to logs
-export function getContextLogger(context) {
+// Add MCP-specific context to logs; baseLogger lets a resolver instance log elsewhere
+export function getContextLogger(context, baseLogger = logger) {
   return {
-    error: (message, ...meta) => logger.error(`[${context}] ${message}`, ...meta),
-    warn: (message, ...meta) => logger.warn(`[${context}] ${message}`, ...meta),
-    info: (message, ...meta) => logger.info(`[${context}] ${message}`, ...meta),
-    debug: (message, ...meta) => logger.debug(`[${context}] ${message}`, ...meta)
+    error: (message, ...meta) => baseLogger.error(`[${context}] ${message}`, ...meta),
+    warn: (message, ...meta) => baseLogger.warn(`[${context}] ${message}`, ...meta),
+    info: (message, ...meta) => baseLogger.info(`[${context}] ${message}`, ...meta),
+    debug: (message, ...meta) => baseLogger.debug(`[${context}] ${message}`, ...meta)
   };
 }
@@ -0,0 +1,67 @@
+/**
+ * OpenHands Resolver MCP - Pagination Utility
+ *
+ * Follows the Link: rel="next" headers of paginated API responses, collecting
+ * the items of every page up to a page and item cap.
+ */
+
+/**
+ * Parse a Link header
+ * @param {string} header - Link header, e.g. '<https://...&page=2>; rel="next", <https://...&page=5>; rel="last"'
+ * @returns {Object} - URLs by relation, e.g. { next, last }
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+
+  for (const part of (header || '').split(',')) {
+    const match = /<([^>]+)>\s*;\s*rel="([^"]+)"/.exec(part);
+    if (match) {
+      for (const rel of match[2].split(/\s+/)) {
+        links[rel] = match[1];
+      }
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Get the items of every page of a paginated endpoint
+ * @param {Object} client - Axios instance
+ * @param {string} url - URL of the first page, relative to the client's base URL or absolute
+ * @param {Object} options - Pagination options
+ * @param {Object} options.params - Query parameters of the first page; later pages use the URLs of the Link header
+ * @param {AbortSignal} options.signal - Optional signal to cancel the requests
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.maxPages - Most pages to request
+ * @param {number} options.maxItems - Most items to return
+ * @param {Function} options.getItems - Get the items of a page from its response body (defaults to the body itself)
+ * @returns {Promise<Object>} - { items, truncated }; truncated if a cap stopped the paging before the last page
+ */
+export async function paginate(client, url, options = {}) {
+  const {
+    params,
+    signal,
+    headers,
+    maxPages = Infinity,
+    maxItems = Infinity,
+    getItems = data => data
+  } = options;
+
+  const items = [];
+  let nextUrl = url;
+  let pages = 0;
+
+  while (nextUrl) {
+    const response = await client.get(nextUrl, { params: pages === 0 ? params : undefined, headers, signal });
+    items.push(...getItems(response.data));
+    pages += 1;
+    nextUrl = parseLinkHeader(response.headers && response.headers.link).next;
+
+    if (nextUrl && (pages >= maxPages || items.length >= maxItems)) {
+      return { items: items.slice(0, maxItems), truncated: true };
+    }
+  }
+
+  return { items: items.slice(0, maxItems), truncated: items.length > maxItems };
+}
@@ -0,0 +1,57 @@
+/**
+ * OpenHands Resolver MCP - Progress Utility
+ *
+ * Reports the progress of a resolution run stage by stage.
+ * Events have the shape { stage, percent, message }.
+ */
+
+import { getContextLogger } from './logger.js';
+
+const logger = getContextLogger('Progress');
+
+// Resolution stages in execution order, with the percentage reached when each starts
+export const RESOLUTION_STAGES = [
+  { stage: 'fetch', percent: 0, message: 'Fetching issue data' },
+  { stage: 'task_setup', percent: 10, message: 'Setting up resolution task' },
+  { stage: 'code_generation', percent: 25, message: 'Generating code changes' },
+  { stage: 'pull_request', percent: 60, message: 'Creating branch, commits and pull request' },
+  { stage: 'feedback', percent: 85, message: 'Posting feedback on the issue' },
+  { stage: 'visualization', percent: 95, message: 'Creating resolution summary' }
+];
+
+// Stages that run before a batch starts resolving issues
+export const BATCH_STAGES = [
+  { stage: 'search', percent: 0, message: 'Searching GitHub for matching issues' }
+];
+
+/**
+ * Create a progress reporter for a resolution run
+ * @param {Function} onProgress - Optional callback receiving progress events
+ * @returns {Function} - report(stage, message) function
+ */
+export function createProgressReporter(onProgress) {
+  return function report(stage, message) {
+    const definition = [...BATCH_STAGES, ...RESOLUTION_STAGES].find(item => item.stage === stage);
+    const event = {
+      stage,
+      percent: definition ? definition.percent : 100,
+      message: message || (definition ? definition.message : stage)
+    };
+
+    logger.debug(`${event.stage} (${event.percent}%): ${event.message}`);
+
+    if (typeof onProgress !== 'function') {
+      return;
+    }
+
+    // A failing listener must never break the resolution itself
+    try {
+      const result = onProgress(event);
+      if (result && typeof result.catch === 'function') {
+        result.catch(error => logger.warn('Progress listener failed:', error));
+      }
+    } catch (error) {
+      logger.warn('Progress listener failed:', error);
+    }
+  };
+}
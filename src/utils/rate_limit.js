@@ -0,0 +1,144 @@
+/**
+ * OpenHands Resolver MCP - Rate Limit Utility
+ *
+ * Tracks the REST API rate limit budget of every forge host:
+ * - Reads the X-RateLimit-* headers of every response
+ * - Estimates the number of requests one resolution costs
+ * - Tells batches how long to wait so the budget lasts until its reset
+ *
+ * Only the core budget is tracked; search and GraphQL have budgets of their own.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { getContextLogger } from './logger.js';
+
+// Requests of one resolution before any has been measured
+const DEFAULT_RESOLUTION_COST = 25;
+
+// Weight of the latest run in the cost estimate
+const COST_SMOOTHING = 0.3;
+
+/**
+ * Create a rate limit budget tracker
+ * @param {Object} options - Tracker options
+ * @param {Object} options.logger - Base logger (defaults to the shared logger)
+ * @param {Function} options.now - Clock in milliseconds (defaults to Date.now)
+ * @returns {Object} - Budget tracker functions
+ */
+export function createRateLimitBudget({ logger: baseLogger, now = Date.now } = {}) {
+  const logger = getContextLogger('RateLimit', baseLogger);
+
+  // Latest budget by web host: { limit, remaining, reset }, reset in milliseconds
+  const budgets = new Map();
+  // Request counters of the runs in progress
+  const runCosts = new AsyncLocalStorage();
+  let estimatedCost = DEFAULT_RESOLUTION_COST;
+
+  /**
+   * Record the rate limit headers of a response
+   * @param {string} host - Web host the response came from
+   * @param {Object} headers - Response headers
+   */
+  function record(host, headers = {}) {
+    const cost = runCosts.getStore();
+    if (cost) {
+      cost.requests += 1;
+    }
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    if (resource !== 'core' || headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    update(host, {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: Number(headers['x-ratelimit-reset'])
+    });
+  }
+
+  /**
+   * Set the budget of a host, e.g. from the /rate_limit endpoint
+   * @param {string} host - Web host
+   * @param {Object} rate - { limit, remaining, reset }, reset in epoch seconds
+   */
+  function update(host, { limit, remaining, reset }) {
+    budgets.set(host, { limit, remaining, reset: reset * 1000 });
+  }
+
+  /**
+   * Get the current budget of a host
+   * @param {string} host - Web host
+   * @returns {Object|null} - { limit, remaining, reset }, or null if unknown or already reset
+   */
+  function getBudget(host) {
+    const budget = budgets.get(host);
+    return budget && budget.reset > now() ? { ...budget } : null;
+  }
+
+  /**
+   * Run a resolution and count the requests it makes
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} - Result of the function
+   */
+  async function measureCost(fn) {
+    const cost = { requests: 0 };
+    try {
+      return await runCosts.run(cost, fn);
+    } finally {
+      if (cost.requests > 0) {
+        estimatedCost = Math.round(estimatedCost * (1 - COST_SMOOTHING) + cost.requests * COST_SMOOTHING);
+      }
+    }
+  }
+
+  /**
+   * Get the estimated number of requests of one resolution
+   * @returns {number} - Requests
+   */
+  function getEstimatedCost() {
+    return estimatedCost;
+  }
+
+  /**
+   * Get how long to wait before starting the next of the queued resolutions
+   *
+   * No wait if the budget covers every queued resolution. If it covers some,
+   * resolutions are spread over the time until the reset; if it covers none,
+   * the wait lasts until the reset.
+   *
+   * @param {number} queuedRuns - Resolutions still to run, including the next one
+   * @param {string} host - Web host the resolutions use
+   * @returns {number} - Milliseconds to wait
+   */
+  function getDelay(queuedRuns, host) {
+    const budget = getBudget(host);
+    if (!budget || budget.remaining >= queuedRuns * estimatedCost) {
+      return 0;
+    }
+
+    const untilReset = budget.reset - now();
+    const affordableRuns = Math.floor(budget.remaining / estimatedCost);
+
+    if (affordableRuns === 0) {
+      logger.warn(`Rate limit budget of ${host} is down to ${budget.remaining} requests, pausing until it resets`);
+      return untilReset;
+    }
+
+    logger.warn(`Rate limit budget of ${host} covers ${affordableRuns} of ${queuedRuns} queued resolutions, slowing down`);
+    return Math.ceil(untilReset / affordableRuns);
+  }
+
+  return {
+    record,
+    update,
+    getBudget,
+    measureCost,
+    getEstimatedCost,
+    getDelay
+  };
+}
+
+// Budget shared by the default GitHub and GitLab clients and the default resolver,
+// so the headers those clients record pace the batches of the default resolver
+export const sharedRateLimit = createRateLimitBudget();
@@ -0,0 +1,242 @@
+/**
+ * OpenHands Resolver MCP - Response Cache Utility
+ *
+ * Caches GET responses by URL and token, or by a scope that outlives its
+ * tokens (e.g. a GitHub App installation), and revalidates them with
+ * conditional requests:
+ * - Responses carrying an ETag or Last-Modified header are kept
+ * - Repeated requests send If-None-Match and If-Modified-Since
+ * - A 304 Not Modified is answered from the cache; GitHub does not count it
+ *   against the rate limit
+ *
+ * The cache lives in memory and, when given a directory, is persisted there
+ * as one JSON file per response, so later processes start warm.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getContextLogger } from './logger.js';
+
+// Most responses kept in memory; the least recently used are dropped first
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Response headers kept with a cached body; Link carries the pagination
+const CACHED_HEADERS = ['etag', 'last-modified', 'link', 'content-type'];
+
+/**
+ * Create a response cache
+ * @param {Object} options - Cache options
+ * @param {string} options.directory - Directory to persist responses in (memory only when unset)
+ * @param {number} options.maxEntries - Most responses kept in memory
+ * @param {Object} options.logger - Base logger (defaults to the shared logger)
+ * @returns {Object} - Cache functions
+ */
+export function createResponseCache({ directory, maxEntries = DEFAULT_MAX_ENTRIES, logger: baseLogger } = {}) {
+  const logger = getContextLogger('ResponseCache', baseLogger);
+
+  // Cached responses by key, in order of use: { status, headers, data }
+  const entries = new Map();
+
+  /**
+   * Get a cached response
+   * @param {string} key - Cache key from getCacheKey
+   * @returns {Promise<Object|null>} - { status, headers, data }, or null if not cached
+   */
+  async function get(key) {
+    let entry = entries.get(key);
+
+    if (!entry && directory) {
+      entry = await readEntry(key);
+    }
+
+    if (!entry) {
+      return null;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Cache a response
+   * @param {string} key - Cache key from getCacheKey
+   * @param {Object} entry - { status, headers, data }
+   * @returns {Promise<void>}
+   */
+  async function set(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    if (directory) {
+      await writeEntry(key, entry);
+    }
+  }
+
+  /**
+   * Drop every cached response from memory and disk
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    entries.clear();
+
+    if (directory) {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Read a persisted response
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - Cached response, or null if missing or unreadable
+   */
+  async function readEntry(key) {
+    try {
+      return JSON.parse(await fs.readFile(getEntryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable cached response ${getEntryPath(key)}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Persist a response; a failed write only costs a cache miss later
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cached response
+   * @returns {Promise<void>}
+   */
+  async function writeEntry(key, entry) {
+    const entryPath = getEntryPath(key);
+
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      // Write then rename, so concurrent readers never see a partial file
+      const tempPath = `${entryPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(entry), 'utf8');
+      await fs.rename(tempPath, entryPath);
+    } catch (error) {
+      logger.warn(`Failed to persist cached response ${entryPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the file of a persisted response
+   * @param {string} key - Cache key
+   * @returns {string} - File path
+   */
+  function getEntryPath(key) {
+    return path.join(directory, `${key}.json`);
+  }
+
+  return {
+    get,
+    set,
+    clear
+  };
+}
+
+/**
+ * Cache the GET responses of an Axios instance and revalidate them with conditional requests
+ *
+ * Responses are keyed by the cacheScope of the request config when set, and by
+ * its Authorization header otherwise.
+ *
+ * @param {Object} client - Axios instance
+ * @param {Object} cache - Response cache from createResponseCache
+ * @returns {Object} - The Axios instance
+ */
+export function installResponseCache(client, cache) {
+  client.interceptors.request.use(async requestConfig => {
+    if ((requestConfig.method || 'get').toLowerCase() !== 'get' || requestConfig.cache === false) {
+      return requestConfig;
+    }
+
+    const key = getCacheKey(client.getUri(requestConfig), requestConfig.cacheScope || requestConfig.headers.Authorization);
+    const entry = await cache.get(key);
+
+    requestConfig.cacheKey = key;
+    if (entry) {
+      if (entry.headers.etag) {
+        requestConfig.headers['If-None-Match'] = entry.headers.etag;
+      }
+      if (entry.headers['last-modified']) {
+        requestConfig.headers['If-Modified-Since'] = entry.headers['last-modified'];
+      }
+    }
+
+    return requestConfig;
+  });
+
+  client.interceptors.response.use(async response => {
+    const { cacheKey } = response.config;
+
+    if (cacheKey && response.status === 200 && (response.headers.etag || response.headers['last-modified'])) {
+      await cache.set(cacheKey, {
+        status: response.status,
+        headers: pickHeaders(response.headers),
+        data: response.data
+      });
+    }
+
+    return response;
+  }, async error => {
+    const { config, response } = error;
+
+    if (!config || !config.cacheKey || !response || response.status !== 304) {
+      throw error;
+    }
+
+    const entry = await cache.get(config.cacheKey);
+    if (!entry) {
+      throw error;
+    }
+
+    // Fresh headers (e.g. the rate limit) over the cached ones
+    return {
+      status: entry.status,
+      statusText: 'OK',
+      headers: { ...entry.headers, ...response.headers },
+      data: entry.data,
+      config,
+      request: error.request,
+      fromCache: true
+    };
+  });
+
+  return client;
+}
+
+/**
+ * Get the cache key of a request
+ * @param {string} url - Full request URL including the query
+ * @param {string} scope - Cache scope or Authorization header of the request
+ * @returns {string} - Hex key; the scope is hashed in, so persisted files do not reveal a token
+ */
+export function getCacheKey(url, scope = '') {
+  return crypto.createHash('sha256').update(`${scope}\n${url}`).digest('hex');
+}
+
+/**
+ * Keep the response headers worth caching
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Cached headers
+ */
+function pickHeaders(headers) {
+  const picked = {};
+
+  for (const name of CACHED_HEADERS) {
+    if (headers[name] !== undefined) {
+      picked[name] = headers[name];
+    }
+  }
+
+  return picked;
+}
@@ -0,0 +1,167 @@
+/**
+ * OpenHands Resolver MCP - Retry Utility
+ *
+ * Retries failed API requests with jittered exponential backoff:
+ * - Only safe or idempotent requests are retried: GET, HEAD and OPTIONS, and
+ *   requests whose config sets idempotent: true
+ * - Network errors, 5xx responses and rate limit responses are retried
+ * - Retry-After and X-RateLimit-Reset headers set the delay when present
+ *
+ * Retries are counted per run: code running inside trackRetries() records
+ * every retry it causes, even when runs proceed concurrently.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { delay, isCancellationError } from './cancellation.js';
+
+// Methods that never change server state
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+// Retry counters of the runs in progress
+const retryCounters = new AsyncLocalStorage();
+
+/**
+ * Retry the failed requests of an Axios instance
+ * @param {Object} client - Axios instance
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Most retries of one request
+ * @param {number} options.baseDelay - Delay before the first retry, in milliseconds, doubled for every further retry
+ * @param {number} options.maxDelay - Longest delay to wait; requests asking for a longer wait fail instead
+ * @param {Object} options.logger - Logger for retry warnings
+ * @returns {Object} - The Axios instance
+ */
+export function installRetry(client, { maxRetries, baseDelay, maxDelay, logger }) {
+  client.interceptors.response.use(null, async error => {
+    const { config } = error;
+
+    if (!config || !isRetryable(error)) {
+      throw error;
+    }
+
+    const attempt = config.retryCount || 0;
+    if (attempt >= maxRetries) {
+      throw error;
+    }
+
+    const waitMs = getRetryDelay(error, attempt, { baseDelay });
+    if (waitMs > maxDelay) {
+      logger.warn(`Not retrying ${config.method.toUpperCase()} ${config.url}: the server asks to wait ${Math.ceil(waitMs / 1000)}s`);
+      throw error;
+    }
+
+    logger.warn(`Retrying ${config.method.toUpperCase()} ${config.url} in ${waitMs}ms (${describeFailure(error)}, retry ${attempt + 1} of ${maxRetries})`);
+    recordRetry(error);
+
+    await delay(waitMs, config.signal);
+    return client.request({ ...config, retryCount: attempt + 1 });
+  });
+
+  return client;
+}
+
+/**
+ * Check whether a failed request may be retried
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for safe or idempotent requests that failed on the network, a 5xx or a rate limit
+ */
+export function isRetryable(error) {
+  const { config, response } = error;
+
+  if (isCancellationError(error) || !config) {
+    return false;
+  }
+
+  if (!SAFE_METHODS.includes((config.method || 'get').toLowerCase()) && !config.idempotent) {
+    return false;
+  }
+
+  // No response: the connection failed or timed out
+  if (!response) {
+    return true;
+  }
+
+  return response.status >= 500 || isRateLimited(response);
+}
+
+/**
+ * Get the delay before retrying a failed request
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Number of retries so far
+ * @param {Object} options - Delay options
+ * @param {number} options.baseDelay - Delay before the first retry, in milliseconds
+ * @param {number} options.now - Current time in milliseconds (defaults to Date.now())
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(error, attempt, { baseDelay, now = Date.now() }) {
+  const headers = (error.response && error.response.headers) || {};
+
+  // Retry-After is either seconds or an HTTP date
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    return Math.max(0, Number.isNaN(seconds) ? Date.parse(retryAfter) - now : seconds * 1000);
+  }
+
+  // An exhausted rate limit resets at X-RateLimit-Reset, in epoch seconds
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - now);
+  }
+
+  // Half of the backoff is fixed and half random, so concurrent runs spread out
+  const backoff = baseDelay * 2 ** attempt;
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Run a function and count the request retries it causes
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<Object>} - { result, retries }; retries as { total, rateLimited }
+ */
+export async function trackRetries(fn) {
+  const retries = { total: 0, rateLimited: 0 };
+  const result = await retryCounters.run(retries, fn);
+  return { result, retries };
+}
+
+/**
+ * Count a retry for the run in progress
+ * @param {Error} error - Axios error being retried
+ */
+function recordRetry(error) {
+  const retries = retryCounters.getStore();
+
+  if (retries) {
+    retries.total += 1;
+    if (error.response && isRateLimited(error.response)) {
+      retries.rateLimited += 1;
+    }
+  }
+}
+
+/**
+ * Check whether a response is a rate limit response
+ * @param {Object} response - Axios response
+ * @returns {boolean} - True for 429s and for 403s of the primary or secondary rate limit
+ */
+function isRateLimited(response) {
+  if (response.status === 429) {
+    return true;
+  }
+
+  const headers = response.headers || {};
+  const message = (response.data && response.data.message) || '';
+  return response.status === 403 && (
+    headers['retry-after'] !== undefined ||
+    headers['x-ratelimit-remaining'] === '0' ||
+    /rate limit/i.test(message)
+  );
+}
+
+/**
+ * Describe why a request failed, for logging
+ * @param {Error} error - Axios error
+ * @returns {string} - Status code or error code
+ */
+function describeFailure(error) {
+  return error.response ? `status ${error.response.status}` : error.code || error.message;
+}
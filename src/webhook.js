@@ -0,0 +1,14 @@
+/**
+ * OpenHands Resolver MCP - Webhook Server Entry Point
+ * 
+ * Starts the HTTP server that receives GitHub issues and issue_comment
+ * webhooks and resolves issues when a resolution label or command is added.
+ */
+
+import { startWebhookServer } from './modules/webhook/index.js';
+import { logger } from './utils/logger.js';
+
+startWebhookServer().catch(error => {
+  logger.error('OpenHands Resolver webhook server exited with an error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * OpenHands Resolver MCP - Fake Forge Server Test Helper
+ *
+ * Local HTTP stand-in for the GitHub and GitLab REST APIs, serving JSON
+ * from a map of routes and recording every request it receives.
+ */
+
+import http from 'http';
+
+// Logger that keeps test output quiet
+export const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+// Marks a route response with its own status and headers
+const REPLY = Symbol('reply');
+
+/**
+ * Route response other than a 200
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Route response
+ */
+export function reply(status, body, headers = {}) {
+  return { [REPLY]: { status, body, headers } };
+}
+
+/**
+ * Start a fake API server
+ *
+ * Routes are keyed by (encoded) path name; a route gets the request URL, the
+ * request and its parsed JSON body, and returns a body or a reply(...).
+ *
+ * @param {Object} routes - Route handlers by path name
+ * @param {Object} options - Server options
+ * @param {Object} options.notFound - Body of the 404 for unknown paths
+ * @returns {Promise<Object>} - { server, requests, url }; requests are { method, url, authorization, body }
+ */
+export async function startFakeServer(routes, { notFound = { message: 'Not Found' } } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const requestBody = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : null;
+    requests.push({ method: req.method, url, authorization: req.headers.authorization, body: requestBody });
+
+    const handler = routes[url.pathname];
+    const { status, body, headers } = handler
+      ? toReply(handler(url, req, requestBody))
+      : { status: 404, body: notFound, headers: {} };
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Link header pointing to the next of a number of pages
+ * @param {Object} req - Request of the current page
+ * @param {URL} url - URL of the current page
+ * @param {number} page - Current page number
+ * @param {number} pageCount - Number of pages
+ * @returns {Object} - Headers with the Link, or none on the last page
+ */
+export function createLinkHeader(req, url, page, pageCount) {
+  if (page >= pageCount) {
+    return {};
+  }
+  const next = new URL(url.pathname + url.search, `http://${req.headers.host}`);
+  next.searchParams.set('page', String(page + 1));
+  return { Link: `<${next}>; rel="next"` };
+}
+
+// Status, body and headers of a route response
+function toReply(result) {
+  return result && result[REPLY] ? result[REPLY] : { status: 200, body: result, headers: {} };
+}
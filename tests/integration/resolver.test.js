@@ -79,9 +79,10 @@ describe('OpenHands Resolver Integration Tests', () => {
       sha: 'test-sha'
     });
     
-    githubModule.commitFile.mockResolvedValue({
-      path: 'src/test.js',
-      sha: 'test-file-sha'
+    githubModule.commitChanges.mockResolvedValue({
+      branch: 'fix-issue-123-test-issue',
+      sha: 'test-commit-sha',
+      files: [{ path: 'src/test.js', sha: 'test-file-sha', status: 'modified' }]
     });
     
     githubModule.createPullRequest.mockResolvedValue({
@@ -0,0 +1,122 @@
+/**
+ * OpenHands Resolver MCP - Batch Processing Module Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import * as batchModule from '../../src/modules/batch_processing/index.js';
+
+// Create a list of issue trigger objects
+function createIssueList(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    issueUrl: `https://github.com/owner/repo/issues/${i + 1}`,
+    owner: 'owner',
+    repo: 'repo',
+    issueNumber: i + 1
+  }));
+}
+
+describe('Batch Processing Module Tests', () => {
+  test('processBatch should resolve every issue and keep the original order', async () => {
+    // Arrange
+    const issueList = createIssueList(3);
+    const resolveFunction = jest.fn(issue => Promise.resolve({ success: true, issueNumber: issue.issueNumber }));
+
+    // Act
+    const results = await batchModule.processBatch(issueList, resolveFunction);
+
+    // Assert
+    expect(resolveFunction).toHaveBeenCalledTimes(3);
+    expect(results).toHaveLength(3);
+    results.forEach(result => expect(result.success).toBe(true));
+  });
+
+  test('processBatch should resolve issues by priority, ties in list order, and return results in list order', async () => {
+    // Arrange
+    const issueList = createIssueList(4);
+    issueList[2].labels = ['bug'];
+    const resolveFunction = jest.fn(issue => Promise.resolve({ success: true, issueNumber: issue.issueNumber }));
+
+    // Act
+    const results = await batchModule.processBatch(issueList, resolveFunction, { maxConcurrent: 1 });
+
+    // Assert
+    expect(resolveFunction.mock.calls.map(([issue]) => issue.issueNumber)).toEqual([3, 1, 2, 4]);
+    expect(results.map(result => result.issue)).toEqual(issueList);
+    expect(results.map(result => result.result.issueNumber)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('processBatch should reject an empty issue list', async () => {
+    await expect(batchModule.processBatch([], jest.fn())).rejects.toThrow('Invalid issue list');
+  });
+
+  test('processBatch should not start new issues once the signal is aborted', async () => {
+    // Arrange
+    const issueList = createIssueList(8);
+    const controller = new AbortController();
+    const resolveFunction = jest.fn(async issue => {
+      controller.abort();
+      return { success: true, issueNumber: issue.issueNumber };
+    });
+
+    // Act
+    const results = await batchModule.processBatch(issueList, resolveFunction, { signal: controller.signal });
+
+    // Assert
+    const started = results.filter(result => !result.cancelled);
+    const skipped = results.filter(result => result.cancelled);
+    expect(results).toHaveLength(8);
+    expect(started).toHaveLength(resolveFunction.mock.calls.length);
+    expect(skipped.length).toBeGreaterThan(0);
+    skipped.forEach(result => {
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Batch was cancelled before this issue started');
+    });
+  });
+
+  test('processBatch should not start any issue when the signal is already aborted', async () => {
+    // Arrange
+    const controller = new AbortController();
+    controller.abort();
+    const resolveFunction = jest.fn();
+
+    // Act
+    const results = await batchModule.processBatch(createIssueList(2), resolveFunction, { signal: controller.signal });
+
+    // Assert
+    expect(resolveFunction).not.toHaveBeenCalled();
+    expect(results.every(result => result.cancelled)).toBe(true);
+  });
+
+  test('processBatch should ask the rate limit budget before starting each issue', async () => {
+    // Arrange
+    const issueList = createIssueList(3).map(issue => ({ ...issue, labels: [] }));
+    issueList[2].host = 'github.example.com';
+    const rateLimit = { getDelay: jest.fn(() => 0) };
+    const resolveFunction = jest.fn(issue => Promise.resolve({ success: true, issueNumber: issue.issueNumber }));
+
+    // Act
+    await batchModule.processBatch(issueList, resolveFunction, { maxConcurrent: 1, rateLimit, defaultHost: 'github.com' });
+
+    // Assert
+    expect(rateLimit.getDelay.mock.calls.map(([queued]) => queued)).toEqual([3, 2, 1]);
+    expect(rateLimit.getDelay.mock.calls.map(([, host]) => host).sort()).toEqual(['github.com', 'github.com', 'github.example.com']);
+  });
+
+  test('processBatch should wait for the rate limit budget and stop waiting when cancelled', async () => {
+    // Arrange
+    const controller = new AbortController();
+    const rateLimit = { getDelay: jest.fn(() => 60000) };
+    const resolveFunction = jest.fn();
+    setTimeout(() => controller.abort(), 20);
+
+    // Act
+    const results = await batchModule.processBatch(createIssueList(2), resolveFunction, {
+      signal: controller.signal,
+      rateLimit
+    });
+
+    // Assert
+    expect(resolveFunction).not.toHaveBeenCalled();
+    expect(results.every(result => result.cancelled)).toBe(true);
+  });
+});
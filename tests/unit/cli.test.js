@@ -0,0 +1,218 @@
+/**
+ * OpenHands Resolver MCP - CLI Module Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runCli, parseCliArgs, EXIT_CODES } from '../../src/modules/cli/index.js';
+import { RESULT_SCHEMA_VERSION, createBatchResult, createErrorResult } from '../../src/modules/results/index.js';
+import { createConfiguration } from '../../src/modules/configuration/index.js';
+import { createRunStore } from '../../src/modules/run_store/index.js';
+
+// Writable stream that records its output
+function createStream() {
+  return {
+    output: '',
+    write(text) {
+      this.output += text;
+    }
+  };
+}
+
+// Fake resolver so the CLI runs without GitHub
+function createFakeResolver() {
+  return {
+    initialize: jest.fn(() => Promise.resolve(true)),
+    resolveIssue: jest.fn(triggerData => Promise.resolve({
+      success: true,
+      runId: 'owner-repo-123-abc',
+      issueUrl: triggerData.issueUrl,
+      issueNumber: triggerData.issueNumber,
+      pullRequestUrl: 'https://github.com/owner/repo/pull/456',
+      visualization: { markdown: '# 🤖 OpenHands Resolver Summary' }
+    })),
+    resolveBatch: jest.fn(issueList => Promise.resolve(createBatchResult(issueList.map(issue => (
+      issue.issueNumber === 2
+        ? createErrorResult({ errorCode: 'resolution_failed', issueUrl: issue.issueUrl, error: 'Generation failed' })
+        : { schemaVersion: RESULT_SCHEMA_VERSION, success: true, dryRun: false, runId: null, issueUrl: issue.issueUrl,
+          issueNumber: issue.issueNumber, pullRequestUrl: 'https://github.com/owner/repo/pull/456',
+          pullRequestNumber: 456, branch: 'openhands/fix', changedFiles: 1 }
+    ))))),
+    getMcpInfo: jest.fn(() => ({
+      name: 'OpenHands Resolver MCP',
+      version: '0.1.0',
+      description: 'AI-driven GitHub issue resolution system',
+      capabilities: ['Batch processing']
+    }))
+  };
+}
+
+describe('CLI Module Tests', () => {
+  let resolver;
+  let stdout;
+  let stderr;
+
+  beforeEach(() => {
+    resolver = createFakeResolver();
+    stdout = createStream();
+    stderr = createStream();
+  });
+
+  test('parseCliArgs should read the command, arguments and flags', () => {
+    expect(parseCliArgs(['resolve', 'url', '--dry-run', '-j', '--config', 'cfg.json'])).toEqual({
+      command: 'resolve',
+      args: ['url'],
+      config: 'cfg.json',
+      dryRun: true,
+      json: true,
+      help: false
+    });
+  });
+
+  test('resolve should initialize with the config file and print the visualization', async () => {
+    // Act
+    const exitCode = await runCli(
+      ['resolve', 'https://github.com/owner/repo/issues/123', '--config', 'cfg.json'],
+      { resolver, stdout, stderr }
+    );
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+    expect(resolver.initialize).toHaveBeenCalledWith('cfg.json');
+    expect(resolver.resolveIssue.mock.calls[0][0]).toMatchObject({ owner: 'owner', repo: 'repo', issueNumber: 123 });
+    expect(stdout.output).toContain('# 🤖 OpenHands Resolver Summary');
+    expect(stdout.output).toContain('https://github.com/owner/repo/pull/456');
+  });
+
+  test('resolve should pass dry run and print JSON', async () => {
+    // Act
+    const exitCode = await runCli(
+      ['resolve', 'https://github.com/owner/repo/issues/123', '--dry-run', '--json'],
+      { resolver, stdout, stderr }
+    );
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+    expect(resolver.resolveIssue.mock.calls[0][1].dryRun).toBe(true);
+    expect(JSON.parse(stdout.output).runId).toBe('owner-repo-123-abc');
+  });
+
+  test('resolve should reject arguments that are not issue URLs', async () => {
+    // Act
+    const exitCode = await runCli(['resolve', 'not-a-url'], { resolver, stdout, stderr });
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.USAGE);
+    expect(stderr.output).toContain('Not a GitHub issue URL: not-a-url');
+    expect(resolver.resolveIssue).not.toHaveBeenCalled();
+  });
+
+  test('resolve should recognize a host configured only in the config file', async () => {
+    // Arrange
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'openhands-cli-'));
+    const configFile = path.join(directory, 'config.json');
+    await fs.writeFile(configFile, JSON.stringify({
+      github: {
+        token: 'token',
+        hosts: [{ host: 'github.example.com', apiBaseUrl: 'https://github.example.com/api/v3', token: 'enterprise-token' }]
+      }
+    }));
+    const configuration = createConfiguration({}, { logger: { error() {}, warn() {}, info() {}, debug() {} } });
+    resolver.initialize = jest.fn(configPath => configuration.initialize(configPath).then(() => true));
+    resolver.getConfig = configuration.getConfig;
+
+    // Act
+    const exitCode = await runCli(
+      ['resolve', 'https://github.example.com/team/app/issues/7', '--config', configFile],
+      { resolver, stdout, stderr }
+    );
+    await fs.rm(directory, { recursive: true, force: true });
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+    expect(resolver.resolveIssue.mock.calls[0][0]).toMatchObject({
+      host: 'github.example.com',
+      owner: 'team',
+      repo: 'app',
+      issueNumber: 7
+    });
+  });
+
+  test('batch should read issue URLs from a file and fail when an issue fails', async () => {
+    // Arrange
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'openhands-cli-'));
+    const file = path.join(directory, 'issues.txt');
+    await fs.writeFile(file, '# Nightly\nhttps://github.com/owner/repo/issues/1\n\nhttps://github.com/owner/repo/issues/2\n');
+
+    // Act
+    const exitCode = await runCli(['batch', file], { resolver, stdout, stderr });
+    await fs.rm(directory, { recursive: true, force: true });
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.FAILURE);
+    expect(resolver.resolveBatch.mock.calls[0][0]).toHaveLength(2);
+    expect(stdout.output).toContain('1 of 2 issues resolved');
+  });
+
+  test('status should print the stored run', async () => {
+    // Arrange
+    const runStore = {
+      loadRun: jest.fn(() => Promise.resolve({
+        runId: 'owner-repo-123-abc',
+        status: 'failed',
+        dryRun: false,
+        triggerData: { issueUrl: 'https://github.com/owner/repo/issues/123' },
+        completedStages: ['fetch', 'task_setup'],
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:01:00.000Z',
+        result: { success: false, error: 'Rate limited' }
+      }))
+    };
+
+    // Act
+    const exitCode = await runCli(['status', 'owner-repo-123-abc'], { resolver, runStore, stdout, stderr });
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+    expect(stdout.output).toContain('Completed stages: fetch, task_setup');
+    expect(stdout.output).toContain('Rate limited');
+  });
+
+  test('status should read the run from the runs directory of the config file', async () => {
+    // Arrange
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'openhands-cli-'));
+    const configFile = path.join(directory, 'config.json');
+    await fs.writeFile(configFile, JSON.stringify({
+      github: { token: 'token' },
+      runs: { directory: path.join(directory, 'runs') }
+    }));
+    const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+    const run = await createRunStore({ config: createConfiguration({ runs: { directory: path.join(directory, 'runs') } }, { logger: silentLogger }) })
+      .createRun({ issueUrl: 'https://github.com/owner/repo/issues/9', owner: 'owner', repo: 'repo', issueNumber: 9 });
+    // The CLI's run store sees the runs directory once the resolver has loaded the config file
+    const configuration = createConfiguration({}, { logger: silentLogger });
+    resolver.initialize = jest.fn(configPath => configuration.initialize(configPath).then(() => true));
+    const runStore = createRunStore({ config: configuration });
+
+    // Act
+    const exitCode = await runCli(['status', run.runId, '--config', configFile], { resolver, runStore, stdout, stderr });
+    await fs.rm(directory, { recursive: true, force: true });
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.SUCCESS);
+    expect(resolver.initialize).toHaveBeenCalledWith(configFile);
+    expect(stdout.output).toContain(`Run:              ${run.runId}`);
+  });
+
+  test('unknown commands should print the usage', async () => {
+    // Act
+    const exitCode = await runCli(['deploy'], { resolver, stdout, stderr });
+
+    // Assert
+    expect(exitCode).toBe(EXIT_CODES.USAGE);
+    expect(stderr.output).toContain('Unknown command: deploy');
+    expect(stderr.output).toContain('Usage: openhands-resolve');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * OpenHands Resolver MCP - Commit and PR Creation Module Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import * as commitPrModule from '../../src/modules/commit_pr/index.js';
+import { createConfiguration } from '../../src/modules/configuration/index.js';
+
+// Logger that keeps test output quiet
+const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+describe('Commit and PR Creation Module Tests', () => {
+  const issueData = {
+    issueUrl: 'https://github.com/owner/repo/issues/123',
+    owner: 'owner',
+    repo: 'repo',
+    issueNumber: 123,
+    title: 'Login button does nothing',
+    labels: ['bug', 'fix-me'],
+    repository: {
+      defaultBranch: 'main'
+    }
+  };
+
+  const codeChanges = {
+    codeChanges: [
+      {
+        filePath: 'src/login.js',
+        originalContent: 'Original content',
+        modifiedContent: 'Modified content with fix',
+        diff: '@@ -1 +1 @@\n-Original content\n+Modified content with fix',
+        reason: 'Bind the click handler'
+      }
+    ],
+    isValid: true,
+    validationResults: [{ filePath: 'src/login.js', valid: true, messages: [] }],
+    summary: '# Code Changes Summary'
+  };
+
+  test('planPullRequest should return the would-be branch, title, body and diffs', () => {
+    // Act
+    const plan = commitPrModule.planPullRequest(codeChanges, issueData);
+
+    // Assert
+    expect(plan.branch).toMatch(/^fix-issue-123-login-button-does-\d{6}$/);
+    expect(plan.baseBranch).toBe('main');
+    expect(plan.title).toBe('OpenHands: Fix #123: Login button does nothing');
+    expect(plan.body).toContain('Fixes #123');
+    expect(plan.body).toContain('- Modified `src/login.js`: Bind the click handler');
+    expect(plan.changes).toEqual([
+      {
+        filePath: 'src/login.js',
+        reason: 'Bind the click handler',
+        diff: '@@ -1 +1 @@\n-Original content\n+Modified content with fix'
+      }
+    ]);
+  });
+
+  test('createPullRequest should commit every change in one commit and checkpoint the files once', async () => {
+    // Arrange
+    const github = {
+      createBranch: jest.fn(() => Promise.resolve({ name: 'fix-issue-123' })),
+      commitChanges: jest.fn(() => Promise.resolve({
+        branch: 'fix-issue-123',
+        sha: 'commit-sha',
+        files: [
+          { path: 'src/login.js', sha: 'blob-sha', status: 'modified' },
+          { path: 'src/legacy.js', sha: null, status: 'deleted' }
+        ]
+      })),
+      createPullRequest: jest.fn(() => Promise.resolve({ pullRequestUrl: 'https://github.com/owner/repo/pull/456', pullRequestNumber: 456 }))
+    };
+    const commitPr = commitPrModule.createCommitPr({
+      config: createConfiguration({}, { logger: silentLogger }),
+      github,
+      logger: silentLogger
+    });
+    const onCheckpoint = jest.fn(() => Promise.resolve());
+    const changes = {
+      ...codeChanges,
+      codeChanges: [
+        ...codeChanges.codeChanges,
+        { filePath: 'src/legacy.js', deleted: true, reason: 'Remove the unused handler' }
+      ]
+    };
+
+    // Act
+    const pullRequest = await commitPr.createPullRequest(changes, issueData, { onCheckpoint });
+
+    // Assert
+    expect(github.commitChanges).toHaveBeenCalledTimes(1);
+    expect(github.commitChanges.mock.calls[0].slice(0, 5)).toEqual([
+      'owner',
+      'repo',
+      'fix-issue-123',
+      [
+        { path: 'src/login.js', content: 'Modified content with fix', mode: undefined, previousPath: undefined, deleted: false },
+        { path: 'src/legacy.js', content: undefined, mode: undefined, previousPath: undefined, deleted: true }
+      ],
+      'Fix issue #123: Login button does nothing\n\n- src/login.js: Bind the click handler\n- src/legacy.js: Remove the unused handler'
+    ]);
+    expect(onCheckpoint.mock.calls.map(([checkpoint]) => checkpoint.committedFiles)).toEqual([
+      [],
+      ['src/login.js', 'src/legacy.js']
+    ]);
+    expect(github.createPullRequest.mock.calls[0][3]).toContain('- Deleted `src/legacy.js`: Remove the unused handler');
+    expect(pullRequest).toMatchObject({ branch: 'fix-issue-123', commits: 1 });
+    expect(pullRequest.files).toHaveLength(2);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * OpenHands Resolver MCP - Forge Module Unit Tests
+ */
+
+import { createForge } from '../../src/modules/forge/index.js';
+import { createConfiguration } from '../../src/modules/configuration/index.js';
+import { parseForgeUrl, createForgeUrl, getForgeHosts } from '../../src/utils/forge_hosts.js';
+
+// Logger that keeps test output quiet
+const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+// Provider recording its calls; implements only the given functions
+function createFakeProvider(name, functionNames) {
+  const calls = [];
+  const provider = {
+    calls,
+    initialize: async () => {
+      calls.push({ name: 'initialize', args: [] });
+    }
+  };
+  for (const functionName of functionNames) {
+    provider[functionName] = async (...args) => {
+      calls.push({ name: functionName, args });
+      return { provider: name };
+    };
+  }
+  return provider;
+}
+
+// Configuration with GitHub on github.com and GitLab on gitlab.example.com
+function createForgeConfig(github = { token: 'gh-token' }) {
+  return createConfiguration({
+    github,
+    gitlab: { token: 'gl-token', host: 'gitlab.example.com' }
+  }, { logger: silentLogger });
+}
+
+describe('Forge Module Tests', () => {
+  test('calls should go to the provider of the URL or host option', async () => {
+    // Arrange
+    const github = createFakeProvider('github', ['fetchIssueData', 'createBranch', 'searchIssues']);
+    const gitlab = createFakeProvider('gitlab', ['fetchIssueData', 'createBranch']);
+    const forge = createForge({ config: createForgeConfig(), logger: silentLogger, providers: { github, gitlab } });
+    await forge.initialize();
+
+    // Act
+    const gitlabIssue = await forge.fetchIssueData('https://gitlab.example.com/group/sub/proj/-/issues/12');
+    const githubIssue = await forge.fetchIssueData('https://github.com/owner/repo/issues/1');
+    const gitlabBranch = await forge.createBranch('group/sub', 'proj', 'fix-issue-12', { host: 'gitlab.example.com' });
+    const githubBranch = await forge.createBranch('owner', 'repo', 'fix-issue-1');
+
+    // Assert
+    expect([gitlabIssue, githubIssue, gitlabBranch, githubBranch].map(result => result.provider))
+      .toEqual(['gitlab', 'github', 'gitlab', 'github']);
+    expect(gitlab.calls.map(call => call.name)).toEqual(['initialize', 'fetchIssueData', 'createBranch']);
+    expect(github.calls.map(call => call.name)).toEqual(['initialize', 'fetchIssueData', 'createBranch']);
+    await expect(forge.searchIssues('owner', 'repo', {}, { host: 'gitlab.example.com' }))
+      .rejects.toThrow('searchIssues is not supported for GitLab hosts');
+  });
+
+  test('only GitLab should be initialized when GitHub has no credentials', async () => {
+    // Arrange
+    const github = createFakeProvider('github', ['fetchIssueData']);
+    const gitlab = createFakeProvider('gitlab', ['fetchIssueData']);
+    const forge = createForge({ config: createForgeConfig({ token: '' }), logger: silentLogger, providers: { github, gitlab } });
+
+    // Act
+    await forge.initialize();
+
+    // Assert
+    expect(github.calls).toEqual([]);
+    expect(gitlab.calls.map(call => call.name)).toEqual(['initialize']);
+    await expect(forge.fetchIssueData('https://github.com/owner/repo/issues/1'))
+      .rejects.toThrow('The GitHub provider is not initialized');
+  });
+
+  test('GitLab issue and merge request URLs should be parsed and created', () => {
+    // Arrange
+    const hosts = getForgeHosts({ token: 'gh-token' }, { token: 'gl-token', host: 'gitlab.example.com' });
+
+    // Act
+    const issue = parseForgeUrl('https://gitlab.example.com/group/sub/proj/-/issues/12', hosts);
+    const mergeRequest = parseForgeUrl('https://gitlab.example.com/group/proj/-/merge_requests/4', hosts);
+    const mergeRequestUrl = createForgeUrl('gitlab.example.com', 'group/sub', 'proj', 4, 'pull', hosts);
+
+    // Assert
+    expect(issue).toMatchObject({ host: 'gitlab.example.com', owner: 'group/sub', repo: 'proj', number: 12, isPullRequest: false });
+    expect(mergeRequest).toMatchObject({ owner: 'group', repo: 'proj', number: 4, isPullRequest: true });
+    expect(mergeRequestUrl).toBe('https://gitlab.example.com/group/sub/proj/-/merge_requests/4');
+    expect(hosts.find(forgeHost => forgeHost.host === 'gitlab.example.com')).toMatchObject({
+      provider: 'gitlab',
+      apiBaseUrl: 'https://gitlab.example.com/api/v4'
+    });
+  });
+});
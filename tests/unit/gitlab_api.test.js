@@ -0,0 +1,256 @@
+/**
+ * OpenHands Resolver MCP - GitLab API Module Unit Tests
+ */
+
+import { createGitLabClient } from '../../src/modules/gitlab_api/index.js';
+import { createConfiguration } from '../../src/modules/configuration/index.js';
+import { silentLogger, reply, startFakeServer, createLinkHeader } from '../helpers/fake_server.js';
+
+// API path of the group/sub/proj project
+const PROJECT = '/api/v4/projects/group%2Fsub%2Fproj';
+
+// Local stand-in for the GitLab REST API v4
+function startFakeGitLab(routes) {
+  return startFakeServer(routes, { notFound: { message: '404 Not Found' } });
+}
+
+// Routes every GitLab client needs: the token check and the project
+function createProjectRoutes() {
+  return {
+    '/api/v4/user': () => ({ username: 'resolver-bot' }),
+    [PROJECT]: () => ({
+      id: 42,
+      path: 'proj',
+      path_with_namespace: 'group/sub/proj',
+      description: 'A nested project',
+      default_branch: 'main',
+      visibility: 'private'
+    }),
+    [`${PROJECT}/languages`]: () => ({ Ruby: 20.5, JavaScript: 79.5 })
+  };
+}
+
+// Create an initialized client of the fake GitLab at gitlab.example.com
+async function createClient(fakeGitLab) {
+  const config = createConfiguration({
+    gitlab: { token: 'gl-token', host: 'gitlab.example.com', apiBaseUrl: `${fakeGitLab.url}/api/v4` }
+  }, { logger: silentLogger });
+  const gitlab = createGitLabClient({ config, logger: silentLogger });
+  await gitlab.initialize();
+  return gitlab;
+}
+
+describe('GitLab API Module Tests', () => {
+  let fakeGitLab;
+
+  afterEach(async () => {
+    await new Promise(resolve => fakeGitLab.server.close(resolve));
+  });
+
+  test('fetchIssueData should load the issue of a nested project with every page of notes', async () => {
+    // Arrange
+    fakeGitLab = await startFakeGitLab({
+      ...createProjectRoutes(),
+      [`${PROJECT}/issues/12`]: () => ({
+        iid: 12,
+        title: 'Login fails',
+        description: 'Steps to reproduce',
+        state: 'opened',
+        labels: ['bug'],
+        assignees: [{ username: 'amy' }]
+      }),
+      [`${PROJECT}/issues/12/notes`]: (url, req) => {
+        const page = Number(url.searchParams.get('page') || 1);
+        const notes = page === 1
+          ? [
+            { id: 1, system: true, author: { username: 'amy' }, body: 'added ~bug label', created_at: '2024-01-01T00:00:00Z' },
+            { id: 2, system: false, author: { username: 'amy' }, body: 'Fails on Safari', created_at: '2024-01-01T00:00:00Z' }
+          ]
+          : [{ id: 3, system: false, author: { username: 'bob' }, body: 'Same here', created_at: '2024-01-02T00:00:00Z' }];
+        return reply(200, notes, createLinkHeader(req, url, page, 2));
+      }
+    });
+    const gitlab = await createClient(fakeGitLab);
+
+    // Act
+    const issueData = await gitlab.fetchIssueData('https://gitlab.example.com/group/sub/proj/-/issues/12');
+
+    // Assert
+    expect(issueData).toEqual({
+      issueUrl: 'https://gitlab.example.com/group/sub/proj/-/issues/12',
+      host: 'gitlab.example.com',
+      owner: 'group/sub',
+      repo: 'proj',
+      issueNumber: 12,
+      title: 'Login fails',
+      body: 'Steps to reproduce',
+      labels: ['bug'],
+      assignees: ['amy'],
+      state: 'open',
+      comments: [
+        { id: 2, user: 'amy', body: 'Fails on Safari', createdAt: '2024-01-01T00:00:00Z' },
+        { id: 3, user: 'bob', body: 'Same here', createdAt: '2024-01-02T00:00:00Z' }
+      ],
+      repository: {
+        name: 'proj',
+        fullName: 'group/sub/proj',
+        description: 'A nested project',
+        defaultBranch: 'main',
+        language: 'JavaScript',
+        isPrivate: true
+      }
+    });
+    expect(fakeGitLab.requests.every(request => request.authorization === 'Bearer gl-token')).toBe(true);
+  });
+
+  test('fetchPullRequestData should return the fork branch, diff notes and unresolved threads of a merge request', async () => {
+    // Arrange
+    fakeGitLab = await startFakeGitLab({
+      ...createProjectRoutes(),
+      [`${PROJECT}/merge_requests/4`]: () => ({
+        iid: 4,
+        title: 'Fix login',
+        description: 'Fixes #12',
+        state: 'opened',
+        labels: [],
+        web_url: 'https://gitlab.example.com/group/sub/proj/-/merge_requests/4',
+        source_branch: 'fix-login',
+        target_branch: 'main',
+        source_project_id: 7,
+        target_project_id: 42
+      }),
+      '/api/v4/projects/7': () => ({ path_with_namespace: 'amy/proj' }),
+      [`${PROJECT}/merge_requests/4/discussions`]: () => [
+        {
+          notes: [{
+            id: 10,
+            system: false,
+            author: { username: 'bob' },
+            body: 'Handle the null case',
+            created_at: '2024-01-03T00:00:00Z',
+            position: { new_path: 'src/login.js', new_line: 8 }
+          }]
+        },
+        {
+          notes: [
+            { id: 11, system: false, resolvable: true, resolved: false, author: { username: 'bob' }, body: 'Please add a test', created_at: '2024-01-03T00:00:00Z' },
+            { id: 12, system: false, resolvable: true, resolved: true, author: { username: 'bob' }, body: 'Rename the helper', created_at: '2024-01-03T00:00:00Z' }
+          ]
+        }
+      ]
+    });
+    const gitlab = await createClient(fakeGitLab);
+
+    // Act
+    const pullData = await gitlab.fetchPullRequestData('https://gitlab.example.com/group/sub/proj/-/merge_requests/4');
+
+    // Assert
+    expect(pullData.pullRequest).toEqual({
+      number: 4,
+      url: 'https://gitlab.example.com/group/sub/proj/-/merge_requests/4',
+      baseBranch: 'main',
+      head: { host: 'gitlab.example.com', owner: 'amy', repo: 'proj', branch: 'fix-login' },
+      requestedChanges: [{ id: 11, user: 'bob', body: 'Please add a test', submittedAt: '2024-01-03T00:00:00Z' }],
+      reviewComments: [{ id: 10, user: 'bob', path: 'src/login.js', line: 8, body: 'Handle the null case', createdAt: '2024-01-03T00:00:00Z' }]
+    });
+    expect(pullData.comments).toEqual(pullData.pullRequest.reviewComments);
+  });
+
+  test('a branch, one commit of every change and a draft merge request should be created', async () => {
+    // Arrange
+    const existingFiles = ['build.sh', 'src/old.js', 'src/unused.js'];
+    fakeGitLab = await startFakeGitLab({
+      ...createProjectRoutes(),
+      [`${PROJECT}/repository/branches`]: (url, req, body) => reply(201, {
+        name: body.branch,
+        commit: { id: 'base-sha' },
+        web_url: `https://gitlab.example.com/group/sub/proj/-/tree/${body.branch}`
+      }),
+      ...Object.fromEntries(['build.sh', 'src/new.js', 'src/renamed.js', 'src/old.js', 'src/unused.js', 'src/missing.js'].map(file => [
+        `${PROJECT}/repository/files/${encodeURIComponent(file)}`,
+        () => (existingFiles.includes(file) ? {} : reply(404, { message: '404 File Not Found' }))
+      ])),
+      [`${PROJECT}/repository/commits`]: () => reply(201, {
+        id: 'commit-sha',
+        web_url: 'https://gitlab.example.com/group/sub/proj/-/commit/commit-sha'
+      }),
+      [`${PROJECT}/merge_requests`]: (url, req, body) => reply(201, {
+        iid: 5,
+        web_url: 'https://gitlab.example.com/group/sub/proj/-/merge_requests/5',
+        state: 'opened',
+        title: body.title,
+        description: body.description
+      })
+    });
+    const gitlab = await createClient(fakeGitLab);
+
+    // Act
+    const branch = await gitlab.createBranch('group/sub', 'proj', 'fix-issue-12');
+    const commit = await gitlab.commitChanges('group/sub', 'proj', 'fix-issue-12', [
+      { path: 'build.sh', content: 'make all', mode: '100755' },
+      { path: 'src/new.js', content: 'export {};' },
+      { path: 'src/renamed.js', previousPath: 'src/old.js' },
+      { path: 'src/unused.js', deleted: true },
+      { path: 'src/missing.js', deleted: true }
+    ], 'Fix issue #12: Login fails');
+    const mergeRequest = await gitlab.createPullRequest('group/sub', 'proj', 'Fix login', 'Fixes #12', 'fix-issue-12', 'main', true);
+
+    // Assert
+    const writes = fakeGitLab.requests.filter(request => request.method === 'POST');
+    expect(writes.map(request => request.url.pathname)).toEqual([
+      `${PROJECT}/repository/branches`,
+      `${PROJECT}/repository/commits`,
+      `${PROJECT}/merge_requests`
+    ]);
+    expect(writes[0].body).toEqual({ branch: 'fix-issue-12', ref: 'main' });
+    expect(writes[1].body).toEqual({
+      branch: 'fix-issue-12',
+      commit_message: 'Fix issue #12: Login fails',
+      actions: [
+        { action: 'update', file_path: 'build.sh', content: Buffer.from('make all').toString('base64'), encoding: 'base64' },
+        { action: 'chmod', file_path: 'build.sh', execute_filemode: true },
+        { action: 'create', file_path: 'src/new.js', content: Buffer.from('export {};').toString('base64'), encoding: 'base64' },
+        { action: 'move', file_path: 'src/renamed.js', previous_path: 'src/old.js' },
+        { action: 'delete', file_path: 'src/unused.js' }
+      ]
+    });
+    expect(writes[2].body).toEqual({ source_branch: 'fix-issue-12', target_branch: 'main', title: 'Draft: Fix login', description: 'Fixes #12' });
+    expect(branch).toEqual({ name: 'fix-issue-12', sha: 'base-sha', url: 'https://gitlab.example.com/group/sub/proj/-/tree/fix-issue-12' });
+    expect(commit.sha).toBe('commit-sha');
+    expect(commit.files.map(file => `${file.status} ${file.path}`)).toEqual([
+      'modified build.sh',
+      'added src/new.js',
+      'renamed src/renamed.js',
+      'deleted src/unused.js'
+    ]);
+    expect(mergeRequest).toEqual({
+      pullRequestUrl: 'https://gitlab.example.com/group/sub/proj/-/merge_requests/5',
+      pullRequestNumber: 5,
+      state: 'open',
+      title: 'Draft: Fix login',
+      body: 'Fixes #12'
+    });
+  });
+
+  test('comments and labels should go to the issue, or to the merge request of a revision', async () => {
+    // Arrange
+    fakeGitLab = await startFakeGitLab({
+      ...createProjectRoutes(),
+      [`${PROJECT}/issues/12/notes`]: () => reply(201, { id: 30 }),
+      [`${PROJECT}/merge_requests/4/notes`]: () => reply(201, { id: 31 }),
+      [`${PROJECT}/issues/12`]: (url, req, body) => ({ iid: 12, labels: body.labels.split(',') })
+    });
+    const gitlab = await createClient(fakeGitLab);
+
+    // Act
+    const issueComment = await gitlab.addIssueComment('group/sub', 'proj', 12, 'Working on it');
+    const mergeComment = await gitlab.addIssueComment('group/sub', 'proj', 4, 'Pushed a fix', { isPullRequest: true });
+    const labels = await gitlab.updateIssueLabels('group/sub', 'proj', 12, ['bug', 'ai-assisted']);
+
+    // Assert
+    expect(issueComment.url).toBe('https://gitlab.example.com/group/sub/proj/-/issues/12#note_30');
+    expect(mergeComment.url).toBe('https://gitlab.example.com/group/sub/proj/-/merge_requests/4#note_31');
+    expect(labels).toEqual({ issueNumber: 12, labels: ['bug', 'ai-assisted'] });
+    expect(fakeGitLab.requests.find(request => request.method === 'PUT').body).toEqual({ labels: 'bug,ai-assisted' });
+  });
+});
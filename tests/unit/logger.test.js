@@ -0,0 +1,47 @@
+/**
+ * OpenHands Resolver MCP - Logger Utility Unit Tests
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Logger module, imported by a separate process so its stdout can be inspected
+const LOGGER_URL = new URL('../../src/utils/logger.js', import.meta.url).href;
+
+describe('Logger Utility Tests', () => {
+  let workDir;
+
+  beforeEach(async () => {
+    // The file transports write to logs/ under the working directory
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'openhands-logger-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('messages at every level should go to stderr and leave stdout to the MCP stdio protocol', async () => {
+    // Arrange
+    const script = `
+      import { logger } from ${JSON.stringify(LOGGER_URL)};
+      for (const level of ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']) {
+        logger.log(level, level + ' message');
+      }
+    `;
+
+    // Act
+    const { stdout, stderr } = await new Promise((resolve, reject) => {
+      execFile(process.execPath, ['--input-type=module', '-e', script], {
+        cwd: workDir,
+        env: { ...process.env, LOG_LEVEL: 'silly' }
+      }, (error, stdout, stderr) => (error ? reject(error) : resolve({ stdout, stderr })));
+    });
+
+    // Assert
+    expect(stdout).toBe('');
+    expect(stderr).toContain('verbose message');
+    expect(stderr).toContain('silly message');
+  });
+});
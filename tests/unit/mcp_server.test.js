@@ -0,0 +1,177 @@
+/**
+ * OpenHands Resolver MCP - MCP Server Module Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createMcpServer } from '../../src/modules/mcp_server/index.js';
+import { createBatchResult, createErrorResult } from '../../src/modules/results/index.js';
+
+describe('MCP Server Module Tests', () => {
+  let resolver;
+  let client;
+
+  beforeEach(async () => {
+    // Fake resolver API so no GitHub calls are made
+    resolver = {
+      initialize: jest.fn(() => Promise.resolve(true)),
+      resolveIssue: jest.fn(triggerData => Promise.resolve({
+        success: true,
+        issueUrl: triggerData.issueUrl,
+        issueNumber: triggerData.issueNumber,
+        pullRequestUrl: 'https://github.com/owner/repo/pull/456'
+      })),
+      resolveBatch: jest.fn(issueList => Promise.resolve(createBatchResult(
+        issueList.map(issue => createErrorResult({ errorCode: 'cancelled', issueUrl: issue.issueUrl, error: 'Cancelled' }))
+      ))),
+      getMcpInfo: jest.fn(() => ({ name: 'OpenHands Resolver MCP', version: '0.1.0' }))
+    };
+
+    const server = createMcpServer(resolver);
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([
+      server.connect(serverTransport),
+      client.connect(clientTransport)
+    ]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  test('should list the resolver tools with input schemas', async () => {
+    // Act
+    const { tools } = await client.listTools();
+
+    // Assert
+    expect(tools.map(tool => tool.name)).toEqual(['resolve_issue', 'resolve_batch', 'resume_run', 'get_resolver_info']);
+    tools.forEach(tool => expect(tool.inputSchema.type).toBe('object'));
+  });
+
+  test('resolve_issue should normalize owner/repo/issueNumber into an issue URL', async () => {
+    // Act
+    const result = await client.callTool({
+      name: 'resolve_issue',
+      arguments: { owner: 'owner', repo: 'repo', issueNumber: 123 }
+    });
+
+    // Assert
+    expect(result.isError).toBe(false);
+    expect(resolver.initialize).toHaveBeenCalled();
+    expect(resolver.resolveIssue).toHaveBeenCalledWith(expect.objectContaining({
+      issueUrl: 'https://github.com/owner/repo/issues/123'
+    }), expect.any(Object));
+    expect(JSON.parse(result.content[0].text).pullRequestUrl).toBe('https://github.com/owner/repo/pull/456');
+  });
+
+  test('resolve_issue should parse issue URLs of a GitHub Enterprise host of the resolver configuration', async () => {
+    // Arrange
+    const sections = { github: { token: 'gh-token', hosts: [{ host: 'github.example.com', token: 'ghes-token' }] }, gitlab: {} };
+    resolver.getConfig = section => sections[section];
+
+    // Act
+    const result = await client.callTool({
+      name: 'resolve_issue',
+      arguments: { issueUrl: 'https://github.example.com/team/app/issues/7' }
+    });
+
+    // Assert
+    expect(result.isError).toBe(false);
+    expect(resolver.resolveIssue).toHaveBeenCalledWith(expect.objectContaining({
+      host: 'github.example.com',
+      owner: 'team',
+      repo: 'app',
+      issueNumber: 7
+    }), expect.any(Object));
+  });
+
+  test('resolve_issue should report failed resolutions as tool errors', async () => {
+    // Arrange
+    resolver.resolveIssue.mockResolvedValue({ success: false, error: 'Failed to generate code' });
+
+    // Act
+    const result = await client.callTool({
+      name: 'resolve_issue',
+      arguments: { issueUrl: 'https://github.com/owner/repo/issues/123' }
+    });
+
+    // Assert
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text).error).toBe('Failed to generate code');
+  });
+
+  test('resolve_issue should send stage progress as MCP progress notifications', async () => {
+    // Arrange
+    resolver.resolveIssue.mockImplementation(async (triggerData, options) => {
+      options.onProgress({ stage: 'fetch', percent: 0, message: 'Fetching issue data' });
+      options.onProgress({ stage: 'code_generation', percent: 25, message: 'Generating code changes' });
+      options.onProgress({ stage: 'complete', percent: 100, message: 'Resolved issue #123' });
+      return { success: true };
+    });
+    const notifications = [];
+
+    // Act
+    await client.callTool(
+      { name: 'resolve_issue', arguments: { issueUrl: 'https://github.com/owner/repo/issues/123' } },
+      undefined,
+      { onprogress: progress => notifications.push(progress) }
+    );
+
+    // Assert
+    expect(notifications.map(progress => progress.progress)).toEqual([0, 25, 100]);
+    expect(notifications[1]).toEqual({
+      progress: 25,
+      total: 100,
+      message: '[code_generation] Generating code changes'
+    });
+  });
+
+  test('resolve_issue should not report progress without a progress token', async () => {
+    // Act
+    await client.callTool({ name: 'resolve_issue', arguments: { issueUrl: 'https://github.com/owner/repo/issues/123' } });
+
+    // Assert
+    expect(resolver.resolveIssue.mock.calls[0][1].onProgress).toBeNull();
+  });
+
+  test('resolve_issue should pass the dryRun flag to the resolver', async () => {
+    // Act
+    await client.callTool({
+      name: 'resolve_issue',
+      arguments: { issueUrl: 'https://github.com/owner/repo/issues/123', dryRun: true }
+    });
+
+    // Assert
+    expect(resolver.resolveIssue.mock.calls[0][1].dryRun).toBe(true);
+  });
+
+  test('resolve_batch should pass every issue URL to the batch resolver', async () => {
+    // Act
+    const result = await client.callTool({
+      name: 'resolve_batch',
+      arguments: {
+        issueUrls: [
+          'https://github.com/owner/repo/issues/123',
+          'https://github.com/owner/repo/issues/124'
+        ]
+      }
+    });
+
+    // Assert
+    const issueList = resolver.resolveBatch.mock.calls[0][0];
+    expect(issueList.map(issue => issue.issueNumber)).toEqual([123, 124]);
+    expect(JSON.parse(result.content[0].text).results).toHaveLength(2);
+  });
+
+  test('get_resolver_info should return the resolver information', async () => {
+    // Act
+    const result = await client.callTool({ name: 'get_resolver_info', arguments: {} });
+
+    // Assert
+    expect(JSON.parse(result.content[0].text).version).toBe('0.1.0');
+    expect(resolver.initialize).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * OpenHands Resolver MCP - Pipeline Module Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import { createPipeline, PIPELINE_STAGES } from '../../src/modules/pipeline/index.js';
+import { createDefaultPlugins } from '../../src/modules/pipeline/default_plugins.js';
+
+// Fake core modules so the default plugins run without GitHub
+function createFakeModules() {
+  return {
+    github: {
+      fetchIssueData: jest.fn(() => Promise.resolve({ issueNumber: 123, owner: 'owner', repo: 'repo' }))
+    },
+    taskSetup: {
+      setupTask: jest.fn(issueData => Promise.resolve({ issueData }))
+    },
+    codeGen: {
+      generateAndValidateCode: jest.fn(() => Promise.resolve({ codeChanges: [], isValid: true }))
+    },
+    commitPr: {
+      createPullRequest: jest.fn(() => Promise.resolve({ pullRequestNumber: 456, branch: 'fix-issue-123' })),
+      planPullRequest: jest.fn(() => ({ branch: 'fix-issue-123', title: 'Fix #123' }))
+    },
+    feedback: {
+      provideFeedback: jest.fn(() => Promise.resolve({ status: 'success' })),
+      previewFeedback: jest.fn(() => ({ commentText: 'Comment', labels: [] })),
+      createVisualization: jest.fn(() => ({ markdown: '# Summary' }))
+    }
+  };
+}
+
+describe('Pipeline Module Tests', () => {
+  let modules;
+
+  beforeEach(() => {
+    modules = createFakeModules();
+  });
+
+  test('run should execute the default plugins for every stage in order', async () => {
+    // Arrange
+    const pipeline = createPipeline(createDefaultPlugins(modules));
+    const events = [];
+
+    // Act
+    const context = await pipeline.run(
+      { triggerData: { issueUrl: 'https://github.com/owner/repo/issues/123' } },
+      { onProgress: event => events.push(event.stage) }
+    );
+
+    // Assert
+    expect(context.error).toBeNull();
+    expect(context.completedStages).toEqual(PIPELINE_STAGES);
+    expect(events).toEqual(PIPELINE_STAGES);
+    expect(context.state.prResult.pullRequestNumber).toBe(456);
+    expect(context.state.visualization.markdown).toBe('# Summary');
+  });
+
+  test('run should let before and after hooks inspect and modify the stage state', async () => {
+    // Arrange
+    const calls = [];
+    const pipeline = createPipeline(createDefaultPlugins(modules)).use({
+      name: 'jira-update',
+      stages: {
+        pull_request: {
+          before: ({ state }) => calls.push(`before:${state.codeChanges.isValid}`),
+          after: ({ state }) => {
+            calls.push(`after:${state.prResult.pullRequestNumber}`);
+            state.jiraTicket = 'ACME-1';
+          }
+        }
+      }
+    });
+
+    // Act
+    const context = await pipeline.run({ triggerData: { issueUrl: 'url' } });
+
+    // Assert
+    expect(calls).toEqual(['before:true', 'after:456']);
+    expect(context.state.jiraTicket).toBe('ACME-1');
+  });
+
+  test('run should stop before later stages when a hook vetoes', async () => {
+    // Arrange
+    const pipeline = createPipeline(createDefaultPlugins(modules)).use({
+      name: 'license-check',
+      stages: {
+        code_generation: {
+          after: context => context.veto('GPL code detected')
+        }
+      }
+    });
+
+    // Act
+    const context = await pipeline.run({ triggerData: { issueUrl: 'url' } });
+
+    // Assert
+    expect(context.vetoed).toEqual({
+      stage: 'code_generation',
+      plugin: 'license-check',
+      reason: 'GPL code detected'
+    });
+    expect(context.completedStages).toEqual(['fetch', 'task_setup']);
+    expect(modules.commitPr.createPullRequest).not.toHaveBeenCalled();
+  });
+
+  test('run should use the last registered implementation of a stage', async () => {
+    // Arrange
+    const customRun = jest.fn(({ state }) => {
+      state.codeChanges = { codeChanges: ['custom'], isValid: true };
+    });
+    const pipeline = createPipeline(createDefaultPlugins(modules)).use({
+      name: 'custom-generator',
+      stages: { code_generation: { run: customRun } }
+    });
+
+    // Act
+    const context = await pipeline.run({ triggerData: { issueUrl: 'url' } });
+
+    // Assert
+    expect(customRun).toHaveBeenCalled();
+    expect(modules.codeGen.generateAndValidateCode).not.toHaveBeenCalled();
+    expect(context.state.codeChanges.codeChanges).toEqual(['custom']);
+  });
+
+  test('run should plan instead of writing to GitHub in dry-run mode', async () => {
+    // Arrange
+    const pipeline = createPipeline(createDefaultPlugins(modules));
+
+    // Act
+    const context = await pipeline.run({ triggerData: { issueUrl: 'url' } }, { dryRun: true });
+
+    // Assert
+    expect(context.completedStages).toEqual(['fetch', 'task_setup', 'code_generation', 'pull_request', 'feedback']);
+    expect(context.state.plan.branch).toBe('fix-issue-123');
+    expect(modules.commitPr.createPullRequest).not.toHaveBeenCalled();
+    expect(modules.feedback.provideFeedback).not.toHaveBeenCalled();
+  });
+
+  test('run should record errors and cancellation instead of throwing', async () => {
+    // Arrange
+    const controller = new AbortController();
+    modules.taskSetup.setupTask.mockImplementation(async () => {
+      controller.abort();
+      return {};
+    });
+    const pipeline = createPipeline(createDefaultPlugins(modules));
+
+    // Act
+    const context = await pipeline.run({ triggerData: { issueUrl: 'url' } }, { signal: controller.signal });
+
+    // Assert
+    expect(context.error.name).toBe('AbortError');
+    expect(context.completedStages).toEqual(['fetch', 'task_setup']);
+    expect(modules.codeGen.generateAndValidateCode).not.toHaveBeenCalled();
+  });
+
+  test('run should skip stages completed by an earlier attempt and checkpoint the rest', async () => {
+    // Arrange
+    const pipeline = createPipeline(createDefaultPlugins(modules));
+    const checkpoints = [];
+    const state = {
+      triggerData: { issueUrl: 'url' },
+      issueData: { issueNumber: 123 },
+      taskConfig: {},
+      codeChanges: { codeChanges: [], isValid: true },
+      checkpoints: { pull_request: { branch: 'fix-issue-123-existing', committedFiles: [] } }
+    };
+
+    // Act
+    const context = await pipeline.run(state, {
+      completedStages: ['fetch', 'task_setup', 'code_generation'],
+      onCheckpoint: ({ completedStages }) => checkpoints.push([...completedStages])
+    });
+
+    // Assert
+    expect(modules.github.fetchIssueData).not.toHaveBeenCalled();
+    expect(modules.codeGen.generateAndValidateCode).not.toHaveBeenCalled();
+    expect(modules.commitPr.createPullRequest.mock.calls[0][2].checkpoint).toEqual({
+      branch: 'fix-issue-123-existing',
+      committedFiles: []
+    });
+    expect(context.completedStages).toEqual(PIPELINE_STAGES);
+    expect(checkpoints[checkpoints.length - 1]).toEqual(PIPELINE_STAGES);
+  });
+
+  test('use should reject plugins for unknown stages', () => {
+    expect(() => createPipeline().use({ name: 'bad', stages: { deploy: { run: () => {} } } }))
+      .toThrow('unknown stage deploy');
+  });
+});
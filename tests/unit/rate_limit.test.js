@@ -0,0 +1,64 @@
+/**
+ * OpenHands Resolver MCP - Rate Limit Budget Unit Tests
+ */
+
+import { createRateLimitBudget } from '../../src/utils/rate_limit.js';
+
+// Logger that keeps test output quiet
+const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
+
+describe('Rate Limit Budget Tests', () => {
+  // Fixed clock, one minute before the budget resets
+  const reset = 1700000000;
+  const now = () => reset * 1000 - 60000;
+
+  test('record should keep the core budget of each host and ignore other resources', () => {
+    // Arrange
+    const rateLimit = createRateLimitBudget({ logger: silentLogger, now });
+
+    // Act
+    rateLimit.record('github.com', { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '4200', 'x-ratelimit-reset': String(reset) });
+    rateLimit.record('github.com', { 'x-ratelimit-resource': 'search', 'x-ratelimit-remaining': '3', 'x-ratelimit-reset': String(reset) });
+
+    // Assert
+    expect(rateLimit.getBudget('github.com')).toEqual({ limit: 5000, remaining: 4200, reset: reset * 1000 });
+    expect(rateLimit.getBudget('github.example.com')).toBeNull();
+  });
+
+  test('getDelay should not wait, slow down or pause depending on the queued work', () => {
+    // Arrange
+    const rateLimit = createRateLimitBudget({ logger: silentLogger, now });
+    const cost = rateLimit.getEstimatedCost();
+
+    // Act
+    rateLimit.update('github.com', { limit: 5000, remaining: cost * 10, reset });
+    const covered = rateLimit.getDelay(10, 'github.com');
+    const slowed = rateLimit.getDelay(20, 'github.com');
+    rateLimit.update('github.com', { limit: 5000, remaining: cost - 1, reset });
+    const paused = rateLimit.getDelay(1, 'github.com');
+
+    // Assert
+    expect(covered).toBe(0);
+    expect(slowed).toBe(6000);
+    expect(paused).toBe(60000);
+  });
+
+  test('measureCost should move the cost estimate towards the requests of finished runs', async () => {
+    // Arrange
+    const rateLimit = createRateLimitBudget({ logger: silentLogger, now });
+    const before = rateLimit.getEstimatedCost();
+
+    // Act
+    const result = await rateLimit.measureCost(async () => {
+      for (let i = 0; i < 100; i++) {
+        rateLimit.record('github.com', {});
+      }
+      return 'done';
+    });
+
+    // Assert
+    expect(result).toBe('done');
+    expect(rateLimit.getEstimatedCost()).toBeGreaterThan(before);
+    expect(rateLimit.getEstimatedCost()).toBeLessThan(100);
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * OpenHands Resolver MCP - Resolver Instance Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as defaultResolver from '../../src/index.js';
+import { createResolver } from '../../src/index.js';
+import { sharedRateLimit } from '../../src/utils/rate_limit.js';
+import { reply, startFakeServer } from '../helpers/fake_server.js';
+
+// Logger that keeps test output quiet
+function createSilentLogger() {
+  return { error: jest.fn(), warn: jest.fn(), info: jest.fn(), debug: jest.fn() };
+}
+
+// Fake module instances so a resolver runs without GitHub
+function createFakeModules() {
+  return {
+    github: {
+      initialize: jest.fn(() => Promise.resolve()),
+      fetchIssueData: jest.fn(issueUrl => Promise.resolve({ issueUrl, issueNumber: 123, owner: 'owner', repo: 'repo' }))
+    },
+    taskSetup: {
+      setupTask: jest.fn(issueData => Promise.resolve({ issueData }))
+    },
+    codeGen: {
+      generateAndValidateCode: jest.fn(() => Promise.resolve({ codeChanges: [{ filePath: 'src/app.js' }], isValid: true }))
+    },
+    commitPr: {
+      createPullRequest: jest.fn(() => Promise.resolve({
+        pullRequestUrl: 'https://github.com/owner/repo/pull/456',
+        pullRequestNumber: 456,
+        branch: 'fix-issue-123'
+      }))
+    },
+    feedback: {
+      provideFeedback: jest.fn(() => Promise.resolve({ status: 'success' })),
+      createVisualization: jest.fn(() => ({ markdown: '# Summary' }))
+    },
+    runStore: {
+      createRun: jest.fn(triggerData => Promise.resolve({
+        runId: 'run-1',
+        triggerData,
+        completedStages: [],
+        state: { triggerData }
+      })),
+      saveRun: jest.fn(run => Promise.resolve(run))
+    }
+  };
+}
+
+describe('Resolver Instance Tests', () => {
+  const triggerData = {
+    issueUrl: 'https://github.com/owner/repo/issues/123',
+    owner: 'owner',
+    repo: 'repo',
+    issueNumber: 123
+  };
+
+  test('createResolver should give every instance its own configuration', () => {
+    // Act
+    const first = createResolver({ config: { github: { token: 'token-a' } }, logger: createSilentLogger() });
+    const second = createResolver({ config: { github: { token: 'token-b' } }, logger: createSilentLogger() });
+
+    // Assert
+    expect(first.getConfig('github').token).toBe('token-a');
+    expect(second.getConfig('github').token).toBe('token-b');
+    expect(first.getConfig('github').apiBaseUrl).toBe(second.getConfig('github').apiBaseUrl);
+  });
+
+  test('resolveIssue should run on the injected modules', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    const resolver = createResolver({ config: { github: { token: 'token' } }, logger: createSilentLogger(), modules });
+
+    // Act
+    const initialized = await resolver.initialize();
+    const result = await resolver.resolveIssue(triggerData);
+
+    // Assert
+    expect(initialized).toBe(true);
+    expect(modules.github.initialize).toHaveBeenCalled();
+    expect(result).toMatchObject({
+      success: true,
+      runId: 'run-1',
+      pullRequestNumber: 456,
+      visualization: { markdown: '# Summary' }
+    });
+    expect(modules.runStore.saveRun).toHaveBeenCalled();
+  });
+
+  test('resolveIssue should return an error result when the run result fails validation', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    modules.commitPr.createPullRequest = jest.fn(() => Promise.resolve({
+      pullRequestUrl: 'https://github.com/owner/repo/pull/456',
+      pullRequestNumber: 'not-a-number',
+      branch: 'fix-issue-123'
+    }));
+    const resolver = createResolver({ logger: createSilentLogger(), modules });
+
+    // Act
+    const result = await resolver.resolveIssue(triggerData);
+
+    // Assert
+    expect(result).toMatchObject({
+      success: false,
+      errorCode: 'resolution_failed',
+      runId: 'run-1',
+      issueUrl: triggerData.issueUrl
+    });
+    expect(result.error).toContain('Invalid issue result');
+    expect(modules.runStore.saveRun).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'failed', result }));
+  });
+
+  test('registerPlugin should only affect its own instance', async () => {
+    // Arrange
+    const firstModules = createFakeModules();
+    const secondModules = createFakeModules();
+    const first = createResolver({ logger: createSilentLogger(), modules: firstModules });
+    const second = createResolver({ logger: createSilentLogger(), modules: secondModules });
+    first.registerPlugin({
+      name: 'block-all',
+      stages: { fetch: { before: context => context.veto('Blocked') } }
+    });
+
+    // Act
+    const firstResult = await first.resolveIssue(triggerData);
+    const secondResult = await second.resolveIssue(triggerData);
+
+    // Assert
+    expect(firstResult.errorCode).toBe('vetoed');
+    expect(secondResult.success).toBe(true);
+  });
+
+  test('resolveIssue should push follow-up commits when revising a pull request', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    modules.github.fetchPullRequestData = jest.fn(issueUrl => Promise.resolve({
+      issueUrl,
+      issueNumber: 7,
+      owner: 'owner',
+      repo: 'repo',
+      pullRequest: { number: 7, head: { owner: 'fork', repo: 'repo', branch: 'feature' } }
+    }));
+    modules.commitPr.pushRevision = jest.fn(() => Promise.resolve({
+      pullRequestUrl: 'https://github.com/owner/repo/pull/7',
+      pullRequestNumber: 7,
+      branch: 'feature'
+    }));
+    const resolver = createResolver({ logger: createSilentLogger(), modules });
+
+    // Act
+    const result = await resolver.resolveIssue({
+      issueUrl: 'https://github.com/owner/repo/pull/7',
+      owner: 'owner',
+      repo: 'repo',
+      issueNumber: 7,
+      isRevision: true
+    });
+
+    // Assert
+    expect(modules.github.fetchIssueData).not.toHaveBeenCalled();
+    expect(modules.commitPr.createPullRequest).not.toHaveBeenCalled();
+    expect(modules.commitPr.pushRevision).toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, revision: true, pullRequestNumber: 7, branch: 'feature' });
+  });
+
+  test('resolveSearch should preview the match count and refuse searches over the maximum', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    modules.github.searchIssues = jest.fn(() => Promise.resolve({ totalCount: 51, issues: [] }));
+    const resolver = createResolver({ config: { batch: { maxIssues: 50 } }, logger: createSilentLogger(), modules });
+    const events = [];
+
+    // Act
+    const result = await resolver.resolveSearch('repo:owner/repo is:issue is:open', {
+      onProgress: event => events.push(event)
+    });
+
+    // Assert
+    expect(events).toEqual([{ stage: 'search', percent: 0, message: 'Found 51 issues matching: repo:owner/repo is:issue is:open' }]);
+    expect(result).toMatchObject({ success: false, errorCode: 'invalid_input' });
+    expect(modules.github.fetchIssueData).not.toHaveBeenCalled();
+  });
+
+  test('resolveSearch should return an error result when the search fails', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    modules.github.searchIssues = jest.fn(() => Promise.reject(new Error('Validation Failed')));
+    const resolver = createResolver({ logger: createSilentLogger(), modules });
+
+    // Act
+    const result = await resolver.resolveSearch('repo:owner/repo is:issue is:open');
+
+    // Assert
+    expect(result).toMatchObject({ success: false, errorCode: 'resolution_failed', error: 'Validation Failed' });
+  });
+
+  test('handleMcpInvocation should resolve the issues found by a search request', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    modules.github.searchIssues = jest.fn(() => Promise.resolve({
+      totalCount: 2,
+      issues: [123, 124].map(issueNumber => ({
+        issueUrl: `https://github.com/owner/repo/issues/${issueNumber}`,
+        owner: 'owner',
+        repo: 'repo',
+        issueNumber,
+        labels: ['good-first-issue'],
+        isBatch: false
+      }))
+    }));
+    const resolver = createResolver({ config: { github: { token: 'token' } }, logger: createSilentLogger(), modules });
+
+    // Act
+    const result = await resolver.handleMcpInvocation('Fix all open issues labeled good-first-issue in owner/repo');
+
+    // Assert
+    expect(modules.github.searchIssues.mock.calls[0][0]).toBe('repo:owner/repo is:issue is:open label:good-first-issue');
+    expect(result).toMatchObject({ success: true, isBatch: true, total: 2, succeeded: 2 });
+  });
+
+  test('initialize should fail without a GitHub token', async () => {
+    // Arrange
+    const logger = createSilentLogger();
+    const resolver = createResolver({ config: { github: { token: '' } }, logger });
+
+    // Act
+    const initialized = await resolver.initialize();
+
+    // Assert
+    expect(initialized).toBe(false);
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  test('handleMcpInvocation should explain and triage issues without opening a pull request', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    modules.issueAnalysis = {
+      explainIssue: jest.fn(() => Promise.resolve({
+        issueNumber: 123,
+        explanation: { title: 'Crash on start', summary: 'The app crashes.', complexity: 'low' }
+      })),
+      triageIssue: jest.fn(() => Promise.resolve({
+        issueNumber: 123,
+        triage: { suggestedLabels: [{ label: 'bug', reason: 'The issue mentions "crashes"' }], suggestedAssignee: null }
+      }))
+    };
+    const resolver = createResolver({ config: { github: { token: 'token' } }, logger: createSilentLogger(), modules });
+
+    // Act
+    const explained = await resolver.handleMcpInvocation('Explain https://github.com/owner/repo/issues/123');
+    const triaged = await resolver.handleMcpInvocation('Triage https://github.com/owner/repo/issues/123');
+
+    // Assert
+    expect(explained).toMatchObject({ success: true, intent: 'explain', issueNumber: 123, explanation: { complexity: 'low' } });
+    expect(triaged).toMatchObject({ success: true, intent: 'triage', triage: { suggestedAssignee: null } });
+    expect(modules.commitPr.createPullRequest).not.toHaveBeenCalled();
+  });
+
+  test('handleMcpInvocation should report the runs and pull request of an issue', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    modules.runStore.listRuns = jest.fn(() => Promise.resolve([
+      { runId: 'run-2', status: 'completed', issueUrl: triggerData.issueUrl, completedStages: ['fetch'], createdAt: '2024-01-02', updatedAt: '2024-01-02' },
+      { runId: 'run-x', status: 'failed', issueUrl: 'https://github.com/owner/repo/issues/9', completedStages: [], createdAt: '2024-01-01', updatedAt: '2024-01-01' }
+    ]));
+    modules.runStore.loadRun = jest.fn(runId => Promise.resolve({ runId, result: { success: true, pullRequestNumber: 456 } }));
+    modules.github.getPullRequest = jest.fn(() => Promise.resolve({
+      pullRequestUrl: 'https://github.com/owner/repo/pull/456',
+      pullRequestNumber: 456,
+      state: 'open',
+      merged: false,
+      draft: false
+    }));
+    const resolver = createResolver({ config: { github: { token: 'token' } }, logger: createSilentLogger(), modules });
+
+    // Act
+    const result = await resolver.handleMcpInvocation('What is the status of https://github.com/owner/repo/issues/123?');
+
+    // Assert
+    expect(result.intent).toBe('status');
+    expect(result.status.runs.map(run => run.runId)).toEqual(['run-2']);
+    expect(result.status.pullRequest).toMatchObject({ pullRequestNumber: 456, state: 'open' });
+    expect(modules.github.getPullRequest.mock.calls[0].slice(0, 3)).toEqual(['owner', 'repo', 456]);
+  });
+
+  test('handleMcpInvocation should retry only the failed run of an issue', async () => {
+    // Arrange
+    const modules = createFakeModules();
+    const failedRun = {
+      runId: 'run-1',
+      status: 'failed',
+      triggerData,
+      completedStages: ['fetch'],
+      state: { triggerData, issueData: { ...triggerData } }
+    };
+    modules.runStore.listRuns = jest.fn(() => Promise.resolve([{ ...failedRun, issueUrl: triggerData.issueUrl }]));
+    modules.runStore.loadRun = jest.fn(() => Promise.resolve(failedRun));
+    const resolver = createResolver({ config: { github: { token: 'token' } }, logger: createSilentLogger(), modules });
+
+    // Act
+    const retried = await resolver.handleMcpInvocation('Retry https://github.com/owner/repo/issues/123');
+    const nothingToRetry = await resolver.handleMcpInvocation('Retry https://github.com/owner/repo/issues/123');
+
+    // Assert
+    expect(retried).toMatchObject({ success: true, pullRequestNumber: 456 });
+    expect(modules.github.fetchIssueData).not.toHaveBeenCalled();
+    expect(nothingToRetry).toMatchObject({ success: false, errorCode: 'invalid_input' });
+  });
+
+  test('the default resolver should pace batches by the rate limit headers of its forge clients', async () => {
+    // Arrange
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'openhands-resolver-'));
+    const configFile = path.join(directory, 'config.json');
+    // Ten requests left, fewer than one resolution costs, for the next hour
+    const rateLimitHeaders = {
+      'X-RateLimit-Limit': '5000',
+      'X-RateLimit-Remaining': '10',
+      'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + 3600)
+    };
+    const missingIssue = () => reply(404, { message: 'Not Found' }, rateLimitHeaders);
+    const fakeGitHub = await startFakeServer({
+      '/rate_limit': () => ({ rate: { limit: 5000, remaining: 5000 } }),
+      '/repos/owner/repo/issues/1': missingIssue,
+      '/repos/owner/repo/issues/2': missingIssue
+    });
+    await fs.writeFile(configFile, JSON.stringify({
+      github: { token: 'token', apiBaseUrl: fakeGitHub.url, host: 'github.com', maxConcurrent: 1, maxRetries: 0 },
+      runs: { directory: path.join(directory, 'runs') }
+    }));
+    // Cancel the batch as soon as the budget asks it to wait, instead of waiting for the reset
+    const controller = new AbortController();
+    const getDelay = sharedRateLimit.getDelay;
+    const delays = [];
+    const getDelaySpy = jest.spyOn(sharedRateLimit, 'getDelay').mockImplementation((...args) => {
+      const waitMs = getDelay(...args);
+      delays.push(waitMs);
+      if (waitMs > 0) {
+        controller.abort();
+      }
+      return waitMs;
+    });
+
+    // Act
+    const initialized = await defaultResolver.initialize(configFile);
+    const result = await defaultResolver.resolveBatch([
+      { issueUrl: 'https://github.com/owner/repo/issues/1', host: 'github.com', owner: 'owner', repo: 'repo', issueNumber: 1 },
+      { issueUrl: 'https://github.com/owner/repo/issues/2', host: 'github.com', owner: 'owner', repo: 'repo', issueNumber: 2 }
+    ], { signal: controller.signal });
+    getDelaySpy.mockRestore();
+    await new Promise(resolve => fakeGitHub.server.close(resolve));
+    await fs.rm(directory, { recursive: true, force: true });
+
+    // Assert
+    expect(initialized).toBe(true);
+    // The first issue's responses left too little budget, so the second had to wait for the reset
+    expect(delays[0]).toBe(0);
+    expect(delays[1]).toBeGreaterThan(3500 * 1000);
+    const cancelled = result.results.filter(issueResult => issueResult.errorCode === 'cancelled');
+    const fetchedIssues = fakeGitHub.requests
+      .map(request => request.url.pathname)
+      .filter(pathname => pathname.startsWith('/repos/owner/repo/issues/'));
+    expect(cancelled).toHaveLength(1);
+    expect(fetchedIssues).toHaveLength(1);
+    expect(cancelled[0].issueUrl).not.toBe(`https://github.com${fetchedIssues[0].replace('/repos', '')}`);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * OpenHands Resolver MCP - Results Module Unit Tests
+ */
+
+import {
+  RESULT_SCHEMA_VERSION,
+  RESULT_SCHEMAS,
+  validateResult,
+  createIssueResult,
+  createErrorResult,
+  createBatchResult
+} from '../../src/modules/results/index.js';
+
+describe('Results Module Tests', () => {
+  const issueFields = {
+    runId: 'owner-repo-123-abc',
+    issueUrl: 'https://github.com/owner/repo/issues/123',
+    issueNumber: 123,
+    pullRequestUrl: 'https://github.com/owner/repo/pull/456',
+    pullRequestNumber: 456,
+    branch: 'openhands/fix-issue-123',
+    changedFiles: 2,
+    visualization: { json: {}, markdown: '# Summary' }
+  };
+
+  test('createIssueResult should add the schema version and validate', () => {
+    // Act
+    const result = createIssueResult(issueFields);
+
+    // Assert
+    expect(result).toEqual({ schemaVersion: RESULT_SCHEMA_VERSION, success: true, dryRun: false, ...issueFields });
+    expect(validateResult('issue', result).valid).toBe(true);
+  });
+
+  test('createIssueResult should require a plan for dry runs', () => {
+    // Arrange
+    const { pullRequestUrl, pullRequestNumber, branch, visualization, ...fields } = issueFields;
+
+    // Act & Assert
+    expect(() => createIssueResult({ ...fields, dryRun: true })).toThrow(/must have required property 'plan'/);
+  });
+
+  test('createErrorResult should reject unknown error codes and fields', () => {
+    // Act
+    const { valid, errors } = validateResult('error', {
+      schemaVersion: RESULT_SCHEMA_VERSION,
+      success: false,
+      errorCode: 'oops',
+      error: 'Failed',
+      message: 'Failed'
+    });
+
+    // Assert
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      '/errorCode must be equal to one of the allowed values',
+      '/ must NOT have additional properties'
+    ]));
+    expect(() => createErrorResult({ errorCode: 'oops', error: 'Failed' })).toThrow('Invalid error result');
+  });
+
+  test('createBatchResult should count successes and validate each result', () => {
+    // Arrange
+    const results = [
+      createIssueResult(issueFields),
+      createErrorResult({ errorCode: 'cancelled', issueUrl: 'https://github.com/owner/repo/issues/124', error: 'Cancelled' })
+    ];
+
+    // Act
+    const batchResult = createBatchResult(results);
+
+    // Assert
+    expect(batchResult).toMatchObject({ success: false, isBatch: true, total: 2, succeeded: 1, failed: 1 });
+    expect(() => createBatchResult([{ success: true }])).toThrow('Invalid batch result');
+  });
+
+  test('every schema should declare the current schema version', () => {
+    // Assert
+    for (const schema of Object.values(RESULT_SCHEMAS)) {
+      expect(schema.properties.schemaVersion.const).toBe(RESULT_SCHEMA_VERSION);
+    }
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * OpenHands Resolver MCP - Run Store Module Unit Tests
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Point the run store at a temporary directory before the configuration is loaded
+const runsDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'openhands-runs-'));
+process.env.OPENHANDS_RUNS_DIR = runsDirectory;
+
+const runStore = await import('../../src/modules/run_store/index.js');
+
+describe('Run Store Module Tests', () => {
+  const triggerData = {
+    issueUrl: 'https://github.com/owner/repo/issues/123',
+    owner: 'owner',
+    repo: 'repo',
+    issueNumber: 123
+  };
+
+  afterAll(async () => {
+    await fs.rm(runsDirectory, { recursive: true, force: true });
+  });
+
+  test('createRun should persist a new running run', async () => {
+    // Act
+    const run = await runStore.createRun(triggerData, { dryRun: true });
+
+    // Assert
+    expect(run.runId).toMatch(/^owner-repo-123-/);
+    const stored = await runStore.loadRun(run.runId);
+    expect(stored.status).toBe('running');
+    expect(stored.dryRun).toBe(true);
+    expect(stored.state.triggerData).toEqual(triggerData);
+  });
+
+  test('saveRun should keep the latest checkpoint when writes overlap', async () => {
+    // Arrange
+    const run = await runStore.createRun(triggerData);
+
+    // Act
+    run.completedStages = ['fetch'];
+    const firstWrite = runStore.saveRun(run);
+    run.completedStages = ['fetch', 'task_setup'];
+    const secondWrite = runStore.saveRun(run);
+    await Promise.all([firstWrite, secondWrite]);
+
+    // Assert
+    const stored = await runStore.loadRun(run.runId);
+    expect(stored.completedStages).toEqual(['fetch', 'task_setup']);
+  });
+
+  test('loadRun should fail for unknown or unsafe run IDs', async () => {
+    await expect(runStore.loadRun('missing-run')).rejects.toThrow('Run not found: missing-run');
+    await expect(runStore.loadRun('../etc/passwd')).rejects.toThrow('Invalid run ID');
+  });
+
+  test('listRuns should summarize the stored runs', async () => {
+    // Act
+    const runs = await runStore.listRuns();
+
+    // Assert
+    expect(runs.length).toBeGreaterThanOrEqual(2);
+    runs.forEach(run => expect(run.issueUrl).toBe(triggerData.issueUrl));
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * OpenHands Resolver MCP - Trigger Detection Issue Reference Unit Tests
+ */
+
+import { detectTrigger, classifyIntent } from '../../src/modules/trigger_detection/index.js';
+
+describe('Trigger Detection Issue Reference Tests', () => {
+  test('detectTrigger should resolve owner/repo#123 references', () => {
+    // Act
+    const triggerData = detectTrigger('Please fix octo-org/widgets#42');
+
+    // Assert
+    expect(triggerData).toMatchObject({
+      owner: 'octo-org',
+      repo: 'widgets',
+      issueNumber: 42,
+      issueUrl: 'https://github.com/octo-org/widgets/issues/42',
+      isBatch: false
+    });
+  });
+
+  test('detectTrigger should resolve repo#123 with a default owner only', () => {
+    // Act
+    const withOwner = detectTrigger('Fix widgets#42', { defaultOwner: 'octo-org' });
+    const withoutOwner = detectTrigger('Fix widgets#42', { defaultOwner: '', defaultRepo: '' });
+
+    // Assert
+    expect(withOwner.issueUrl).toBe('https://github.com/octo-org/widgets/issues/42');
+    expect(withoutOwner).toBeNull();
+  });
+
+  test('detectTrigger should resolve bare #123 against the configured default repository', () => {
+    // Act
+    const triggerData = detectTrigger('Fix #42', { defaultRepo: 'octo-org/widgets' });
+
+    // Assert
+    expect(triggerData.issueUrl).toBe('https://github.com/octo-org/widgets/issues/42');
+  });
+
+  test('detectTrigger should prefer the repository of the conversation', () => {
+    // Act
+    const fromText = detectTrigger(
+      'https://github.com/acme/app/issues/7 is fixed, now fix #8',
+      { defaultRepo: 'octo-org/widgets' }
+    );
+    const fromInput = detectTrigger({ text: 'Fix #8', repository: 'acme/app' }, { defaultRepo: 'octo-org/widgets' });
+
+    // Assert
+    expect(fromText.issueList.map(issue => issue.issueNumber)).toEqual([7, 8]);
+    expect(fromText.issueList[1].issueUrl).toBe('https://github.com/acme/app/issues/8');
+    expect(fromInput.issueUrl).toBe('https://github.com/acme/app/issues/8');
+  });
+
+  test('detectTrigger should expand issue ranges in the named repository', () => {
+    // Act
+    const triggerData = detectTrigger('Fix issues 40-44 in acme/api');
+
+    // Assert
+    expect(triggerData.isBatch).toBe(true);
+    expect(triggerData.issueList.map(issue => issue.issueUrl)).toEqual([40, 41, 42, 43, 44].map(
+      issueNumber => `https://github.com/acme/api/issues/${issueNumber}`
+    ));
+  });
+
+  test('detectTrigger should expand lists and drop exclusions and duplicates', () => {
+    // Act
+    const list = detectTrigger('Resolve #3, #7 and #9, then #7 again', { defaultRepo: 'acme/api' });
+    const range = detectTrigger('Fix all of 10-20 except #14 and 16-17', { defaultRepo: 'acme/api' });
+
+    // Assert
+    expect(list.issueList.map(issue => issue.issueNumber)).toEqual([3, 7, 9]);
+    expect(range.issueList.map(issue => issue.issueNumber)).toEqual([10, 11, 12, 13, 15, 18, 19, 20]);
+  });
+
+  test('detectTrigger should only drop exclusions of the same repository', () => {
+    // Act
+    const triggerData = detectTrigger('Fix acme/api#14 and acme/web#14 except acme/web#14');
+
+    // Assert
+    expect(triggerData.issueUrl).toBe('https://github.com/acme/api/issues/14');
+  });
+
+  test('detectTrigger should not read bare numbers as issues without an issue keyword', () => {
+    // Act
+    const bugs = detectTrigger('Fix 2024 bugs in acme/api');
+    const issues = detectTrigger('Fix issues 3 and 7 in acme/api');
+
+    // Assert
+    expect(bugs).toMatchObject({ isSearch: true, searchQuery: 'repo:acme/api is:issue is:open label:bug' });
+    expect(issues.issueList.map(issue => issue.issueNumber)).toEqual([3, 7]);
+  });
+
+  test('detectTrigger should limit the number of issues in a request', () => {
+    // Act
+    const triggerData = detectTrigger('Fix issues 1-100000 in acme/api', { maxIssues: 5 });
+
+    // Assert
+    expect(triggerData.issueList.map(issue => issue.issueNumber)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('detectTrigger should turn descriptions of issues into a search query', () => {
+    // Arrange
+    const now = new Date('2026-10-21T12:00:00Z');
+
+    // Act
+    const labeled = detectTrigger('Fix all open issues labeled good-first-issue in acme/web', { now });
+    const assigned = detectTrigger('Resolve bugs assigned to me opened this week', { now });
+
+    // Assert
+    expect(labeled).toEqual({
+      isBatch: true,
+      isSearch: true,
+      searchQuery: 'repo:acme/web is:issue is:open label:good-first-issue',
+      host: 'github.com',
+      intent: 'fix'
+    });
+    expect(assigned.searchQuery).toBe('is:issue is:open label:bug assignee:@me created:>=2026-10-19');
+  });
+
+  test('detectTrigger should not search without a repository or a person', () => {
+    // Act
+    const triggerData = detectTrigger('Fix all open issues labeled docs', { defaultOwner: '', defaultRepo: '' });
+
+    // Assert
+    expect(triggerData).toBeNull();
+  });
+
+  test('detectTrigger should list an issue mentioned in several forms once', () => {
+    // Act
+    const triggerData = detectTrigger('Fix #42 (octo-org/widgets#42)');
+
+    // Assert
+    expect(triggerData.isBatch).toBe(false);
+    expect(triggerData.issueUrl).toBe('https://github.com/octo-org/widgets/issues/42');
+  });
+
+  test('detectTrigger should recognize URLs and references of configured enterprise hosts', () => {
+    // Arrange
+    const hosts = [
+      { host: 'github.com', apiBaseUrl: 'https://api.github.com', token: 'token' },
+      { host: 'github.example.com', apiBaseUrl: 'https://github.example.com/api/v3', token: 'token' }
+    ];
+
+    // Act
+    const single = detectTrigger('Fix https://github.example.com/acme/app/issues/5', { hosts });
+    const batch = detectTrigger('See https://github.example.com/acme/app/issues/5, then fix #6', { hosts });
+    const unknownHost = detectTrigger('Fix https://git.other.org/acme/app/issues/5', { hosts, defaultRepo: '' });
+
+    // Assert
+    expect(single).toMatchObject({
+      issueUrl: 'https://github.example.com/acme/app/issues/5',
+      host: 'github.example.com',
+      owner: 'acme',
+      repo: 'app',
+      issueNumber: 5
+    });
+    expect(batch.issueList.map(issue => issue.issueUrl)).toEqual([
+      'https://github.example.com/acme/app/issues/5',
+      'https://github.example.com/acme/app/issues/6'
+    ]);
+    expect(unknownHost).toBeNull();
+  });
+
+  test('detectTrigger should turn a pull request URL into a revision', () => {
+    // Act
+    const triggerData = detectTrigger('Address the review comments on https://github.com/octo-org/widgets/pull/7');
+
+    // Assert
+    expect(triggerData).toMatchObject({
+      issueUrl: 'https://github.com/octo-org/widgets/pull/7',
+      owner: 'octo-org',
+      repo: 'widgets',
+      issueNumber: 7,
+      isRevision: true,
+      isBatch: false
+    });
+  });
+
+  test('classifyIntent should tell fixes from explain, triage, status and retry requests', () => {
+    // Act & Assert
+    expect(classifyIntent('Fix owner/repo#12')).toBe('fix');
+    expect(classifyIntent('Explain owner/repo#12')).toBe('explain');
+    expect(classifyIntent('Can you triage owner/repo#12?')).toBe('triage');
+    expect(classifyIntent("What's the status of owner/repo#12?")).toBe('status');
+    expect(classifyIntent('Retry owner/repo#12')).toBe('retry');
+    expect(classifyIntent('Fix owner/repo#12 and explain the change')).toBe('fix');
+  });
+
+  test('classifyIntent should prefer a fix of an issue over a question in the same request', () => {
+    // Act
+    const triggerData = detectTrigger('What is the status of the release? Fix #5', { defaultRepo: 'acme/api' });
+
+    // Assert
+    expect(triggerData).toMatchObject({ intent: 'fix', issueUrl: 'https://github.com/acme/api/issues/5' });
+    expect(classifyIntent('Can you explain owner/repo#12? Then resolve issue 13')).toBe('fix');
+    expect(classifyIntent('What is the status of the fix for owner/repo#12?')).toBe('status');
+  });
+
+  test('detectTrigger should carry the intent and not search for requests that are not fixes', () => {
+    // Act
+    const triggerData = detectTrigger('Explain https://github.com/octo-org/widgets/issues/42');
+    const withoutIssue = detectTrigger('Triage all open bugs in octo-org/widgets');
+
+    // Assert
+    expect(triggerData).toMatchObject({ intent: 'explain', issueNumber: 42, isBatch: false });
+    expect(withoutIssue).toBeNull();
+  });
+});
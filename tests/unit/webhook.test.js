@@ -0,0 +1,163 @@
+/**
+ * OpenHands Resolver MCP - Webhook Module Unit Tests
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import {
+  createWebhookServer,
+  getTriggerFromEvent,
+  verifySignature
+} from '../../src/modules/webhook/index.js';
+
+const SECRET = 'test-webhook-secret';
+
+// Load a recorded webhook payload
+async function loadFixture(name) {
+  const content = await fs.readFile(new URL(`../fixtures/webhooks/${name}.json`, import.meta.url), 'utf8');
+  return JSON.parse(content);
+}
+
+// Sign a payload the way GitHub does
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+describe('Webhook Module Tests', () => {
+  let server;
+  let baseUrl;
+  let resolver;
+
+  // Deliver a webhook to the local server
+  function deliver(event, payload, signature) {
+    const body = JSON.stringify(payload);
+    return fetch(`${baseUrl}/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': event,
+        'X-GitHub-Delivery': crypto.randomUUID(),
+        'X-Hub-Signature-256': signature || sign(body)
+      },
+      body
+    });
+  }
+
+  beforeEach(async () => {
+    resolver = {
+      resolveIssue: jest.fn(() => Promise.resolve({ success: true, pullRequestUrl: 'https://github.com/octo-org/widgets/pull/43' }))
+    };
+    server = createWebhookServer({ resolver, secret: SECRET, path: '/webhook', commentCommand: '/openhands' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('verifySignature should only accept the HMAC of the exact payload', () => {
+    expect(verifySignature('{"a":1}', sign('{"a":1}'), SECRET)).toBe(true);
+    expect(verifySignature('{"a":2}', sign('{"a":1}'), SECRET)).toBe(false);
+    expect(verifySignature('{"a":1}', sign('{"a":1}', 'other-secret'), SECRET)).toBe(false);
+    expect(verifySignature('{"a":1}', undefined, SECRET)).toBe(false);
+  });
+
+  test('a resolution label should trigger resolveIssue', async () => {
+    // Arrange
+    const payload = await loadFixture('issues_labeled');
+
+    // Act
+    const response = await deliver('issues', payload);
+
+    // Assert
+    expect(response.status).toBe(202);
+    expect(await response.json()).toEqual({ accepted: true, issueUrl: 'https://github.com/octo-org/widgets/issues/42' });
+    expect(resolver.resolveIssue).toHaveBeenCalledWith(expect.objectContaining({
+      owner: 'octo-org',
+      repo: 'widgets',
+      issueNumber: 42
+    }));
+  });
+
+  test('issue URLs of a GitHub Enterprise host of the resolver configuration should be parsed', async () => {
+    // Arrange
+    const sections = { github: { token: 'gh-token', hosts: [{ host: 'github.example.com', token: 'ghes-token' }] }, gitlab: {} };
+    resolver.getConfig = section => sections[section];
+    const payload = await loadFixture('issues_labeled');
+    payload.issue.html_url = 'https://github.example.com/octo-org/widgets/issues/42';
+
+    // Act
+    const response = await deliver('issues', payload);
+
+    // Assert
+    expect(response.status).toBe(202);
+    expect(resolver.resolveIssue).toHaveBeenCalledWith(expect.objectContaining({
+      issueUrl: 'https://github.example.com/octo-org/widgets/issues/42',
+      host: 'github.example.com',
+      issueNumber: 42
+    }));
+  });
+
+  test('a maintainer comment with the resolve command should trigger resolveIssue', async () => {
+    // Arrange
+    const payload = await loadFixture('issue_comment_created');
+
+    // Act
+    const response = await deliver('issue_comment', payload);
+
+    // Assert
+    expect(response.status).toBe(202);
+    expect(resolver.resolveIssue).toHaveBeenCalledTimes(1);
+  });
+
+  test('deliveries with an invalid signature should be rejected', async () => {
+    // Arrange
+    const payload = await loadFixture('issues_labeled');
+
+    // Act
+    const response = await deliver('issues', payload, sign('tampered'));
+
+    // Assert
+    expect(response.status).toBe(401);
+    expect(resolver.resolveIssue).not.toHaveBeenCalled();
+  });
+
+  test('a redelivery should not start a second resolution while one is running', async () => {
+    // Arrange
+    resolver.resolveIssue.mockImplementation(() => new Promise(() => {}));
+    const payload = await loadFixture('issues_labeled');
+
+    // Act
+    await deliver('issues', payload);
+    const response = await deliver('issues', payload);
+
+    // Assert
+    expect(await response.json()).toEqual({ ignored: true, reason: 'Resolution already in progress' });
+    expect(resolver.resolveIssue).toHaveBeenCalledTimes(1);
+  });
+
+  test('getTriggerFromEvent should ignore other labels, untrusted commenters and bots', async () => {
+    // Arrange
+    const labeled = await loadFixture('issues_labeled');
+    const comment = await loadFixture('issue_comment_created');
+    const options = { commentCommand: '/openhands' };
+
+    // Act
+    const otherLabel = getTriggerFromEvent('issues', { ...labeled, label: { name: 'bug' } }, options);
+    const untrusted = getTriggerFromEvent('issue_comment', {
+      ...comment,
+      comment: { ...comment.comment, author_association: 'NONE' }
+    }, options);
+    const bot = getTriggerFromEvent('issue_comment', {
+      ...comment,
+      comment: { ...comment.comment, user: { login: 'openhands[bot]', type: 'Bot' } }
+    }, options);
+
+    // Assert
+    expect(otherLabel.triggerData).toBeNull();
+    expect(untrusted.reason).toBe('Comment author is not a collaborator (NONE)');
+    expect(bot.reason).toBe('Comments from bots are ignored');
+  });
+});